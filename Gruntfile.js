@@ -44,7 +44,10 @@ module.exports = function(grunt) {
       files: ['Gruntfile.js', 'lib/**/*.js', 'test/**/*.js'],
       options: {
         node: true,
-        mocha: true
+        mocha: true,
+        globals: {
+          Promise: false
+        }
       }
     },
     mochaTest: {
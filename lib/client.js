@@ -17,11 +17,15 @@
 
 'use strict';
 
-var logger = require('winston');
+var utils = require('./utils');
+var errors = require('./errors');
 
 // Core modules
 var Core = require('./core/core');
 
+// Streams of command results
+var CommandStream = require('./commands/commandstream');
+
 // Ping command
 var Ping = require('./commands/ping');
 
@@ -77,42 +81,101 @@ var TS = require('./commands/ts');
  *
  * All command callbacks are the typical node.js function(err, resp) style.
  *
+ * If the callback is omitted, the convenience methods return a Promise
+ * instead. Streaming commands accumulate their results and resolve once.
+ *
+ *     var rslt = await client.fetchValue({ bucket: 'myBucket', key: 'myKey' });
+ *
+ * The streaming commands are also available as object mode Readable streams
+ * of their individual results, e.g. __listKeysStream()__.
+ *
  * @class Client
  * @constructor
  * @param {String[]|RiakCluster} cluster - either an array of host[:port] strings or the cluster to use. See {{#crossLink "RiakCluster"}}{{/crossLink}}.
+ * @param {Object} [options] - options used when creating a RiakCluster from an array of host[:port] strings.
+ * @param {Object} [options.logger] - the logger to use. See {{#crossLink "Logger"}}{{/crossLink}}.
+ * @param {Metrics} [options.metrics] - the metrics registry to use. See {{#crossLink "Metrics"}}{{/crossLink}}.
+ * @param {String} [options.startMode] - how the nodes are started: 'eager' (the default), 'lazy' or 'require'.
+ * @param {Number} [options.requiredNodes] - the number of nodes that must pass their health check, with 'require'.
+ * @param {Number} [options.startTimeout] - the time in milliseconds they are given, with 'require'.
+ * @param {Boolean} [options.typedErrors] - give command callbacks a RiakError for every error. See {{#crossLink "RiakCluster"}}{{/crossLink}}.
  * @param {Function} [callback] - called when cluster is started (optional)
  * @param {Object} [callback.err] - set to an error if one occurrs during start.
  * @param {Object} [callback.client] - the client object.
  * @param {Object} [callback.cluster] - the cluster object.
+ * @param {Object} [callback.report] - which nodes started and which failed. See {{#crossLink "RiakCluster/start:method"}}RiakCluster.start(){{/crossLink}}.
  */
 function Client() {
     if (arguments.length === 0) {
         throw new Error('an array of IP|fqdn[:port] or an instance of RiakCluser is required');
     }
 
+    var options = {};
+    var callback = null;
+    if (typeof arguments[1] === 'function') {
+        callback = arguments[1];
+    } else {
+        if (arguments[1]) {
+            options = arguments[1];
+        }
+        if (typeof arguments[2] === 'function') {
+            callback = arguments[2];
+        }
+    }
+
     if (arguments[0] instanceof Core.RiakCluster) {
         this.cluster = arguments[0];
     } else if (Array.isArray(arguments[0])) {
         var nodes = Core.RiakNode.buildNodes(arguments[0]);
-        this.cluster = new Core.RiakCluster({ nodes: nodes});
+        this.cluster = new Core.RiakCluster({
+            nodes: nodes,
+            logger: options.logger,
+            metrics: options.metrics,
+            startMode: options.startMode,
+            requiredNodes: options.requiredNodes,
+            startTimeout: options.startTimeout,
+            typedErrors: options.typedErrors
+        });
     } else {
         throw new Error('an array of IP|fqdn[:port] or an instance of RiakCluser is required');
     }
 
-    var callback = function (err, client, cluster) {
-        logger.debug('[Client] cluster is started.');
-    };
-
-    if (arguments.length === 2 && typeof arguments[1] === 'function') {
-        callback = arguments[1];
+    if (!callback) {
+        var cluster_logger = this.cluster._logger;
+        callback = function (err, client, cluster) {
+            cluster_logger.debug('client cluster is started');
+        };
     }
 
     var self = this;
-    this.cluster.start(function (err, cluster) {
-        callback(err, self, cluster);
+    this.cluster.start(function (err, cluster, report) {
+        callback(err, self, cluster, report);
     });
 }
 
+/**
+ * Create a client from a connection string or a config object, or from the
+ * environment if neither is given. See {{#crossLink "ClusterConfig"}}{{/crossLink}}.
+ *
+ *     var client = Riak.Client.fromConfig('riak://10.0.0.1,10.0.0.2/?minConnections=5');
+ *
+ * @method fromConfig
+ * @static
+ * @param {String|Object} [config] - a riak:// connection string or a config object.
+ * @param {Function} [callback] - called when cluster is started (optional)
+ * @return {Client} the client.
+ */
+Client.fromConfig = function(config, callback) {
+    if (typeof config === 'function') {
+        callback = config;
+        config = undefined;
+    }
+    if (config === undefined) {
+        config = Core.ClusterConfig.fromEnv();
+    }
+    return new Client(Core.ClusterConfig.buildCluster(config), callback);
+};
+
 /**
  * Shut down the client gracefully.
  *
@@ -128,7 +191,7 @@ function Client() {
  * @param {Function} callback - will be registered as a stateChange listener on the RiakCluster.
  */
 Client.prototype.shutdown = function(callback) {
-    logger.debug('[Client] shutting down cluster.');
+    this.cluster._logger.debug('client shutting down cluster');
     this.cluster.on('stateChange', callback);
     this.cluster.stop();
 };
@@ -137,18 +200,22 @@ Client.prototype.shutdown = function(callback) {
  * Stop the client gracefully.
  *
  * This will cause all connections to be closed and any remaining in-flight
- * commands to finish.
+ * commands to finish. With a drain timeout, commands are given that long to
+ * complete first; see {{#crossLink "RiakCluster/stop:method"}}RiakCluster.stop(){{/crossLink}}.
  *
  * The provided callback will be called when the client is completely stopped.
  *
  * @method stop
+ * @param {Object} [options] - the options.
+ * @param {Number} [options.drainTimeout] - the time in milliseconds commands are given to complete.
  * @param {Function} callback - will be called when client is stopped.
  * @param {Object} [callback.err] - set to an error if one occurrs during stop.
  * @param {Object} [callback.state] - the state of the cluster at shutdown.
+ * @param {Object} [callback.report] - what happened to the commands while stopping.
  */
-Client.prototype.stop = function(callback) {
-    logger.debug('[Client] stopping cluster.');
-    this.cluster.stop(callback);
+Client.prototype.stop = function(options, callback) {
+    this.cluster._logger.debug('client stopping cluster');
+    this.cluster.stop(options, callback);
 };
 
 /**
@@ -161,169 +228,327 @@ Client.prototype.getRiakCluster = function() {
     return this.cluster;
 };
 
+/**
+ * Get the metrics registry of the client's RiakCluster.
+ *
+ * @method getMetrics
+ * @return {Core.Metrics}
+ */
+Client.prototype.getMetrics = function() {
+    return this.cluster.metrics;
+};
+
+/**
+ * Add a RiakNode to the client's RiakCluster.
+ *
+ * See {{#crossLink "RiakCluster/addNode:method"}}RiakCluster#addNode{{/crossLink}}
+ * @method addNode
+ * @param {Core.RiakNode} node the (unstarted) RiakNode to add.
+ * @param {Function} [callback] called once the node is added, or could not be.
+ * @param {Object} callback.err set to an error if the node was not added.
+ * @param {Core.RiakNode} callback.node the node.
+ * @return {Promise} a Promise for the node if no callback is supplied.
+ */
+Client.prototype.addNode = function(node, callback) {
+    var cluster = this.cluster;
+    return settleTopology(callback, function (cb) {
+        cluster.addNode(node, cb);
+    });
+};
+
+/**
+ * Remove a RiakNode from the client's RiakCluster once the commands
+ * executing on it have completed.
+ *
+ * See {{#crossLink "RiakCluster/removeNode:method"}}RiakCluster#removeNode{{/crossLink}}
+ * @method removeNode
+ * @param {Core.RiakNode|String} node the node to remove, or its IP|hostname[:port]
+ * @param {Object} [options] the options.
+ * @param {Number} [options.drainTimeout] the time in milliseconds commands executing on the node are given to complete.
+ * @param {Function} [callback] called once the node is stopped.
+ * @param {Object} callback.err set to an error if the node is not in the cluster or could not be stopped.
+ * @param {Core.RiakNode} callback.node the node.
+ * @return {Promise} a Promise for the node if no callback is supplied.
+ */
+Client.prototype.removeNode = function(node, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    var cluster = this.cluster;
+    return settleTopology(callback, function (cb) {
+        cluster.removeNode(node, options, cb);
+    });
+};
+
 /*
  * KV methods
  */
 
 /**
  * See {{#crossLink "RiakCluster/execute:method"}}RiakCluster#execute{{/crossLink}}
+ *
+ * The command's own callback is still called for every response. The returned
+ * Promise settles once, with the final response (the one with __done__ set
+ * for streaming commands) or with the error.
  * @method execute
  * @param {Object} command Any Riak command object from the various modules.
+ * @return {Promise} a Promise for the final response.
  */
 Client.prototype.execute = function(command) {
+    var promise = new Promise(function (resolve, reject) {
+        var callback = command.callback;
+        command.callback = function (err, rslt, data) {
+            // NB: settled before the caller's callback, which may throw, and
+            // the command is given its callback back so it can be executed again
+            if (err || !rslt || rslt.done !== false) {
+                command.callback = callback;
+                if (err) {
+                    reject(utils.toError(err, data));
+                } else {
+                    resolve(rslt);
+                }
+            }
+            callback.apply(this, arguments);
+        };
+    });
+    // NB: callers relying on the command's callback may ignore the Promise
+    promise.catch(function () {});
     this.cluster.execute(command);
+    return promise;
 };
 
 /**
  * See {{#crossLink "Ping"}}{{/crossLink}}
  * @method ping
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.ping = function(callback) {
-    var cmd = new Ping(callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new Ping(cb);
+    });
 };
 
 /**
  * See {{#crossLink "FetchServerInfo"}}{{/crossLink}}
  * @method fetchServerInfo
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.fetchServerInfo = function(callback) {
-    var cmd = new FetchServerInfo(callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new FetchServerInfo(cb);
+    });
 };
 
 /**
  * See {{#crossLink "DeleteValue"}}{{/crossLink}}
  * @method deleteValue
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.deleteValue = function(options, callback) {
-    var cmd = new KV.DeleteValue(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new KV.DeleteValue(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "FetchBucketProps"}}{{/crossLink}}
  * @method fetchBucketProps
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.fetchBucketProps = function(options, callback) {
-    var cmd = new KV.FetchBucketProps(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new KV.FetchBucketProps(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "FetchBucketTypeProps"}}{{/crossLink}}
  * @method fetchBucketTypeProps
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.fetchBucketTypeProps = function(options, callback) {
-    var cmd = new KV.FetchBucketTypeProps(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new KV.FetchBucketTypeProps(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "FetchValue"}}{{/crossLink}}
  * @method fetchValue
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.fetchValue = function(options, callback) {
-    var cmd = new KV.FetchValue(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new KV.FetchValue(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "FetchPreflist"}}{{/crossLink}}
  * @method fetchPreflist
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.fetchPreflist = function(options, callback) {
-    var cmd = new KV.FetchPreflist(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new KV.FetchPreflist(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "ListBuckets"}}{{/crossLink}}
  * @method ListBuckets
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the complete (non-streamed) response.
  */
 Client.prototype.listBuckets = function(options, callback) {
-    var cmd = new KV.ListBuckets(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb, promised) {
+        return new KV.ListBuckets(promised ? withStreaming(options, false) : options, cb);
+    });
+};
+
+/**
+ * Lists buckets as a stream of bucket names.
+ * See {{#crossLink "ListBuckets"}}{{/crossLink}} and {{#crossLink "CommandStream"}}{{/crossLink}}
+ * @method listBucketsStream
+ * @param {Object} options The options for this operation.
+ * @return {CommandStream} an object mode stream of bucket names.
+ */
+Client.prototype.listBucketsStream = function(options) {
+    var s = new CommandStream(function (rslt) {
+        return rslt.buckets;
+    });
+    s.command = new KV.ListBuckets(withStreaming(options, true), s.callback);
+    this.cluster.execute(s.command);
+    return s;
 };
 
 /**
  * See {{#crossLink "ListKeys"}}{{/crossLink}}
  * @method listKeys
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the complete (non-streamed) response.
  */
 Client.prototype.listKeys = function(options, callback) {
-    var cmd = new KV.ListKeys(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb, promised) {
+        return new KV.ListKeys(promised ? withStreaming(options, false) : options, cb);
+    });
+};
+
+/**
+ * Lists keys as a stream of keys.
+ * See {{#crossLink "ListKeys"}}{{/crossLink}} and {{#crossLink "CommandStream"}}{{/crossLink}}
+ * @method listKeysStream
+ * @param {Object} options The options for this operation.
+ * @return {CommandStream} an object mode stream of keys.
+ */
+Client.prototype.listKeysStream = function(options) {
+    var s = new CommandStream(function (rslt) {
+        return rslt.keys;
+    });
+    s.command = new KV.ListKeys(withStreaming(options, true), s.callback);
+    this.cluster.execute(s.command);
+    return s;
 };
 
 /**
  * See {{#crossLink "SecondaryIndexQuery"}}{{/crossLink}}
  * @method secondaryIndexQuery
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the complete (non-streamed) response.
  */
 Client.prototype.secondaryIndexQuery = function(options, callback) {
-    var cmd = new KV.SecondaryIndexQuery(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb, promised) {
+        return new KV.SecondaryIndexQuery(promised ? withStreaming(options, false) : options, cb);
+    });
+};
+
+/**
+ * Performs a 2i query as a stream of __{ indexKey, objectKey }__ results.
+ * Once the stream has ended, its __continuation__ property is set if one was
+ * returned by Riak.
+ * See {{#crossLink "SecondaryIndexQuery"}}{{/crossLink}} and {{#crossLink "CommandStream"}}{{/crossLink}}
+ * @method secondaryIndexQueryStream
+ * @param {Object} options The options for this operation.
+ * @return {CommandStream} an object mode stream of index results.
+ */
+Client.prototype.secondaryIndexQueryStream = function(options) {
+    var s = new CommandStream(function (rslt) {
+        if (rslt.continuation) {
+            s.continuation = rslt.continuation;
+        }
+        return rslt.values;
+    });
+    s.command = new KV.SecondaryIndexQuery(withStreaming(options, true), s.callback);
+    this.cluster.execute(s.command);
+    return s;
 };
 
 /**
  * See {{#crossLink "StoreBucketProps"}}{{/crossLink}}
  * @method storeBucketProps
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.storeBucketProps = function(options, callback) {
-    var cmd = new KV.StoreBucketProps(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new KV.StoreBucketProps(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "ResetBucketProps"}}{{/crossLink}}
  * @method resetBucketProps
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.resetBucketProps = function(options, callback) {
-    var cmd = new KV.ResetBucketProps(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new KV.ResetBucketProps(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "StoreBucketTypeProps"}}{{/crossLink}}
  * @method storeBucketTypeProps
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.storeBucketTypeProps = function(options, callback) {
-    var cmd = new KV.StoreBucketTypeProps(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new KV.StoreBucketTypeProps(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "StoreValue"}}{{/crossLink}}
  * @method storeValue
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.storeValue = function(options, callback) {
-    var cmd = new KV.StoreValue(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new KV.StoreValue(options, cb);
+    });
 };
 
 /*
@@ -334,66 +559,78 @@ Client.prototype.storeValue = function(options, callback) {
  * See {{#crossLink "FetchCounter"}}{{/crossLink}}
  * @method fetchCounter
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.fetchCounter = function(options, callback) {
-    var cmd = new CRDT.FetchCounter(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new CRDT.FetchCounter(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "UpdateCounter"}}{{/crossLink}}
  * @method updateCounter
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.updateCounter = function(options, callback) {
-    var cmd = new CRDT.UpdateCounter(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new CRDT.UpdateCounter(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "FetchSet"}}{{/crossLink}}
  * @method fetchSet
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.fetchSet = function(options, callback) {
-    var cmd = new CRDT.FetchSet(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new CRDT.FetchSet(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "UpdateSet"}}{{/crossLink}}
  * @method updateSet
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.updateSet = function(options, callback) {
-    var cmd = new CRDT.UpdateSet(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new CRDT.UpdateSet(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "FetchMap"}}{{/crossLink}}
  * @method fetchMap
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.fetchMap = function(options, callback) {
-    var cmd = new CRDT.FetchMap(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new CRDT.FetchMap(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "UpdateMap"}}{{/crossLink}}
  * @method updateMap
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.updateMap = function(options, callback) {
-    var cmd = new CRDT.UpdateMap(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new CRDT.UpdateMap(options, cb);
+    });
 };
 
 /*
@@ -404,66 +641,78 @@ Client.prototype.updateMap = function(options, callback) {
  * See {{#crossLink "DeleteIndex"}}{{/crossLink}}
  * @method deleteIndex
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.deleteIndex = function(options, callback) {
-    var cmd = new YZ.DeleteIndex(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new YZ.DeleteIndex(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "FetchIndex"}}{{/crossLink}}
  * @method fetchIndex
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.fetchIndex = function(options, callback) {
-    var cmd = new YZ.FetchIndex(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new YZ.FetchIndex(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "FetchSchema"}}{{/crossLink}}
  * @method fetchSchema
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.fetchSchema = function(options, callback) {
-    var cmd = new YZ.FetchSchema(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new YZ.FetchSchema(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "Search"}}{{/crossLink}}
  * @method search
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.search = function(options, callback) {
-    var cmd = new YZ.Search(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new YZ.Search(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "StoreIndex"}}{{/crossLink}}
  * @method storeIndex
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.storeIndex = function(options, callback) {
-    var cmd = new YZ.StoreIndex(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new YZ.StoreIndex(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "StoreSchema"}}{{/crossLink}}
  * @method storeSchema
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  */
 Client.prototype.storeSchema = function(options, callback) {
-    var cmd = new YZ.StoreSchema(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new YZ.StoreSchema(options, cb);
+    });
 };
 
 /*
@@ -474,13 +723,38 @@ Client.prototype.storeSchema = function(options, callback) {
  * See {{#crossLink "MapReduce"}}{{/crossLink}}
  * @method mapReduce
  * @param {String} query The map-reduce query.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
  * @param {Boolean} [stream=true] Stream the results or accumulate before calling callback.
+ * Ignored if no callback is supplied.
+ * @return {Promise} if no callback is supplied, a Promise for the complete (non-streamed) response.
  *
  */
 Client.prototype.mapReduce = function(query, callback, stream) {
-    var cmd = new MR.MapReduce(query, callback, stream);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb, promised) {
+        return new MR.MapReduce(query, cb, promised ? false : stream);
+    });
+};
+
+/**
+ * Performs a map-reduce query as a stream of __{ phase, result }__ objects,
+ * one per result of each phase.
+ * See {{#crossLink "MapReduce"}}{{/crossLink}} and {{#crossLink "CommandStream"}}{{/crossLink}}
+ * @method mapReduceStream
+ * @param {String} query The map-reduce query.
+ * @return {CommandStream} an object mode stream of phase results.
+ */
+Client.prototype.mapReduceStream = function(query) {
+    var s = new CommandStream(function (rslt) {
+        if (!rslt.response) {
+            return null;
+        }
+        return rslt.response.map(function (r) {
+            return { phase: rslt.phase, result: r };
+        });
+    });
+    s.command = new MR.MapReduce(query, s.callback, true);
+    this.cluster.execute(s.command);
+    return s;
 };
 
 /*
@@ -491,74 +765,160 @@ Client.prototype.mapReduce = function(query, callback, stream) {
  * See {{#crossLink "Store"}}{{/crossLink}}
  * @method tsStore
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  *
  */
 Client.prototype.tsStore = function(options, callback) {
-    var cmd = new TS.Store(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new TS.Store(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "Describe"}}{{/crossLink}}
  * @method tsDescribe
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  *
  */
 Client.prototype.tsDescribe = function(options, callback) {
-    var cmd = new TS.Describe(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new TS.Describe(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "Query"}}{{/crossLink}}
  * @method tsQuery
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  *
  */
 Client.prototype.tsQuery = function(options, callback) {
-    var cmd = new TS.Query(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new TS.Query(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "Get"}}{{/crossLink}}
  * @method tsGet
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  *
  */
 Client.prototype.tsGet = function(options, callback) {
-    var cmd = new TS.Get(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new TS.Get(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "Delete"}}{{/crossLink}}
  * @method tsDelete
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the response.
  *
  */
 Client.prototype.tsDelete = function(options, callback) {
-    var cmd = new TS.Delete(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb) {
+        return new TS.Delete(options, cb);
+    });
 };
 
 /**
  * See {{#crossLink "ListKeys"}}{{/crossLink}}
  * @method tsListKeys
  * @param {Object} options The options for this operation.
- * @param {Function} callback The callback to be executed when the operation completes.
+ * @param {Function} [callback] The callback to be executed when the operation completes.
+ * @return {Promise} if no callback is supplied, a Promise for the complete (non-streamed) response.
  *
  */
 Client.prototype.tsListKeys = function(options, callback) {
-    var cmd = new TS.ListKeys(options, callback);
-    this.cluster.execute(cmd);
+    return executeCommand(this, callback, function (cb, promised) {
+        return new TS.ListKeys(promised ? withStreaming(options, false) : options, cb);
+    });
 };
 
+/**
+ * Lists the keys of a table as a stream of keys.
+ * See {{#crossLink "ListKeys"}}{{/crossLink}} and {{#crossLink "CommandStream"}}{{/crossLink}}
+ * @method tsListKeysStream
+ * @param {Object} options The options for this operation.
+ * @return {CommandStream} an object mode stream of keys.
+ */
+Client.prototype.tsListKeysStream = function(options) {
+    var s = new CommandStream(function (rslt) {
+        return rslt.keys;
+    });
+    s.command = new TS.ListKeys(withStreaming(options, true), s.callback);
+    this.cluster.execute(s.command);
+    return s;
+};
+
+/*
+ * Executes the command returned by makeCommand. If the caller supplied a
+ * callback it is passed through, otherwise the command is given one that
+ * settles the returned Promise.
+ */
+function executeCommand(client, callback, makeCommand) {
+    if (typeof callback === 'function') {
+        client.cluster.execute(makeCommand(callback, false));
+        return;
+    }
+    return new Promise(function (resolve, reject) {
+        var cmd = makeCommand(function (err, rslt, data) {
+            if (err) {
+                reject(utils.toError(err, data));
+            } else {
+                resolve(rslt);
+            }
+        }, true);
+        client.cluster.execute(cmd);
+    });
+}
+
+/*
+ * Calls change with the caller's callback if one was supplied, otherwise
+ * with one that settles the returned Promise with the node.
+ */
+function settleTopology(callback, change) {
+    if (typeof callback === 'function') {
+        change(callback);
+        return;
+    }
+    return new Promise(function (resolve, reject) {
+        change(function (err, node) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(node);
+            }
+        });
+    });
+}
+
+/*
+ * Copies options with the stream option overridden. A Promise resolves
+ * once, so streaming commands executed without a callback accumulate their
+ * results instead, while CommandStreams always want every chunk.
+ */
+function withStreaming(options, stream) {
+    var opts = {};
+    if (options) {
+        Object.keys(options).forEach(function (k) {
+            opts[k] = options[k];
+        });
+    }
+    opts.stream = stream;
+    return opts;
+}
+
 // Namespaces
 function Riak() { }
 function Commands() { }
@@ -572,11 +932,23 @@ module.exports.Cluster = Core.RiakCluster;
 module.exports.Cluster.DefaultNodeManager = Core.DefaultNodeManager;
 module.exports.Cluster.RoundRobinNodeManager = Core.RoundRobinNodeManager;
 module.exports.Cluster.LeastExecutingNodeManager = Core.LeastExecutingNodeManager;
+module.exports.Cluster.CircuitBreakerNodeManager = Core.CircuitBreakerNodeManager;
+module.exports.Cluster.LatencyAwareNodeManager = Core.LatencyAwareNodeManager;
+module.exports.Cluster.KeyAwareNodeManager = Core.KeyAwareNodeManager;
+module.exports.Cluster.ZoneAwareNodeManager = Core.ZoneAwareNodeManager;
+module.exports.Cluster.WeightedRoundRobinNodeManager = Core.WeightedRoundRobinNodeManager;
+module.exports.Cluster.RetryPolicy = Core.RetryPolicy;
+module.exports.Cluster.DefaultRetryPolicy = Core.DefaultRetryPolicy;
+module.exports.Cluster.ExponentialBackoffRetryPolicy = Core.ExponentialBackoffRetryPolicy;
+module.exports.Metrics = Core.Metrics;
+module.exports.ClusterConfig = Core.ClusterConfig;
+module.exports.Errors = errors;
 
 // Command exports
 module.exports.Commands = Commands;
 module.exports.Commands.Ping = Ping;
 module.exports.Commands.FetchServerInfo = FetchServerInfo;
+module.exports.Commands.CommandStream = CommandStream;
 
 module.exports.Commands.KV = KV;
 module.exports.Commands.CRDT = CRDT;
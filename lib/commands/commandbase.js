@@ -20,6 +20,7 @@
 var util = require('util');
 var ProtoBufFactory = require('../protobuf/riakprotobuf');
 var Joi = require('joi');
+var errors = require('../errors');
 
 var cid = 1;
 
@@ -44,7 +45,7 @@ var cid = 1;
  * @param {String} pbRequestName name of the Riak protocol buffer this command will send
  * @param {String} pbResponseName name of the Riak protocol buffer this command will receive
  * @param {Function} callback The callback to be executed when the operation completes.
- * @param {String} callback.err An error message. Will be null if no error.
+ * @param {Error|String} callback.err An error, a {{#crossLink "RiakError"}}{{/crossLink}} with typedErrors set, otherwise maybe an error message. Will be null if no error.
  * @param {Object} callback.response the response from Riak.
  * @param {Object} callback.data additional error data. Will be null if no error.
  */
@@ -57,7 +58,7 @@ function CommandBase(pbRequestName, pbResponseName, callback) {
     var self = this;
     Joi.validate(callback, schema, function(err, option) {
        if (err) {
-           throw new Error('callback is required and must be a function');
+           throw new errors.ValidationError('callback is required and must be a function', err.details);
        }
        self.callback = callback;
     });
@@ -75,7 +76,7 @@ function CommandBase(pbRequestName, pbResponseName, callback) {
         var self = this;
         Joi.validate(arg_options, arg_schema, arg_joi_opts, function(err, opts) {
             if (err) {
-                throw err;
+                throw new errors.ValidationError(err.message, err.details);
             }
             self.options = opts;
         });
@@ -84,14 +85,395 @@ function CommandBase(pbRequestName, pbResponseName, callback) {
 
 /**
  * Fires the user's callback with the arguments passed in.
+ *
+ * Nothing is passed on once an abandoned command has called back.
  * @method getCallback
  * @private
  * @return {Function} the user supplied callback
  */
-CommandBase.prototype._callback = function() {
+CommandBase.prototype._callback = function(err, response) {
+    if (this._completed && this.abandoned) {
+        return;
+    }
+    if (this._hedgeOf) {
+        this._completed = true;
+        this._hedgeOf._hedgeDone(this, arguments);
+        return;
+    }
+    if (this._hedges && !this._settle(this, arguments)) {
+        return;
+    }
+    if (err || !response || response.done !== false) {
+        this._completed = true;
+        this._detach();
+    }
     this.callback.apply(this, arguments);
 };
 
+/**
+ * Set the time to wait for Riak to respond on each attempt to execute this
+ * command. Overrides the requestTimeout of the RiakNode.
+ *
+ * If it passes, the attempt fails and the command is retried if attempts
+ * remain. Otherwise the callback receives a TimeoutError.
+ * @method setTimeout
+ * @param {Number} timeout the timeout in milliseconds.
+ * @chainable
+ */
+CommandBase.prototype.setTimeout = function(timeout) {
+    this.timeout = timeout;
+    return this;
+};
+
+/**
+ * Set the time allowed for this command to complete, including all retries
+ * and any time spent in the queue of the RiakCluster. It is counted from
+ * when the command is given to RiakCluster.execute().
+ *
+ * If it passes, the command is abandoned and the callback receives a
+ * TimeoutError.
+ * @method setDeadline
+ * @param {Number} deadline the deadline in milliseconds.
+ * @chainable
+ */
+CommandBase.prototype.setDeadline = function(deadline) {
+    this.deadline = deadline;
+    return this;
+};
+
+/**
+ * Give the callback a {{#crossLink "RiakError"}}{{/crossLink}} for every
+ * error. Otherwise errors that used to be strings are given as their
+ * message; see {{#crossLink "RiakError/untyped:method"}}{{/crossLink}}. Set
+ * by the RiakCluster if it has the __typedErrors__ option.
+ * @method setTypedErrors
+ * @param {Boolean} typedErrors true for RiakErrors.
+ * @chainable
+ */
+CommandBase.prototype.setTypedErrors = function(typedErrors) {
+    this.typedErrors = typedErrors;
+    return this;
+};
+
+/**
+ * Set the priority of this command in the queue of the RiakCluster, if it
+ * queues commands. Commands with a higher priority are sent first; the
+ * default is 0.
+ * @method setPriority
+ * @param {Number} priority the priority.
+ * @chainable
+ */
+CommandBase.prototype.setPriority = function(priority) {
+    this.priority = priority;
+    return this;
+};
+
+/**
+ * Set the time this command may wait in the queue of the RiakCluster, if it
+ * queues commands. Overrides the queueTimeout of the RiakCluster.
+ *
+ * If it passes, the command is taken out of the queue and the callback
+ * receives a QueueTimeoutError.
+ * @method setQueueTimeout
+ * @param {Number} queueTimeout the timeout in milliseconds.
+ * @chainable
+ */
+CommandBase.prototype.setQueueTimeout = function(queueTimeout) {
+    this.queueTimeout = queueTimeout;
+    return this;
+};
+
+/**
+ * Cancel this command when __signal__ is aborted.
+ *
+ * __signal__ may be an AbortSignal (see AbortController) or any object
+ * with an __aborted__ property and __addEventListener__ and
+ * __removeEventListener__ methods for __abort__ events.
+ * @method setSignal
+ * @param {Object} signal the signal.
+ * @chainable
+ */
+CommandBase.prototype.setSignal = function(signal) {
+    var self = this;
+    this._stopSignal();
+    if (signal.aborted) {
+        this.cancel();
+    } else {
+        this._signal = signal;
+        this._onAbort = function () {
+            self.cancel();
+        };
+        signal.addEventListener('abort', this._onAbort);
+    }
+    return this;
+};
+
+/**
+ * Cancel this command.
+ *
+ * A command waiting in the queue of the RiakCluster or for a retry is
+ * removed. One executing on a connection is abandoned, and the connection
+ * closed. The callback receives a CancelledError unless the command has
+ * already completed.
+ * @method cancel
+ * @return {Boolean} true if the command was cancelled.
+ */
+CommandBase.prototype.cancel = function() {
+    return this._abandon(new errors.CancelledError('command cancelled', this));
+};
+
+/**
+ * Called by RiakCluster when execution starts. Starts the deadline, if any.
+ * @method _start
+ * @private
+ * @param {Function} [onAbandon] called if the command is abandoned.
+ * @param {Function} [onComplete] called once the command has completed.
+ */
+CommandBase.prototype._start = function(onAbandon, onComplete) {
+    if (!this.abandoned) {
+        this._completed = false;
+    }
+    this._hedges = null;
+    this._settled = false;
+    this._onAbandon = onAbandon;
+    this._onComplete = onComplete;
+    if (this.deadline && !this._deadlineTimer) {
+        var self = this;
+        this._deadlineTimer = setTimeout(function () {
+            self._deadlineTimer = null;
+            self._abandon(new errors.TimeoutError(util.format(
+                'command did not complete within deadline of %d ms', self.deadline), self));
+        }, this.deadline);
+    }
+};
+
+/*
+ * Stop the deadline and hedge timers and stop listening to the signal, as
+ * the command has completed, and tell the RiakCluster.
+ */
+CommandBase.prototype._detach = function() {
+    if (this._deadlineTimer) {
+        clearTimeout(this._deadlineTimer);
+        this._deadlineTimer = null;
+    }
+    if (this._hedgeTimer) {
+        clearTimeout(this._hedgeTimer);
+        this._hedgeTimer = null;
+    }
+    this._stopSignal();
+    if (this._onComplete) {
+        var onComplete = this._onComplete;
+        this._onComplete = null;
+        onComplete(this);
+    }
+};
+
+CommandBase.prototype._stopSignal = function() {
+    if (this._signal) {
+        this._signal.removeEventListener('abort', this._onAbort);
+        this._signal = null;
+    }
+};
+
+/**
+ * Give up on this command and call back with __err__.
+ * @method _abandon
+ * @private
+ * @param {Error} err the error for the callback.
+ * @return {Boolean} false if the command had already completed.
+ */
+CommandBase.prototype._abandon = function(err) {
+    if (this._completed) {
+        return false;
+    }
+    this.abandoned = true;
+    if (this._onAbandon) {
+        this._onAbandon(this);
+    }
+    [this].concat(this._hedges || []).forEach(function (command) {
+        command.abandoned = true;
+        if (command.connection) {
+            command.connection.abandon();
+        }
+    });
+    this._callback(err, null);
+    return true;
+};
+
+/**
+ * Send a copy of this command, racing it against this one. The first to
+ * succeed completes this command; if both fail, the last failure is given
+ * to the callback. The other is left to finish quietly, so that its
+ * connection returns to the pool, and its result is discarded.
+ *
+ * The copy shares the options of this command and is not retried.
+ * @method _hedge
+ * @private
+ * @param {Function} execute executes the copy, returning true if accepted.
+ * @return {Boolean} true if the copy was executed.
+ */
+CommandBase.prototype._hedge = function(execute) {
+    var self = this;
+    var hedge = Object.create(Object.getPrototypeOf(this));
+    Object.keys(this).forEach(function (key) {
+        hedge[key] = self[key];
+    });
+    hedge.name = this.name + '-hedge';
+    // NB: the header is written when the request is encoded
+    hedge.header = new Buffer(this.header);
+    hedge.connection = null;
+    hedge.paused = false;
+    hedge.abandoned = false;
+    hedge._completed = false;
+    hedge._settled = false;
+    hedge._hedges = null;
+    hedge._hedgeOf = this;
+    hedge._deadlineTimer = null;
+    hedge._hedgeTimer = null;
+    hedge._signal = null;
+    hedge._onAbandon = null;
+    hedge._onComplete = null;
+    hedge._nodeStart = null;
+    hedge._bulkhead = null;
+    hedge.remainingTries = 1;
+    hedge.attempts = 1;
+    var hedges = this._hedges || [];
+    this._hedges = hedges.concat(hedge);
+    if (!execute(hedge)) {
+        this._hedges = hedges;
+        return false;
+    }
+    return true;
+};
+
+// Called with the outcome of a hedge of this command
+CommandBase.prototype._hedgeDone = function(hedge, args) {
+    if (this._completed || !this._settle(hedge, args)) {
+        return;
+    }
+    this._completed = true;
+    this._detach();
+    if (args[0] && args[0].command === hedge.name) {
+        args[0].command = this.name;
+    }
+    this.callback.apply(this, args);
+};
+
+/*
+ * Records the outcome of this command or one of its hedges. Returns true
+ * if it completes the command: it succeeded, or no other attempt is still
+ * pending. Those still pending are then abandoned without closing their
+ * connections.
+ */
+CommandBase.prototype._settle = function(command, args) {
+    command._settled = true;
+    var pending = [this].concat(this._hedges).filter(function (c) {
+        return !c._settled;
+    });
+    if (args[0] && !this.abandoned && pending.length) {
+        return false;
+    }
+    var self = this;
+    pending.forEach(function (c) {
+        c._settled = true;
+        c.abandoned = true;
+        if (c === self) {
+            if (self._onAbandon) {
+                self._onAbandon(self);
+            }
+        } else {
+            c._completed = true;
+        }
+    });
+    return true;
+};
+
+/**
+ * Stop reading responses for this command until resume() is called.
+ *
+ * Streaming commands call their callback once per response from Riak. A
+ * consumer that can not keep up may call this (e.g. via __this.pause()__
+ * within the callback) to leave further data in the socket rather than
+ * having it buffered in memory.
+ * @method pause
+ */
+CommandBase.prototype.pause = function() {
+    this.paused = true;
+    if (this.connection) {
+        this.connection.pause();
+    }
+};
+
+/**
+ * Resume reading responses for this command after pause().
+ * @method resume
+ */
+CommandBase.prototype.resume = function() {
+    this.paused = false;
+    if (this.connection) {
+        this.connection.resume();
+    }
+};
+
+/**
+ * Whether this command may safely be applied more than once. If not, it is
+ * not retried after a failure where the request may have reached Riak.
+ * Commands that are not idempotent override this method.
+ * @method isIdempotent
+ * @return {Boolean} true by default.
+ */
+CommandBase.prototype.isIdempotent = function() {
+    return true;
+};
+
+/**
+ * Whether this command is a read that may be sent to a second node while the
+ * first has not responded, if the RiakCluster hedges reads. Reads of a single
+ * object override this method.
+ * @method isHedgeable
+ * @return {Boolean} false by default.
+ */
+CommandBase.prototype.isHedgeable = function() {
+    return false;
+};
+
+/**
+ * The class of this command. A RiakNode can limit the connections held by
+ * each class, so that streaming and administrative commands cannot take all
+ * the connections of short ones. Such commands set
+ * {{#crossLink "CommandBase/commandClass:property"}}{{/crossLink}} on their
+ * prototype.
+ * @method getCommandClass
+ * @return {String} a {{#crossLink "CommandBase/CommandClass:property"}}CommandBase.CommandClass{{/crossLink}}, 'short' by default.
+ */
+CommandBase.prototype.getCommandClass = function() {
+    return this.commandClass;
+};
+
+/**
+ * The object this command operates on, used to route it to a node that owns
+ * the key. Commands on a single key override this method.
+ *
+ *     { bucketType: 'default', bucket: 'b', key: 'k' }
+ *
+ * @method getLocation
+ * @return {Object} the bucket type, bucket and key, or null if not applicable.
+ */
+CommandBase.prototype.getLocation = function() {
+    return null;
+};
+
+/*
+ * getLocation() for commands with bucketType, bucket and key options.
+ */
+CommandBase.prototype._getOptionsLocation = function() {
+    var o = this.options;
+    if (!o || !o.bucket || !o.key) {
+        return null;
+    }
+    return { bucketType: o.bucketType || 'default', bucket: o.bucket, key: o.key };
+};
+
 /**
  * Returns the expected response code for this command.
  * @method getExpectedResponseCode
@@ -175,22 +557,51 @@ CommandBase.prototype.onSuccess = function(pbResponseMessage) {
 CommandBase.prototype.onRiakError = function(rpbErrorResp) {
     var errmsg = rpbErrorResp.getErrmsg().toString('utf8');
     var errcode = rpbErrorResp.getErrcode();
-    this.onError(errmsg, { msg: errmsg, code: errcode });
+    this.onError(new errors.RiakServerError(errmsg, errcode, this),
+        { msg: errmsg, code: errcode });
 };
 
 /**
  * Called by RiakNode if an error occurs executing the command and all retries are exhausted.
  * @protected
  * @method onError
- * @param {String} msg an error message
+ * @param {Error|String} msg an error, or an error message which will be given as a RiakError
  * @param {Object} data additional error data
  */
 CommandBase.prototype.onError = function(msg, data) {
-    this._callback(msg, null, data);
+    var err = errors.annotate(msg, this);
+    this._callback(this.typedErrors ? err : errors.untyped(err), null, data);
 };
 
+/**
+ * The classes of commands, see
+ * {{#crossLink "CommandBase/getCommandClass:method"}}{{/crossLink}}.
+ *
+ *     CommandBase.CommandClass.SHORT - key/value and data type commands
+ *     CommandBase.CommandClass.LONG  - streaming and administrative commands
+ *
+ * @property CommandClass
+ * @type {Object}
+ * @static
+ * @final
+ */
+var CommandClass = Object.freeze({
+    SHORT : 'short',
+    LONG : 'long'
+});
+
+/**
+ * The class of the commands of a type, see
+ * {{#crossLink "CommandBase/getCommandClass:method"}}{{/crossLink}}.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.SHORT
+ */
+CommandBase.prototype.commandClass = CommandClass.SHORT;
+
 var schema = Joi.object().keys({
     callback: Joi.func().required()
 });
 
 module.exports = CommandBase;
+module.exports.CommandClass = CommandClass;
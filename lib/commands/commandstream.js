@@ -0,0 +1,114 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var inherits = require('util').inherits;
+var Readable = require('stream').Readable;
+
+var utils = require('../utils');
+
+/**
+ * Provides the CommandStream class.
+ * @module Core
+ */
+
+/**
+ * An object mode Readable stream of the results of a streaming command.
+ *
+ * Streaming commands call their callback once per response received from
+ * Riak. A CommandStream is used as such a callback and pushes the individual
+ * results (keys, buckets, index results, ...) of each response, ending once
+ * the response with __done__ set has been received. Errors are emitted as
+ * stream errors.
+ *
+ * If __command__ is set, reading responses from Riak is paused while the
+ * stream's consumer is behind and resumed once it drains, and the command
+ * is cancelled if the stream is destroyed before its last response, e.g.
+ * by breaking out of __for await__.
+ *
+ * Being a Readable, a CommandStream can be piped, used with
+ * __stream.pipeline__ or consumed with __for await__.
+ *
+ *     var keys = client.listKeysStream({ bucket: 'myBucket', allowListing: true });
+ *     for await (var key of keys) {
+ *         ...
+ *     }
+ *
+ * @class CommandStream
+ * @constructor
+ * @param {Function} getItems Returns the array of results contained in a command response.
+ * @param {Object} getItems.response The response passed to the command's callback.
+ * @extends stream.Readable
+ */
+function CommandStream(getItems) {
+    Readable.call(this, { objectMode: true });
+    this._getItems = getItems;
+    /**
+     * The callback to supply to the command.
+     * @property callback
+     * @type {Function}
+     */
+    this.callback = this._onResponse.bind(this);
+    /**
+     * The command whose results are streamed. When set, reading from Riak
+     * is paused while this stream's buffer is full.
+     * @property command
+     * @type {CommandBase}
+     */
+    this.command = null;
+    this._finished = false;
+}
+
+inherits(CommandStream, Readable);
+
+CommandStream.prototype._read = function (size) {
+    if (this.command && this.command.paused) {
+        this.command.resume();
+    }
+};
+
+CommandStream.prototype._destroy = function (err, callback) {
+    if (this.command && !this._finished) {
+        this._finished = true;
+        this.command.cancel();
+    }
+    callback(err);
+};
+
+CommandStream.prototype._onResponse = function (err, response, data) {
+    if (err) {
+        this._finished = true;
+        this.destroy(utils.toError(err, data));
+        return;
+    }
+    var items = this._getItems(response);
+    var more = true;
+    if (items) {
+        for (var i = 0; i < items.length; i++) {
+            more = this.push(items[i]);
+        }
+    }
+    if (response.done) {
+        this._finished = true;
+        this.push(null);
+    } else if (!more && this.command) {
+        this.command.pause();
+    }
+};
+
+module.exports = CommandStream;
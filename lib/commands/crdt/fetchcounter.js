@@ -66,6 +66,17 @@ function FetchCounter(options, callback) {
 
 inherits(FetchCounter, CommandBase);
 
+FetchCounter.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
+/**
+ * A fetch may be sent to a second node if the first is slow to respond.
+ * @method isHedgeable
+ * @return {Boolean} true
+ */
+FetchCounter.prototype.isHedgeable = function() {
+    return true;
+};
+
 FetchCounter.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
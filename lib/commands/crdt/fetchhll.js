@@ -66,6 +66,17 @@ function FetchHll(options, callback) {
 
 inherits(FetchHll, CommandBase);
 
+FetchHll.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
+/**
+ * A fetch may be sent to a second node if the first is slow to respond.
+ * @method isHedgeable
+ * @return {Boolean} true
+ */
+FetchHll.prototype.isHedgeable = function() {
+    return true;
+};
+
 FetchHll.prototype.constructPbRequest = function() {
     var protobuf = this.getPbReqBuilder();
 
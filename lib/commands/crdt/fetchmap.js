@@ -71,6 +71,17 @@ function FetchMap(options, callback) {
 
 inherits(FetchMap, CommandBase);
 
+FetchMap.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
+/**
+ * A fetch may be sent to a second node if the first is slow to respond.
+ * @method isHedgeable
+ * @return {Boolean} true
+ */
+FetchMap.prototype.isHedgeable = function() {
+    return true;
+};
+
 FetchMap.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
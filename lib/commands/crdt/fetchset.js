@@ -71,6 +71,17 @@ function FetchSet(options, callback) {
 
 inherits(FetchSet, CommandBase);
 
+FetchSet.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
+/**
+ * A fetch may be sent to a second node if the first is slow to respond.
+ * @method isHedgeable
+ * @return {Boolean} true
+ */
+FetchSet.prototype.isHedgeable = function() {
+    return true;
+};
+
 function buf(self, prop) {
     return new Buffer(self.options[prop]);
 }
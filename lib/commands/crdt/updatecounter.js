@@ -70,6 +70,8 @@ function UpdateCounter(options, callback) {
 
 inherits(UpdateCounter, CommandBase);
 
+UpdateCounter.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
 UpdateCounter.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
@@ -98,6 +100,15 @@ UpdateCounter.prototype.constructPbRequest = function() {
 
 };
 
+/**
+ * Increments are applied again if the command is repeated.
+ * @method isIdempotent
+ * @return {Boolean} false
+ */
+UpdateCounter.prototype.isIdempotent = function() {
+    return false;
+};
+
 UpdateCounter.prototype.onSuccess = function(dtUpdateResp) {
 
     // dtUpdateResp will be null if returnBody wasn't specified
@@ -22,6 +22,7 @@ var inherits = require('util').inherits;
 var Joi = require('joi');
 var ByteBuffer = require('bytebuffer');
 
+var errors = require('../../errors');
 var utils = require('../../utils');
 var rpb = require('../../protobuf/riakprotobuf');
 var DtOp = rpb.getProtoFor('DtOp');
@@ -62,7 +63,7 @@ function UpdateGSet(options, callback) {
     var self = this;
     Joi.validate(gset_opts, schema, function(err, opts) {
         if (err) {
-            throw err;
+            throw new errors.ValidationError(err.message, err.details);
         }
         self.additions = opts.additions;
     });
@@ -74,6 +74,18 @@ function UpdateHll(options, callback) {
 
 inherits(UpdateHll, CommandBase);
 
+UpdateHll.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
+/**
+ * Not retried once the request may have reached Riak, as the update may
+ * already have been applied.
+ * @method isIdempotent
+ * @return {Boolean} false
+ */
+UpdateHll.prototype.isIdempotent = function() {
+    return false;
+};
+
 function pbuf(self, prop) {
     return new Buffer(self.options[prop]);
 }
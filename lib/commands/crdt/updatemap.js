@@ -97,6 +97,18 @@ function UpdateMap(options, callback) {
 
 inherits(UpdateMap, CommandBase);
 
+UpdateMap.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
+/**
+ * A map operation may increment counters, which are applied again if the
+ * command is repeated.
+ * @method isIdempotent
+ * @return {Boolean} false
+ */
+UpdateMap.prototype.isIdempotent = function() {
+    return false;
+};
+
 UpdateMap.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
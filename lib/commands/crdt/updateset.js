@@ -22,6 +22,7 @@ var inherits = require('util').inherits;
 var Joi = require('joi');
 var ByteBuffer = require('bytebuffer');
 
+var errors = require('../../errors');
 var utils = require('../../utils');
 var rpb = require('../../protobuf/riakprotobuf');
 var DtOp = rpb.getProtoFor('DtOp');
@@ -65,7 +66,7 @@ function UpdateSet(options, callback) {
     var self = this;
     Joi.validate(set_opts, schema, function(err, opts) {
         if (err) {
-            throw err;
+            throw new errors.ValidationError(err.message, err.details);
         }
         self.additions = opts.additions;
         self.removals = opts.removals;
@@ -59,6 +59,8 @@ function UpdateSetBase(options, callback) {
 
 inherits(UpdateSetBase, CommandBase);
 
+UpdateSetBase.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
 function pbuf(self, prop) {
     return new Buffer(self.options[prop]);
 }
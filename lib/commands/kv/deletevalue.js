@@ -66,6 +66,8 @@ function DeleteValue(options, callback) {
 
 inherits(DeleteValue, CommandBase);
 
+DeleteValue.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
 DeleteValue.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
@@ -19,7 +19,6 @@
 
 var CommandBase = require('../commandbase');
 var inherits = require('util').inherits;
-var logger = require('winston');
 var Joi = require('joi');
 
 /**
@@ -62,6 +61,8 @@ function FetchPreflist(options, callback) {
 
 inherits(FetchPreflist, CommandBase);
 
+FetchPreflist.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
 FetchPreflist.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
@@ -75,6 +75,17 @@ function FetchValue(options, callback) {
 
 inherits(FetchValue, CommandBase);
 
+FetchValue.prototype.getLocation = CommandBase.prototype._getOptionsLocation;
+
+/**
+ * A fetch may be sent to a second node if the first is slow to respond.
+ * @method isHedgeable
+ * @return {Boolean} true
+ */
+FetchValue.prototype.isHedgeable = function() {
+    return true;
+};
+
 FetchValue.prototype.constructPbRequest = function() {
     var protobuf = this.getPbReqBuilder();
 
@@ -68,6 +68,14 @@ function ListBuckets(options, callback) {
 
 inherits(ListBuckets, CommandBase);
 
+/**
+ * Listing buckets walks every key in the cluster, like listing keys.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+ListBuckets.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 ListBuckets.prototype.constructPbRequest = function() {
     var protobuf = this.getPbReqBuilder();
 
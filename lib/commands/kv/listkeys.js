@@ -73,6 +73,15 @@ function ListKeys(options, callback) {
 
 inherits(ListKeys, CommandBase);
 
+/**
+ * Listing keys walks every key in the cluster and streams for as long as
+ * that takes.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+ListKeys.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 ListKeys.prototype.constructPbRequest = function() {
     var protobuf = this.getPbReqBuilder();
     protobuf.setBucket(new Buffer(this.options.bucket));
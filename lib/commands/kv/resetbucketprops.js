@@ -19,7 +19,6 @@
 
 var CommandBase = require('../commandbase');
 var inherits = require('util').inherits;
-var logger = require('winston');
 var Joi = require('joi');
 
 /**
@@ -60,6 +59,15 @@ function ResetBucketProps(options, callback) {
 
 inherits(ResetBucketProps, CommandBase);
 
+/**
+ * Resetting properties is administrative and goes through the cluster
+ * metadata.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+ResetBucketProps.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 ResetBucketProps.prototype.constructPbRequest = function() {
     var protobuf = this.getPbReqBuilder();
     protobuf.setType(new Buffer(this.options.bucketType));
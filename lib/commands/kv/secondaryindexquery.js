@@ -82,6 +82,14 @@ function SecondaryIndexQuery(options, callback) {
 
 inherits(SecondaryIndexQuery, CommandBase);
 
+/**
+ * A query may match many objects and streams its results.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+SecondaryIndexQuery.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 SecondaryIndexQuery.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
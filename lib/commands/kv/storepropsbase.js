@@ -76,6 +76,15 @@ function StorePropsBase(options, pbRequestName, pbResponseName, callback) {
 
 inherits(StorePropsBase, CommandBase);
 
+/**
+ * Changing properties is administrative and goes through the cluster
+ * metadata.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+StorePropsBase.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 StorePropsBase.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
@@ -80,6 +80,44 @@ function StoreValue(options, callback) {
 
 inherits(StoreValue, CommandBase);
 
+/**
+ * Without a key, Riak generates one, so repeating the command would store
+ * a second object.
+ * @method isIdempotent
+ * @return {Boolean} true if a key was supplied.
+ */
+StoreValue.prototype.isIdempotent = function() {
+    var value = this.options.value;
+    return !!(this.options.key ||
+        (RiakObject.isRiakObject(value) && value.key));
+};
+
+/**
+ * The location of a RiakObject value takes precedence over the options.
+ * @method getLocation
+ * @return {Object} the bucket type, bucket and key, or null without a key.
+ */
+StoreValue.prototype.getLocation = function() {
+    var value = this.options.value;
+    var location = {
+        bucketType: this.options.bucketType,
+        bucket: this.options.bucket,
+        key: this.options.key
+    };
+    if (RiakObject.isRiakObject(value)) {
+        ['bucketType', 'bucket', 'key'].forEach(function (k) {
+            if (value.hasOwnProperty(k)) {
+                location[k] = value[k];
+            }
+        });
+    }
+    if (!location.bucket || !location.key) {
+        return null;
+    }
+    location.bucketType = location.bucketType || 'default';
+    return location;
+};
+
 StoreValue.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
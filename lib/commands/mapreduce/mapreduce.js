@@ -81,6 +81,14 @@ function MapReduce(query, callback, stream) {
 
 inherits(MapReduce, CommandBase);
 
+/**
+ * A MapReduce job streams its phase results until the job completes.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+MapReduce.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 MapReduce.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
@@ -19,7 +19,6 @@
 
 var inherits = require('util').inherits;
 var Joi = require('joi');
-var logger = require('winston');
 
 var CommandBase = require('../commandbase');
 var tsdata = require('./data');
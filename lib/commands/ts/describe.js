@@ -19,9 +19,9 @@
 
 var inherits = require('util').inherits;
 var Joi = require('joi');
-var logger = require('winston');
 
 var Query = require('./query');
+var errors = require('../../errors');
 
 /**
  * Provides the Describe class, its builder, and its response.
@@ -56,7 +56,7 @@ function Describe(options, callback) {
     var self = this;
     Joi.validate(options, schema, function(err, options) {
         if (err) {
-            throw err;
+            throw new errors.ValidationError(err.message, err.details);
         }
         self.options = options;
     });
@@ -19,7 +19,6 @@
 
 var inherits = require('util').inherits;
 var Joi = require('joi');
-var logger = require('winston');
 
 var ByKeyBase = require('./bykeybase');
 var tsutils = require('./utils');
@@ -56,6 +55,15 @@ function Get(options, callback) {
 
 inherits(Get, ByKeyBase);
 
+/**
+ * A get may be sent to a second node if the first is slow to respond.
+ * @method isHedgeable
+ * @return {Boolean} true
+ */
+Get.prototype.isHedgeable = function() {
+    return true;
+};
+
 Get.prototype.onSuccess = function(rpbGetResp) {
     // NB: rpbGetResp is TsGetResp, same as TsQueryResp
     // columns, rows
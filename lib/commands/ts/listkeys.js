@@ -68,6 +68,14 @@ function ListKeys(options, callback) {
 
 inherits(ListKeys, CommandBase);
 
+/**
+ * Listing the keys of a table streams them from every partition.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+ListKeys.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 ListKeys.prototype.constructPbRequest = function () {
     var protobuf = this.getPbReqBuilder();
     protobuf.setTable(new Buffer(this.options.table));
@@ -19,7 +19,6 @@
 
 var inherits = require('util').inherits;
 var Joi = require('joi');
-var logger = require('winston');
 
 var CommandBase = require('../commandbase');
 var tsdata = require('./data');
@@ -64,6 +63,14 @@ function Query(options, callback) {
 
 inherits(Query, CommandBase);
 
+/**
+ * A query may cover many quanta and return large results.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+Query.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 Query.prototype.constructPbRequest = function() {
     var protobuf = this.getPbReqBuilder();
 
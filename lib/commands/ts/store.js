@@ -19,7 +19,6 @@
 
 var util = require('util');
 var Joi = require('joi');
-var logger = require('winston');
 
 var ByteBuffer = require('bytebuffer');
 
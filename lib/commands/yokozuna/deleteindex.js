@@ -55,6 +55,14 @@ function DeleteIndex(options, callback) {
 
 inherits(DeleteIndex, CommandBase);
 
+/**
+ * Deleting an index waits for it to be removed from every node.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+DeleteIndex.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 DeleteIndex.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
@@ -75,6 +75,14 @@ function Search(options, callback)  {
 
 inherits(Search, CommandBase);
 
+/**
+ * A search may scan and return many documents.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+Search.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 Search.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
@@ -60,6 +60,14 @@ function StoreIndex(options, callback) {
 
 inherits(StoreIndex, CommandBase);
 
+/**
+ * Creating an index waits for it to be created on every node.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+StoreIndex.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 StoreIndex.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
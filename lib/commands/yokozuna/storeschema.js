@@ -58,6 +58,14 @@ function StoreSchema(options, callback) {
 
 inherits(StoreSchema, CommandBase);
 
+/**
+ * Schemas are administrative and uploaded rarely.
+ * @property commandClass
+ * @type {String}
+ * @default CommandBase.CommandClass.LONG
+ */
+StoreSchema.prototype.commandClass = CommandBase.CommandClass.LONG;
+
 StoreSchema.prototype.constructPbRequest = function() {
 
     var protobuf = this.getPbReqBuilder();
@@ -20,7 +20,8 @@
 var CommandBase = require('../commands/commandbase');
 var inherits = require('util').inherits;
 var Joi = require('joi');
-var logger = require('winston');
+
+var Logger = require('./logger');
 
 /**
  *
@@ -36,11 +37,13 @@ var logger = require('winston');
  * @param {Object} options
  * @param {String} options.user the user with which to authenticate (required)
  * @param {String} options.password the password with which to authenticate (optional)
+ * @param {Logger} [logger] the logger of the connection executing this command
  * @extends CommandBase
  */
-function AuthReq(options) {
+function AuthReq(options, logger) {
+    logger = logger || new Logger();
     CommandBase.call(this, 'RpbAuthReq', 'RpbAuthResp', function () {
-        logger.debug('[AuthReq] callback');
+        logger.debug('callback', { command: 'AuthReq' });
     });
     this.validateOptions(options, schema);
     this.user = this.options.user;
@@ -0,0 +1,309 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var inherits = require('util').inherits;
+var Joi = require('joi');
+
+var NodeManager = require('./nodemanager');
+var RetryPolicy = require('./retrypolicy');
+var RoundRobinNodeManager = require('./roundrobinnodemanager');
+var utils = require('./utils');
+var errors = require('../errors');
+
+// The sliding window is made of this many buckets of windowSize / BUCKETS ms
+var BUCKETS = 10;
+
+/**
+ * @module Core
+ */
+
+/**
+ * A NodeManager that can be used by RiakCluster.
+ *
+ * This NodeManager keeps a circuit breaker per RiakNode. Commands are only
+ * sent to nodes whose breaker is closed; the choice among them is made by
+ * another NodeManager, a RoundRobinNodeManager by default.
+ *
+ * Failures and timeouts are counted per node over a sliding window of
+ * __windowSize__ ms. Once at least __minimumRequests__ commands completed in
+ * the window and the proportion that failed reaches __failureRateThreshold__,
+ * the breaker opens and the node gets no commands. After __openTimeout__ ms it
+ * becomes half-open: up to __halfOpenRequests__ trial commands are sent to the
+ * node. If they all succeed the breaker closes again, if any fails it opens
+ * again.
+ *
+ * Riak error responses other than overload, timeouts and insufficient vnodes
+ * (e.g. notfound) are not counted as failures, as the node did respond.
+ * Commands that got no connection, because the node was busy or draining,
+ * are not counted at all.
+ *
+ * __options__ is an object with the following defaults:
+ *
+ *     {
+ *       nodeManager: new RoundRobinNodeManager(),
+ *       windowSize: 10000,
+ *       minimumRequests: 10,
+ *       failureRateThreshold: 0.5,
+ *       openTimeout: 5000,
+ *       halfOpenRequests: 3
+ *     }
+ *
+ * Each transition fires a
+ * {{#crossLink "CircuitBreakerNodeManager/circuitStateChange:event"}}circuitStateChange{{/crossLink}}
+ * event.
+ *
+ * @class CircuitBreakerNodeManager
+ * @constructor
+ * @extends NodeManager
+ * @param {Object} [options] The options.
+ * @param {NodeManager} [options.nodeManager=RoundRobinNodeManager] Chooses among the nodes with a closed breaker.
+ * @param {Number} [options.windowSize=10000] The sliding window in milliseconds over which failures are counted.
+ * @param {Number} [options.minimumRequests=10] The number of commands in the window before the breaker may open.
+ * @param {Number} [options.failureRateThreshold=0.5] The proportion of failed commands at which the breaker opens.
+ * @param {Number} [options.openTimeout=5000] The time in milliseconds a breaker stays open before trial commands are sent.
+ * @param {Number} [options.halfOpenRequests=3] The number of trial commands that must succeed to close the breaker.
+ */
+function CircuitBreakerNodeManager(options) {
+    NodeManager.call(this, 'CircuitBreakerNodeManager');
+
+    var self = this;
+    Joi.validate(options || {}, schema, function (err, options) {
+        if (err) {
+            throw new errors.ValidationError(err.message, err.details);
+        }
+        self.nodeManager = options.nodeManager || new RoundRobinNodeManager();
+        self.windowSize = options.windowSize;
+        self.minimumRequests = options.minimumRequests;
+        self.failureRateThreshold = options.failureRateThreshold;
+        self.openTimeout = options.openTimeout;
+        self.halfOpenRequests = options.halfOpenRequests;
+    });
+
+    this._breakers = {};
+}
+
+inherits(CircuitBreakerNodeManager, NodeManager);
+
+CircuitBreakerNodeManager.prototype._inheritLogger = function(logger) {
+    NodeManager.prototype._inheritLogger.call(this, logger);
+    if (typeof this.nodeManager._inheritLogger === 'function') {
+        this.nodeManager._inheritLogger(logger);
+    }
+};
+
+CircuitBreakerNodeManager.prototype.executeOnNode = function(nodes, command, previous) {
+    if (nodes.length === 0) {
+        this._logger.error('zero nodes for execution of command', { command: command.name });
+        return false;
+    }
+
+    var closed = [];
+    for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[i];
+        var breaker = this._getBreaker(node);
+        if (breaker.state === State.OPEN &&
+                Date.now() - breaker.openedAt >= this.openTimeout) {
+            this._setState(node, breaker, State.HALF_OPEN);
+        }
+        if (breaker.state === State.HALF_OPEN && this._trialAllowed(breaker)) {
+            // NB: trial commands go to a half-open node as soon as possible
+            if (this.tryExecute(node, command)) {
+                breaker.trials.push(command);
+                return true;
+            }
+        } else if (breaker.state === State.CLOSED) {
+            closed.push(node);
+        }
+    }
+
+    if (closed.length === 0) {
+        this._logger.debug('no node with a closed circuit', { command: command.name });
+        return false;
+    }
+    return this.nodeManager.executeOnNode(closed, command, previous);
+};
+
+CircuitBreakerNodeManager.prototype.onCommandResult = function(node, command, failure, latency) {
+    if (typeof this.nodeManager.onCommandResult === 'function') {
+        this.nodeManager.onCommandResult(node, command, failure, latency);
+    }
+
+    var breaker = this._getBreaker(node);
+    if (failure && failure.kind === RetryPolicy.Failure.NO_CONNECTION) {
+        // NB: the node is saturated or draining, which is no fault of its own
+        var trial = breaker.trials.indexOf(command);
+        if (trial >= 0) {
+            breaker.trials.splice(trial, 1);
+        }
+        return;
+    }
+    var failed = RetryPolicy.isNodeFailure(failure);
+    switch (breaker.state) {
+        case State.CLOSED:
+            var counts = record(breaker, Date.now(), this.windowSize, failed);
+            if (counts.total >= this.minimumRequests &&
+                    counts.failures / counts.total >= this.failureRateThreshold) {
+                this._setState(node, breaker, State.OPEN);
+            }
+            break;
+        case State.HALF_OPEN:
+            var i = breaker.trials.indexOf(command);
+            if (i < 0) {
+                // NB: sent before the circuit opened
+                break;
+            }
+            breaker.trials.splice(i, 1);
+            if (failed) {
+                this._setState(node, breaker, State.OPEN);
+            } else if (++breaker.successes >= this.halfOpenRequests) {
+                this._setState(node, breaker, State.CLOSED);
+            }
+            break;
+    }
+};
+
+CircuitBreakerNodeManager.prototype.onNodeRemoved = function(node) {
+    if (typeof this.nodeManager.onNodeRemoved === 'function') {
+        this.nodeManager.onNodeRemoved(node);
+    }
+    delete this._breakers[utils.nodeKey(node)];
+};
+
+/**
+ * Get the state of the circuit breaker of a node.
+ * @method getState
+ * @param {RiakNode} node the node.
+ * @return {Number} the {{#crossLink "CircuitBreakerNodeManager/State:property"}}CircuitBreakerNodeManager.State{{/crossLink}}
+ */
+CircuitBreakerNodeManager.prototype.getState = function(node) {
+    return this._getBreaker(node).state;
+};
+
+CircuitBreakerNodeManager.prototype._getBreaker = function(node) {
+    var key = utils.nodeKey(node);
+    var breaker = this._breakers[key];
+    if (!breaker) {
+        breaker = this._breakers[key] = {
+            state: State.CLOSED,
+            buckets: [],
+            openedAt: 0,
+            trials: [],
+            successes: 0
+        };
+    }
+    return breaker;
+};
+
+CircuitBreakerNodeManager.prototype._trialAllowed = function(breaker) {
+    // NB: a cancelled trial command never reports a result
+    breaker.trials = breaker.trials.filter(function (command) {
+        return !command.abandoned;
+    });
+    return breaker.trials.length + breaker.successes < this.halfOpenRequests;
+};
+
+CircuitBreakerNodeManager.prototype._setState = function(node, breaker, state) {
+    breaker.state = state;
+    breaker.buckets = [];
+    breaker.trials = [];
+    breaker.successes = 0;
+    if (state === State.OPEN) {
+        breaker.openedAt = Date.now();
+    }
+    var fields = { node: utils.nodeKey(node), state: stateNames[state] };
+    if (state === State.OPEN) {
+        this._logger.warn('circuit opened', fields);
+    } else {
+        this._logger.info('circuit ' + stateNames[state], fields);
+    }
+    this.emit(EVT_CSC, node, state);
+};
+
+/*
+ * Records a result in the sliding window of breaker and returns the counts
+ * within the window.
+ */
+function record(breaker, now, windowSize, failed) {
+    var bucketSize = windowSize / BUCKETS;
+    var index = Math.floor(now / bucketSize);
+    var buckets = breaker.buckets;
+    while (buckets.length && buckets[0].index <= index - BUCKETS) {
+        buckets.shift();
+    }
+    var last = buckets[buckets.length - 1];
+    if (!last || last.index !== index) {
+        last = { index: index, total: 0, failures: 0 };
+        buckets.push(last);
+    }
+    last.total++;
+    if (failed) {
+        last.failures++;
+    }
+    var counts = { total: 0, failures: 0 };
+    for (var i = 0; i < buckets.length; i++) {
+        counts.total += buckets[i].total;
+        counts.failures += buckets[i].failures;
+    }
+    return counts;
+}
+
+/**
+ * The state of a circuit breaker.
+ *
+ *     CircuitBreakerNodeManager.State.CLOSED     - commands are sent to the node
+ *     CircuitBreakerNodeManager.State.OPEN       - no commands are sent to the node
+ *     CircuitBreakerNodeManager.State.HALF_OPEN  - trial commands are sent to the node
+ *
+ * @property State
+ * @type {Object}
+ * @static
+ * @final
+ */
+var State = Object.freeze({
+    CLOSED : 0,
+    OPEN : 1,
+    HALF_OPEN : 2
+});
+
+var stateNames = Object.freeze({
+    0 : 'closed',
+    1 : 'open',
+    2 : 'half-open'
+});
+
+/**
+ * This event is fired whenever the circuit breaker of a node changes state.
+ * @event circuitStateChange
+ * @param {RiakNode} node - the node
+ * @param {Number} state - the {{#crossLink "CircuitBreakerNodeManager/State:property"}}CircuitBreakerNodeManager.State{{/crossLink}}
+ */
+var EVT_CSC = 'circuitStateChange';
+
+var schema = Joi.object().keys({
+    nodeManager: Joi.object().optional(),
+    windowSize: Joi.number().min(BUCKETS).default(10000),
+    minimumRequests: Joi.number().integer().min(1).default(10),
+    failureRateThreshold: Joi.number().greater(0).max(1).default(0.5),
+    openTimeout: Joi.number().min(0).default(5000),
+    halfOpenRequests: Joi.number().integer().min(1).default(3)
+});
+
+module.exports = CircuitBreakerNodeManager;
+module.exports.State = State;
+module.exports.stateNames = stateNames;
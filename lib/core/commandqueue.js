@@ -0,0 +1,119 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var CommandBase = require('../commands/commandbase');
+
+/**
+ * @module Core
+ */
+
+/**
+ * The queue of commands waiting for a RiakNode, used by a
+ * {{#crossLink "RiakCluster"}}{{/crossLink}} with __queueCommands__ set.
+ *
+ * Commands are kept in order of priority, highest first, and in the order
+ * they were queued within a priority. See
+ * {{#crossLink "CommandBase/setPriority:method"}}{{/crossLink}}.
+ *
+ * Each command is held in an entry with its priority and command class, to
+ * which the RiakCluster adds e.g. the timer of its queue timeout.
+ *
+ * @class CommandQueue
+ * @constructor
+ * @private
+ */
+function CommandQueue() {
+    this._entries = [];
+    this._seq = 0;
+}
+
+/**
+ * The number of queued commands.
+ * @property length
+ * @type {Number}
+ */
+Object.defineProperty(CommandQueue.prototype, 'length', {
+    get: function () {
+        return this._entries.length;
+    }
+});
+
+/**
+ * Queue a command behind those of the same or a higher priority.
+ * @method push
+ * @param {Object} command the command.
+ * @return {Object} the entry of the command.
+ */
+CommandQueue.prototype.push = function (command) {
+    var entry = {
+        command: command,
+        priority: command.priority || 0,
+        commandClass: typeof command.getCommandClass === 'function' ?
+            command.getCommandClass() : CommandBase.CommandClass.SHORT,
+        seq: this._seq++
+    };
+    // NB: binary search for the first entry that goes after this one
+    var lo = 0;
+    var hi = this._entries.length;
+    while (lo < hi) {
+        var mid = (lo + hi) >>> 1;
+        if (this._entries[mid].priority >= entry.priority) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    this._entries.splice(lo, 0, entry);
+    return entry;
+};
+
+/**
+ * Get the entry of the next command, leaving it in the queue.
+ * @method peek
+ * @return {Object} the entry, or null if the queue is empty.
+ */
+CommandQueue.prototype.peek = function () {
+    return this._entries.length ? this._entries[0] : null;
+};
+
+/**
+ * Get the entries of the queued commands, in order.
+ * @method entries
+ * @return {Object[]} a copy of the entries.
+ */
+CommandQueue.prototype.entries = function () {
+    return this._entries.slice();
+};
+
+/**
+ * Take a command out of the queue.
+ * @method remove
+ * @param {Object} command the command.
+ * @return {Object} the entry of the command, or null if it was not queued.
+ */
+CommandQueue.prototype.remove = function (command) {
+    for (var i = 0; i < this._entries.length; i++) {
+        if (this._entries[i].command === command) {
+            return this._entries.splice(i, 1)[0];
+        }
+    }
+    return null;
+};
+
+module.exports = CommandQueue;
@@ -28,9 +28,21 @@ function Core() { }
 module.exports = Core;
 module.exports.RiakNode = require('./riaknode');
 module.exports.RiakCluster = require('./riakcluster');
+module.exports.Metrics = require('./metrics');
+module.exports.ClusterConfig = require('./clusterconfig');
 
 var RoundRobinNodeManager = require('./roundrobinnodemanager');
 module.exports.RoundRobinNodeManager = RoundRobinNodeManager;
 module.exports.DefaultNodeManager = RoundRobinNodeManager;
 
 module.exports.LeastExecutingNodeManager = require('./leastexecutingnodemanager');
+module.exports.CircuitBreakerNodeManager = require('./circuitbreakernodemanager');
+module.exports.LatencyAwareNodeManager = require('./latencyawarenodemanager');
+module.exports.KeyAwareNodeManager = require('./keyawarenodemanager');
+module.exports.ZoneAwareNodeManager = require('./zoneawarenodemanager');
+module.exports.WeightedRoundRobinNodeManager = require('./weightedroundrobinnodemanager');
+
+module.exports.RetryPolicy = require('./retrypolicy');
+var ExponentialBackoffRetryPolicy = require('./exponentialbackoffretrypolicy');
+module.exports.ExponentialBackoffRetryPolicy = ExponentialBackoffRetryPolicy;
+module.exports.DefaultRetryPolicy = ExponentialBackoffRetryPolicy;
@@ -0,0 +1,110 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var inherits = require('util').inherits;
+var Joi = require('joi');
+
+var RetryPolicy = require('./retrypolicy');
+var errors = require('../errors');
+
+var Failure = RetryPolicy.Failure;
+
+/**
+ * @module Core
+ */
+
+/**
+ * A RetryPolicy that can be used by RiakCluster.
+ *
+ * Retries transient failures, waiting a random time of up to
+ * __initialDelay * multiplier^(attempt - 1)__, capped at __maxDelay__
+ * ("full jitter"). Failures are treated as follows:
+ *
+ * - not sent, i.e. CONNECTION_FAILED and NO_CONNECTION, and OVERLOAD (refused by Riak): always retried.
+ * - CONNECTION_CLOSED, TIMEOUT, INSUFFICIENT_VNODES and UNEXPECTED_RESPONSE: retried if the command is idempotent.
+ * - NOT_FOUND and RIAK_ERROR: not retried.
+ *
+ * __options__ is an object with the following defaults:
+ *
+ *     {
+ *       initialDelay: 50,
+ *       maxDelay: 2000,
+ *       multiplier: 2,
+ *       jitter: true
+ *     }
+ *
+ * @class ExponentialBackoffRetryPolicy
+ * @constructor
+ * @extends RetryPolicy
+ * @param {Object} [options] The options.
+ * @param {Number} [options.initialDelay=50] The maximum delay in milliseconds before the first retry.
+ * @param {Number} [options.maxDelay=2000] The maximum delay in milliseconds before any retry.
+ * @param {Number} [options.multiplier=2] The factor by which the delay grows with each attempt.
+ * @param {Boolean} [options.jitter=true] Wait a random time up to the delay rather than the delay itself.
+ */
+function ExponentialBackoffRetryPolicy(options) {
+    RetryPolicy.call(this, 'ExponentialBackoffRetryPolicy');
+
+    var self = this;
+    Joi.validate(options || {}, schema, function (err, options) {
+        if (err) {
+            throw new errors.ValidationError(err.message, err.details);
+        }
+        self.initialDelay = options.initialDelay;
+        self.maxDelay = options.maxDelay;
+        self.multiplier = options.multiplier;
+        self.jitter = options.jitter;
+    });
+}
+
+inherits(ExponentialBackoffRetryPolicy, RetryPolicy);
+
+ExponentialBackoffRetryPolicy.prototype.shouldRetry = function(command, failure, attempt) {
+    switch (failure.kind) {
+        case Failure.CONNECTION_FAILED:
+        case Failure.NO_CONNECTION:
+        case Failure.OVERLOAD:
+            return true;
+        case Failure.CONNECTION_CLOSED:
+        case Failure.TIMEOUT:
+        case Failure.INSUFFICIENT_VNODES:
+        case Failure.UNEXPECTED_RESPONSE:
+            return RetryPolicy.isIdempotent(command);
+        default:
+            return false;
+    }
+};
+
+ExponentialBackoffRetryPolicy.prototype.getDelay = function(command, failure, attempt) {
+    var delay = Math.min(this.maxDelay,
+        this.initialDelay * Math.pow(this.multiplier, Math.max(attempt - 1, 0)));
+    if (this.jitter) {
+        delay = Math.random() * delay;
+    }
+    return Math.round(delay);
+};
+
+var schema = Joi.object().keys({
+    initialDelay: Joi.number().min(0).default(50),
+    maxDelay: Joi.number().min(0).default(2000),
+    multiplier: Joi.number().min(1).default(2),
+    jitter: Joi.boolean().default(true)
+});
+
+module.exports = ExponentialBackoffRetryPolicy;
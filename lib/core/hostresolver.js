@@ -0,0 +1,176 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var async = require('async');
+var dns = require('dns');
+var net = require('net');
+
+var RiakNode = require('./riaknode');
+
+/**
+ * @module Core
+ */
+
+/**
+ * Expands the RiakNodes of a {{#crossLink "RiakCluster"}}{{/crossLink}}
+ * with __resolveHosts__ set whose address is a hostname into one RiakNode
+ * per address the hostname resolves to.
+ *
+ * The hostname nodes are taken out of the cluster and used as templates:
+ * the node of each address has their options. Every __interval__ ms the
+ * hostnames are resolved again, nodes are added for new addresses and those
+ * of addresses that went away are removed. A failed lookup leaves the nodes
+ * of its hostname as they are.
+ *
+ * @class HostResolver
+ * @constructor
+ * @private
+ * @param {RiakCluster} cluster the cluster.
+ * @param {Number} interval the time in milliseconds between lookups, 0 to only resolve at start.
+ */
+function HostResolver(cluster, interval) {
+    this._cluster = cluster;
+    this._interval = interval;
+    this._timer = null;
+    this._stopped = false;
+    this._lookup = dns.lookup;
+    // each hostname node, with the nodes of its addresses by address
+    this._hosts = [];
+
+    var nodes = [];
+    cluster.nodes.forEach(function (node) {
+        if (net.isIP(node.remoteAddress)) {
+            nodes.push(node);
+        } else {
+            this._hosts.push({ template: node, nodes: {} });
+        }
+    }, this);
+    cluster.nodes = nodes;
+}
+
+/**
+ * Resolve the hostnames, adding the nodes of their addresses to the
+ * cluster, then resolve them every interval.
+ * @method start
+ * @param {Function} callback called once resolved.
+ * @param {Object[]} callback.failed the hostnames that could not be resolved, each a node and an err.
+ */
+HostResolver.prototype.start = function (callback) {
+    var self = this;
+    this._resolve(true, function (failed) {
+        self._schedule();
+        callback(failed);
+    });
+};
+
+/**
+ * Stop resolving the hostnames.
+ * @method stop
+ */
+HostResolver.prototype.stop = function () {
+    this._stopped = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+};
+
+HostResolver.prototype._schedule = function () {
+    if (this._interval && !this._stopped) {
+        this._timer = setTimeout(this._refresh.bind(this), this._interval);
+    }
+};
+
+HostResolver.prototype._refresh = function () {
+    this._timer = null;
+    this._resolve(false, this._schedule.bind(this));
+};
+
+HostResolver.prototype._resolve = function (initial, callback) {
+    var failed = [];
+    var self = this;
+    async.each(this._hosts, function (host, async_cb) {
+        var hostname = host.template.remoteAddress;
+        self._lookup(hostname, { all: true }, function (err, addresses) {
+            if (self._stopped) {
+                return async_cb();
+            }
+            if (err) {
+                self._cluster._logger.warn('could not resolve host', { host: hostname, err: err });
+                failed.push({ node: host.template._metricLabels.node, err: err });
+            } else {
+                self._update(host, addresses.map(function (a) {
+                    return a.address;
+                }), initial);
+            }
+            async_cb();
+        });
+    }, function () {
+        callback(failed);
+    });
+};
+
+/*
+ * Adds the nodes of new addresses of a host and removes those of addresses
+ * it no longer has. Until the cluster starts they are added directly. A node
+ * the cluster does not take, e.g. as it cannot start, is tried again at the
+ * next lookup.
+ */
+HostResolver.prototype._update = function (host, addresses, initial) {
+    var cluster = this._cluster;
+    var added = [];
+    var removed = [];
+    addresses.forEach(function (address) {
+        if (!host.nodes[address]) {
+            var node = buildNode(host.template, address);
+            host.nodes[address] = node;
+            added.push(address);
+            if (initial) {
+                cluster.nodes.push(node);
+            } else {
+                cluster.addNode(node, function (err) {
+                    if (err && host.nodes[address] === node) {
+                        delete host.nodes[address];
+                    }
+                });
+            }
+        }
+    });
+    Object.keys(host.nodes).forEach(function (address) {
+        if (addresses.indexOf(address) === -1) {
+            cluster.removeNode(host.nodes[address]);
+            delete host.nodes[address];
+            removed.push(address);
+        }
+    });
+    if (added.length || removed.length) {
+        cluster._logger.info('host resolved',
+            { host: host.template.remoteAddress, added: added, removed: removed });
+    }
+};
+
+// A node with the options of template, at address
+function buildNode(template, address) {
+    var options = {};
+    Object.keys(template._options).forEach(function (key) {
+        options[key] = template._options[key];
+    });
+    options.remoteAddress = address;
+    return new RiakNode(options);
+}
+
+module.exports = HostResolver;
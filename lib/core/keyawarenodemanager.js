@@ -0,0 +1,272 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var inherits = require('util').inherits;
+var Joi = require('joi');
+
+var NodeManager = require('./nodemanager');
+var RoundRobinNodeManager = require('./roundrobinnodemanager');
+var FetchPreflist = require('../commands/kv/fetchpreflist');
+var errors = require('../errors');
+
+/**
+ * @module Core
+ */
+
+/**
+ * A NodeManager that can be used by RiakCluster.
+ *
+ * This NodeManager sends commands on a single key, e.g. FetchValue,
+ * StoreValue, DeleteValue and the CRDT fetch and update commands, to a
+ * primary node for the key, rather than to a node that would coordinate
+ * the request on behalf of the owners.
+ *
+ * The partition of a key is computed client-side from the consistent hash
+ * of its bucket type, bucket and key, as Riak does, which requires the
+ * __ringSize__ to match the ring_creation_size of the Riak cluster. The node
+ * owning each partition is learned from preflists: when the owner of a
+ * partition is unknown or older than __preflistTtl__ ms, a
+ * {{#crossLink "FetchPreflist"}}{{/crossLink}} is sent in the background for
+ * the key and the command is executed as usual. Preflists fetched by the
+ * application can be supplied via
+ * {{#crossLink "KeyAwareNodeManager/updatePreflist:method"}}{{/crossLink}}.
+ *
+ * Riak names its nodes e.g. riak@10.0.0.1. A Riak node is matched to the
+ * RiakNode with the same address, unless __nodeNames__ maps it to an
+ * address:port, e.g. { 'dev1@127.0.0.1': '127.0.0.1:10017' }, with IPv6
+ * addresses in brackets.
+ *
+ * The first connected primary of the __nVal__ replicas is used. If none is
+ * connected, and for all other commands, the node is chosen by another
+ * NodeManager, a RoundRobinNodeManager by default.
+ *
+ * __options__ is an object with the following defaults:
+ *
+ *     {
+ *       nodeManager: new RoundRobinNodeManager(),
+ *       ringSize: 64,
+ *       nVal: 3,
+ *       preflistTtl: 60000,
+ *       fetchPreflists: true,
+ *       nodeNames: {}
+ *     }
+ *
+ * @class KeyAwareNodeManager
+ * @constructor
+ * @extends NodeManager
+ * @param {Object} [options] The options.
+ * @param {NodeManager} [options.nodeManager=RoundRobinNodeManager] Chooses the node when no primary can be used.
+ * @param {Number} [options.ringSize=64] The number of partitions in the Riak ring, a power of 2.
+ * @param {Number} [options.nVal=3] The number of primary replicas to try.
+ * @param {Number} [options.preflistTtl=60000] The time in milliseconds the owner of a partition is trusted.
+ * @param {Boolean} [options.fetchPreflists=true] Fetch the preflist of keys whose partition owner is unknown.
+ * @param {Object} [options.nodeNames] Maps Riak node names to the address:port of a RiakNode.
+ */
+function KeyAwareNodeManager(options) {
+    NodeManager.call(this, 'KeyAwareNodeManager');
+
+    var self = this;
+    Joi.validate(options || {}, schema, function (err, options) {
+        if (err) {
+            throw new errors.ValidationError(err.message, err.details);
+        }
+        if (options.ringSize & (options.ringSize - 1)) {
+            throw new errors.ValidationError('"ringSize" must be a power of 2');
+        }
+        self.nodeManager = options.nodeManager || new RoundRobinNodeManager();
+        self.ringSize = options.ringSize;
+        self.nVal = options.nVal;
+        self.preflistTtl = options.preflistTtl;
+        self.fetchPreflists = options.fetchPreflists;
+        self.nodeNames = options.nodeNames;
+    });
+
+    // partition -> { node: Riak node name, updated: time }
+    this._owners = {};
+    // partition -> true while its preflist is being fetched
+    this._fetching = {};
+}
+
+inherits(KeyAwareNodeManager, NodeManager);
+
+KeyAwareNodeManager.prototype._inheritLogger = function(logger) {
+    NodeManager.prototype._inheritLogger.call(this, logger);
+    if (typeof this.nodeManager._inheritLogger === 'function') {
+        this.nodeManager._inheritLogger(logger);
+    }
+};
+
+KeyAwareNodeManager.prototype.executeOnNode = function(nodes, command, previous) {
+    if (nodes.length === 0) {
+        this._logger.error('zero nodes for execution of command', { command: command.name });
+        return false;
+    }
+
+    var location = typeof command.getLocation === 'function' ? command.getLocation() : null;
+    if (location) {
+        var partition = partitionFor(location, this.ringSize);
+        var now = Date.now();
+        var known = true;
+        for (var i = 0; i < this.nVal; i++) {
+            var owner = this._owners[(partition + i) % this.ringSize];
+            if (!owner || now - owner.updated > this.preflistTtl) {
+                known = false;
+                continue;
+            }
+            var node = this._resolve(owner.node, nodes);
+            if (node && node !== previous && this.tryExecute(node, command)) {
+                return true;
+            }
+        }
+        if (!known && this.fetchPreflists) {
+            this._fetchPreflist(nodes, location, partition);
+        }
+        this._logger.debug('no primary for command', { command: command.name, partition: partition });
+    }
+    return this.nodeManager.executeOnNode(nodes, command, previous);
+};
+
+KeyAwareNodeManager.prototype.onCommandResult = function(node, command, failure, latency) {
+    if (typeof this.nodeManager.onCommandResult === 'function') {
+        this.nodeManager.onCommandResult(node, command, failure, latency);
+    }
+};
+
+KeyAwareNodeManager.prototype.onNodeRemoved = function(node) {
+    if (typeof this.nodeManager.onNodeRemoved === 'function') {
+        this.nodeManager.onNodeRemoved(node);
+    }
+};
+
+/**
+ * Learn the owners of partitions from a preflist, e.g. the response of a
+ * {{#crossLink "FetchPreflist"}}{{/crossLink}}. Only primaries are used.
+ * @method updatePreflist
+ * @param {Object[]} preflist the preflist entries, each with partition, node and primary.
+ */
+KeyAwareNodeManager.prototype.updatePreflist = function(preflist) {
+    var now = Date.now();
+    for (var i = 0; i < preflist.length; i++) {
+        var entry = preflist[i];
+        if (entry.primary) {
+            this._owners[entry.partition] = { node: entry.node, updated: now };
+        }
+    }
+};
+
+/**
+ * Get the partition of a key.
+ * @method getPartition
+ * @param {Object} location the bucketType, bucket and key.
+ * @return {Number} the index of the first primary partition.
+ */
+KeyAwareNodeManager.prototype.getPartition = function(location) {
+    return partitionFor(location, this.ringSize);
+};
+
+KeyAwareNodeManager.prototype._resolve = function(riakNodeName, nodes) {
+    var address = this.nodeNames[riakNodeName];
+    var host = riakNodeName.slice(riakNodeName.indexOf('@') + 1);
+    var found = null;
+    for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[i];
+        var matches = address ?
+            address === node._metricLabels.node :
+            host === node.remoteAddress;
+        if (matches) {
+            if (found) {
+                // NB: several RiakNodes on one host need nodeNames
+                return null;
+            }
+            found = node;
+        }
+    }
+    return found;
+};
+
+KeyAwareNodeManager.prototype._fetchPreflist = function(nodes, location, partition) {
+    if (this._fetching[partition]) {
+        return;
+    }
+    this._fetching[partition] = true;
+    var self = this;
+    var fetch = new FetchPreflist(location, function (err, rslt) {
+        delete self._fetching[partition];
+        if (err) {
+            self._logger.debug('could not fetch preflist', { partition: partition, err: err.message || err });
+            return;
+        }
+        var preflist = rslt.preflist;
+        if (preflist.length && preflist[0].partition !== partition) {
+            self._logger.warn('preflist does not match the ring size',
+                { partition: partition, preflistPartition: preflist[0].partition, ringSize: self.ringSize });
+            return;
+        }
+        self.updatePreflist(preflist);
+    });
+    if (!this.nodeManager.executeOnNode(nodes, fetch)) {
+        delete this._fetching[partition];
+    }
+};
+
+/*
+ * The index of the first primary partition of a key: the partition
+ * following the one its hash falls in, as computed by riak_core.
+ */
+function partitionFor(location, ringSize) {
+    var hash = crypto.createHash('sha1').update(termToBinary(location)).digest();
+    var bits = Math.round(Math.log(ringSize) / Math.LN2);
+    var top = bits === 0 ? 0 : hash.readUInt32BE(0) >>> (32 - bits);
+    return (top + 1) % ringSize;
+}
+
+/*
+ * The Erlang external term format of {Bucket, Key}, where Bucket is
+ * {Type, Bucket} for bucket types other than default.
+ */
+function termToBinary(location) {
+    var parts = [new Buffer([131])];
+    var bucket = binaryTerm(location.bucket);
+    if (location.bucketType && location.bucketType !== 'default') {
+        bucket = Buffer.concat([new Buffer([104, 2]), binaryTerm(location.bucketType), bucket]);
+    }
+    parts.push(new Buffer([104, 2]), bucket, binaryTerm(location.key));
+    return Buffer.concat(parts);
+}
+
+function binaryTerm(value) {
+    var data = Buffer.isBuffer(value) ? value : new Buffer(String(value));
+    var header = new Buffer(5);
+    header.writeUInt8(109, 0);
+    header.writeUInt32BE(data.length, 1);
+    return Buffer.concat([header, data]);
+}
+
+var schema = Joi.object().keys({
+    nodeManager: Joi.object().optional(),
+    ringSize: Joi.number().integer().min(1).max(1 << 20).default(64),
+    nVal: Joi.number().integer().min(1).default(3),
+    preflistTtl: Joi.number().min(0).default(60000),
+    fetchPreflists: Joi.boolean().default(true),
+    nodeNames: Joi.object().pattern(/.*/, Joi.string()).default({})
+});
+
+module.exports = KeyAwareNodeManager;
+module.exports.partitionFor = partitionFor;
@@ -0,0 +1,191 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var inherits = require('util').inherits;
+var Joi = require('joi');
+
+var NodeManager = require('./nodemanager');
+var RetryPolicy = require('./retrypolicy');
+var RiakNode = require('./riaknode');
+var utils = require('./utils');
+var errors = require('../errors');
+
+/**
+ * @module Core
+ */
+
+/**
+ * A NodeManager that can be used by RiakCluster.
+ *
+ * This NodeManager keeps an exponentially weighted moving average (EWMA) of
+ * the latency of commands on each RiakNode. The expected cost of a node is
+ * its average latency multiplied by the number of commands executing on it,
+ * plus one. For each command two running nodes are picked at random and the
+ * one with the lower cost is chosen ("power of two choices").
+ *
+ * Older measurements lose weight with a half-life of __decayTime__ ms. The
+ * average of a node that has not completed a command for a while decays
+ * towards zero too, so a node that was slow is tried again and wins back
+ * traffic once it has recovered.
+ *
+ * A command that fails counts as taking at least __failurePenalty__ ms, so
+ * that a node failing fast does not look fast. Riak error responses such as
+ * notfound are counted as normal responses.
+ *
+ * __options__ is an object with the following defaults:
+ *
+ *     {
+ *       decayTime: 10000,
+ *       failurePenalty: 1000
+ *     }
+ *
+ * @class LatencyAwareNodeManager
+ * @constructor
+ * @extends NodeManager
+ * @param {Object} [options] The options.
+ * @param {Number} [options.decayTime=10000] The half-life in milliseconds of latency measurements.
+ * @param {Number} [options.failurePenalty=1000] The latency in milliseconds counted for a failed command.
+ */
+function LatencyAwareNodeManager(options) {
+    NodeManager.call(this, 'LatencyAwareNodeManager');
+
+    var self = this;
+    Joi.validate(options || {}, schema, function (err, options) {
+        if (err) {
+            throw new errors.ValidationError(err.message, err.details);
+        }
+        self.decayTime = options.decayTime;
+        self.failurePenalty = options.failurePenalty;
+    });
+
+    this._latencies = {};
+}
+
+inherits(LatencyAwareNodeManager, NodeManager);
+
+LatencyAwareNodeManager.prototype.executeOnNode = function(nodes, command, previous) {
+    if (nodes.length === 0) {
+        this._logger.error('zero nodes for execution of command', { command: command.name });
+        return false;
+    }
+
+    var running = nodes.filter(function (node) {
+        return node.state === RiakNode.State.RUNNING;
+    });
+    if (running.length === 0) {
+        return false;
+    }
+
+    var now = Date.now();
+    var self = this;
+    var candidates = pickTwo(running).map(function (node) {
+        return { node: node, cost: self._getCost(node, now) };
+    });
+    candidates.sort(byCost);
+
+    for (var i = 0; i < candidates.length; i++) {
+        if (this.tryExecute(candidates[i].node, command)) {
+            return true;
+        }
+    }
+
+    // NB: both choices refused the command, try the others cheapest first
+    var rest = running.filter(function (node) {
+        return !candidates.some(function (c) {
+            return c.node === node;
+        });
+    }).map(function (node) {
+        return { node: node, cost: self._getCost(node, now) };
+    });
+    rest.sort(byCost);
+    for (i = 0; i < rest.length; i++) {
+        if (this.tryExecute(rest[i].node, command)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+LatencyAwareNodeManager.prototype.onCommandResult = function(node, command, failure, latency) {
+    if (RetryPolicy.isNodeFailure(failure)) {
+        latency = Math.max(latency || 0, this.failurePenalty);
+    }
+    if (latency === undefined) {
+        return;
+    }
+    var now = Date.now();
+    var key = utils.nodeKey(node);
+    var l = this._latencies[key];
+    if (!l) {
+        this._latencies[key] = { ewma: latency, updated: now };
+        return;
+    }
+    var w = this._weight(now - l.updated);
+    l.ewma = l.ewma * w + latency * (1 - w);
+    l.updated = now;
+};
+
+/**
+ * Get the average latency of a node, in milliseconds.
+ * @method getLatency
+ * @param {RiakNode} node the node.
+ * @return {Number} the decayed average latency, 0 if nothing was measured.
+ */
+LatencyAwareNodeManager.prototype.getLatency = function(node) {
+    var l = this._latencies[utils.nodeKey(node)];
+    if (!l) {
+        return 0;
+    }
+    return l.ewma * this._weight(Date.now() - l.updated);
+};
+
+LatencyAwareNodeManager.prototype._getCost = function(node, now) {
+    var l = this._latencies[utils.nodeKey(node)];
+    var ewma = l ? l.ewma * this._weight(now - l.updated) : 0;
+    return ewma * (node.executeCount + 1);
+};
+
+// The weight of a measurement made elapsed ms ago
+LatencyAwareNodeManager.prototype._weight = function(elapsed) {
+    return Math.pow(0.5, Math.max(elapsed, 0) / this.decayTime);
+};
+
+function byCost(a, b) {
+    return a.cost - b.cost;
+}
+
+// Two distinct nodes chosen at random, or the only node
+function pickTwo(nodes) {
+    if (nodes.length < 2) {
+        return nodes.slice();
+    }
+    var i = Math.floor(Math.random() * nodes.length);
+    var j = Math.floor(Math.random() * (nodes.length - 1));
+    if (j >= i) {
+        j++;
+    }
+    return [nodes[i], nodes[j]];
+}
+
+var schema = Joi.object().keys({
+    decayTime: Joi.number().greater(0).default(10000),
+    failurePenalty: Joi.number().min(0).default(1000)
+});
+
+module.exports = LatencyAwareNodeManager;
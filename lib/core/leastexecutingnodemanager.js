@@ -16,7 +16,6 @@
  */
 
 var inherits = require('util').inherits;
-var logger = require('winston');
 
 var NodeManager = require('./nodemanager');
 
@@ -43,7 +42,7 @@ inherits(LeastExecutingNodeManager, NodeManager);
 
 LeastExecutingNodeManager.prototype.executeOnNode = function(nodes, command, previous) {
     if (nodes.length === 0) {
-        logger.error("[LeastExecutingNodeManager] zero nodes for execution of command %s", command.name);
+        this._logger.error('zero nodes for execution of command', { command: command.name });
         return false;
     }
 
@@ -0,0 +1,117 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var winston = require('winston');
+
+/**
+ * @module Core
+ */
+
+/**
+ * Structured logging used by the client.
+ *
+ * A logger may be supplied to {{#crossLink "RiakCluster"}}{{/crossLink}} and
+ * {{#crossLink "RiakNode"}}{{/crossLink}} (and via these, to connections and
+ * commands). It is any object with __debug__, __info__, __warn__ and
+ * __error__ methods taking a fields object followed by a message, the
+ * convention used by pino and bunyan:
+ *
+ *     var pino = require('pino')();
+ *     var cluster = new RiakCluster.Builder()
+ *          .withRiakNodes(nodes)
+ *          .withLogger(pino)
+ *          .build();
+ *
+ * Fields identify the source of a log entry, e.g. __node__ (address:port),
+ * __connection__ (connection id) and __command__ (command name).
+ *
+ * If no logger is supplied, entries go to the default winston logger.
+ *
+ * @class Logger
+ * @constructor
+ * @param {Object} [target] the logger to write to. Default is the winston default logger.
+ * @param {Object} [fields] fields added to every entry.
+ */
+function Logger(target, fields) {
+    if (target instanceof Logger) {
+        fields = merge(target._fields, fields);
+        target = target._target;
+    }
+    this._target = target || winstonTarget;
+    this._fields = fields || {};
+}
+
+/**
+ * Returns a Logger writing to the same target with additional fields.
+ * @method child
+ * @param {Object} fields fields added to every entry.
+ * @return {Logger}
+ */
+Logger.prototype.child = function (fields) {
+    return new Logger(this._target, merge(this._fields, fields));
+};
+
+['debug', 'info', 'warn', 'error'].forEach(function (level) {
+    Logger.prototype[level] = function (msg, fields) {
+        this._target[level](merge(this._fields, fields), msg);
+    };
+});
+
+function merge(a, b) {
+    var m = {};
+    var k;
+    for (k in a) {
+        m[k] = a[k];
+    }
+    for (k in b) {
+        m[k] = b[k];
+    }
+    return m;
+}
+
+var winstonTarget = {
+    debug: function (fields, msg) {
+        winston.debug(msg, fields);
+    },
+    info: function (fields, msg) {
+        winston.info(msg, fields);
+    },
+    warn: function (fields, msg) {
+        winston.warn(msg, fields);
+    },
+    error: function (fields, msg) {
+        winston.error(msg, fields);
+    }
+};
+
+/**
+ * Validates a user supplied logger.
+ * @method isLogger
+ * @static
+ * @param {Object} logger the logger.
+ * @return {Boolean} true if the logger has all required methods.
+ */
+function isLogger(logger) {
+    return !!logger && ['debug', 'info', 'warn', 'error'].every(function (level) {
+        return typeof logger[level] === 'function';
+    });
+}
+
+module.exports = Logger;
+module.exports.isLogger = isLogger;
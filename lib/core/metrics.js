@@ -0,0 +1,415 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @module Core
+ */
+
+/**
+ * A registry of counters, gauges and histograms describing what the client
+ * is doing.
+ *
+ * A {{#crossLink "RiakCluster"}}{{/crossLink}} creates a registry unless one
+ * is supplied, and shares it with its nodes. The following metrics are
+ * maintained by the client:
+ *
+ *     riak_client_commands_total{command}                    counter
+ *     riak_client_command_duration_seconds{command,node}     histogram
+ *     riak_client_command_errors_total{command,node}         counter
+ *     riak_client_command_retries_total{command,node}        counter
+ *     riak_client_connections_created_total{node}            counter
+ *     riak_client_connections_closed_total{node}             counter
+ *     riak_client_connection_failures_total{node}            counter
+ *     riak_client_connections_discarded_total{node}          counter
+ *     riak_client_health_checks_total{node,result}           counter
+ *     riak_client_node_state_changes_total{node,state}       counter
+ *     riak_client_pool_connections{node}                     gauge
+ *     riak_client_pool_available_connections{node}           gauge
+ *     riak_client_pool_pending_connections{node}             gauge
+ *     riak_client_pool_target_connections{node}              gauge
+ *     riak_client_pool_resizes_total{node,direction}         counter
+ *     riak_client_pool_exhausted_total{node}                 counter
+ *     riak_client_bulkhead_connections{node,class}           gauge
+ *     riak_client_bulkhead_full_total{node,class}            counter
+ *     riak_client_node_wait_queue_depth{node}                gauge
+ *     riak_client_queue_depth                                gauge
+ *     riak_client_queue_expired_total{command}               counter
+ *     riak_client_hedges_total{command}                      counter
+ *
+ * __command__ is the command type, e.g. FetchValue, and __node__ is the
+ * address:port of the RiakNode. Durations are per attempt on a node.
+ *
+ * Metrics can be read as a plain object via
+ * {{#crossLink "Metrics/snapshot:method"}}{{/crossLink}} or rendered in the
+ * Prometheus text exposition format, e.g. from your own HTTP endpoint:
+ *
+ *     http.createServer(function (req, res) {
+ *         res.setHeader('Content-Type', Metrics.PrometheusContentType);
+ *         res.end(cluster.metrics.toPrometheus());
+ *     }).listen(9100);
+ *
+ * Applications may register metrics of their own with
+ * {{#crossLink "Metrics/counter:method"}}{{/crossLink}},
+ * {{#crossLink "Metrics/gauge:method"}}{{/crossLink}} and
+ * {{#crossLink "Metrics/histogram:method"}}{{/crossLink}}.
+ *
+ * @class Metrics
+ * @constructor
+ */
+function Metrics() {
+    this._metrics = {};
+
+    this.counter('riak_client_commands_total',
+        'Commands submitted to the cluster.');
+    this.histogram('riak_client_command_duration_seconds',
+        'Duration of command attempts on a node.');
+    this.counter('riak_client_command_errors_total',
+        'Command attempts on a node that failed.');
+    this.counter('riak_client_command_retries_total',
+        'Commands retried after failing on a node.');
+    this.counter('riak_client_connections_created_total',
+        'Connections established.');
+    this.counter('riak_client_connections_closed_total',
+        'Established connections that were closed.');
+    this.counter('riak_client_connection_failures_total',
+        'Connection attempts that failed.');
+    this.counter('riak_client_connections_discarded_total',
+        'Idle connections closed after failing a keepalive probe.');
+    this.counter('riak_client_health_checks_total',
+        'Node health checks by result.');
+    this.counter('riak_client_node_state_changes_total',
+        'Node state transitions by new state.');
+    this.gauge('riak_client_pool_connections',
+        'Connections open or opening to a node.');
+    this.gauge('riak_client_pool_available_connections',
+        'Idle connections in the pool of a node.');
+    this.gauge('riak_client_pool_pending_connections',
+        'Connections being opened to a node.');
+    this.gauge('riak_client_pool_target_connections',
+        'Size the pool of a node is kept at.');
+    this.counter('riak_client_pool_resizes_total',
+        'Connections opened ahead of demand (grow) or closed (shrink) to resize a pool.');
+    this.counter('riak_client_pool_exhausted_total',
+        'Commands refused by a node with all connections in use.');
+    this.gauge('riak_client_bulkhead_connections',
+        'Connections in use by a class of commands on a node.');
+    this.counter('riak_client_bulkhead_full_total',
+        'Commands that found the bulkhead of their class full.');
+    this.gauge('riak_client_node_wait_queue_depth',
+        'Commands waiting for a connection to a node.');
+    this.gauge('riak_client_queue_depth',
+        'Commands waiting in the cluster queue.');
+    this.counter('riak_client_queue_expired_total',
+        'Commands dropped from the cluster queue after their queue timeout.');
+    this.counter('riak_client_hedges_total',
+        'Reads also sent to a second node after the hedge delay.');
+}
+
+/**
+ * Get or register a counter.
+ * @method counter
+ * @param {String} name the metric name.
+ * @param {String} help a description of the metric.
+ * @return {Object} the metric.
+ */
+Metrics.prototype.counter = function (name, help) {
+    return this._register('counter', name, help);
+};
+
+/**
+ * Get or register a gauge.
+ * @method gauge
+ * @param {String} name the metric name.
+ * @param {String} help a description of the metric.
+ * @return {Object} the metric.
+ */
+Metrics.prototype.gauge = function (name, help) {
+    return this._register('gauge', name, help);
+};
+
+/**
+ * Get or register a histogram.
+ * @method histogram
+ * @param {String} name the metric name.
+ * @param {String} help a description of the metric.
+ * @param {Number[]} [buckets=Metrics.DefaultBuckets] the bucket upper bounds.
+ * @return {Object} the metric.
+ */
+Metrics.prototype.histogram = function (name, help, buckets) {
+    return this._register('histogram', name, help, buckets || DefaultBuckets);
+};
+
+Metrics.prototype._register = function (type, name, help, buckets) {
+    var m = this._metrics[name];
+    if (m) {
+        if (m.type !== type) {
+            throw new Error('metric ' + name + ' is already registered as a ' + m.type);
+        }
+        return m;
+    }
+    m = this._metrics[name] = {
+        type: type,
+        name: name,
+        help: help,
+        buckets: buckets,
+        series: {}
+    };
+    return m;
+};
+
+Metrics.prototype._series = function (name, labels) {
+    var m = this._metrics[name];
+    if (!m) {
+        throw new Error('metric ' + name + ' is not registered');
+    }
+    var key = labelKey(labels);
+    var s = m.series[key];
+    if (!s) {
+        s = m.series[key] = { labels: copyLabels(labels) };
+        if (m.type === 'histogram') {
+            s.counts = m.buckets.map(function () { return 0; });
+            s.count = 0;
+            s.sum = 0;
+        } else {
+            s.value = 0;
+        }
+    }
+    return s;
+};
+
+/**
+ * Increment a counter or gauge.
+ * @method inc
+ * @param {String} name the metric name.
+ * @param {Object} [labels] the labels of the series.
+ * @param {Number} [value=1] the amount to add.
+ */
+Metrics.prototype.inc = function (name, labels, value) {
+    this._series(name, labels).value += (value === undefined ? 1 : value);
+};
+
+/**
+ * Set a gauge.
+ * @method set
+ * @param {String} name the metric name.
+ * @param {Object} [labels] the labels of the series.
+ * @param {Number} value the value.
+ */
+Metrics.prototype.set = function (name, labels, value) {
+    this._series(name, labels).value = value;
+};
+
+/**
+ * Record an observation in a histogram.
+ * @method observe
+ * @param {String} name the metric name.
+ * @param {Object} [labels] the labels of the series.
+ * @param {Number} value the observed value.
+ */
+Metrics.prototype.observe = function (name, labels, value) {
+    var buckets = this._metrics[name] && this._metrics[name].buckets;
+    var s = this._series(name, labels);
+    for (var i = 0; i < buckets.length; i++) {
+        if (value <= buckets[i]) {
+            s.counts[i]++;
+        }
+    }
+    s.count++;
+    s.sum += value;
+};
+
+/**
+ * Record the time elapsed since __start__ in a histogram, in seconds.
+ * @method observeSince
+ * @param {String} name the metric name.
+ * @param {Object} [labels] the labels of the series.
+ * @param {Number[]} start the result of process.hrtime() at the start.
+ */
+Metrics.prototype.observeSince = function (name, labels, start) {
+    var d = process.hrtime(start);
+    this.observe(name, labels, d[0] + d[1] / 1e9);
+};
+
+/**
+ * Clear all recorded values. Registered metrics are kept.
+ * @method reset
+ */
+Metrics.prototype.reset = function () {
+    for (var name in this._metrics) {
+        this._metrics[name].series = {};
+    }
+};
+
+/**
+ * Get a copy of the current values of all metrics.
+ *
+ *     {
+ *       riak_client_commands_total: {
+ *         type: 'counter',
+ *         help: 'Commands submitted to the cluster.',
+ *         values: [ { labels: { command: 'FetchValue' }, value: 42 } ]
+ *       },
+ *       riak_client_command_duration_seconds: {
+ *         type: 'histogram',
+ *         help: 'Duration of command attempts on a node.',
+ *         values: [ {
+ *           labels: { command: 'FetchValue', node: '127.0.0.1:8087' },
+ *           buckets: [ { le: 0.001, count: 3 }, ..., { le: '+Inf', count: 42 } ],
+ *           count: 42,
+ *           sum: 0.37
+ *         } ]
+ *       }
+ *     }
+ *
+ * Histogram bucket counts are cumulative.
+ *
+ * @method snapshot
+ * @return {Object} the values keyed by metric name.
+ */
+Metrics.prototype.snapshot = function () {
+    var snap = {};
+    for (var name in this._metrics) {
+        var m = this._metrics[name];
+        var values = [];
+        for (var key in m.series) {
+            var s = m.series[key];
+            if (m.type === 'histogram') {
+                values.push(histogramValue(m.buckets, s));
+            } else {
+                values.push({ labels: copyLabels(s.labels), value: s.value });
+            }
+        }
+        snap[name] = { type: m.type, help: m.help, values: values };
+    }
+    return snap;
+};
+
+/**
+ * Render the current values in the Prometheus text exposition format.
+ * @method toPrometheus
+ * @return {String} the metrics.
+ */
+Metrics.prototype.toPrometheus = function () {
+    return renderPrometheus(this.snapshot());
+};
+
+/**
+ * Render a snapshot in the Prometheus text exposition format (version 0.0.4).
+ * @method renderPrometheus
+ * @static
+ * @param {Object} snapshot the result of {{#crossLink "Metrics/snapshot:method"}}{{/crossLink}}
+ * @return {String} the metrics.
+ */
+function renderPrometheus(snapshot) {
+    var lines = [];
+    Object.keys(snapshot).forEach(function (name) {
+        var m = snapshot[name];
+        lines.push('# HELP ' + name + ' ' + escapeHelp(m.help || ''));
+        lines.push('# TYPE ' + name + ' ' + m.type);
+        m.values.forEach(function (v) {
+            if (m.type === 'histogram') {
+                v.buckets.forEach(function (b) {
+                    var labels = copyLabels(v.labels);
+                    labels.le = String(b.le);
+                    lines.push(name + '_bucket' + formatLabels(labels) + ' ' + b.count);
+                });
+                lines.push(name + '_sum' + formatLabels(v.labels) + ' ' + v.sum);
+                lines.push(name + '_count' + formatLabels(v.labels) + ' ' + v.count);
+            } else {
+                lines.push(name + formatLabels(v.labels) + ' ' + v.value);
+            }
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Get the type of a command, e.g. FetchValue, for use as a label.
+ * @method commandType
+ * @static
+ * @param {Object} command the command.
+ * @return {String} the command type.
+ */
+function commandType(command) {
+    return command.constructor.name || String(command.name).replace(/-\d+$/, '');
+}
+
+function histogramValue(bounds, s) {
+    var buckets = bounds.map(function (le, i) {
+        return { le: le, count: s.counts[i] };
+    });
+    buckets.push({ le: '+Inf', count: s.count });
+    return {
+        labels: copyLabels(s.labels),
+        buckets: buckets,
+        count: s.count,
+        sum: s.sum
+    };
+}
+
+function labelKey(labels) {
+    if (!labels) {
+        return '';
+    }
+    return Object.keys(labels).sort().map(function (k) {
+        return k + '=' + labels[k];
+    }).join(',');
+}
+
+function copyLabels(labels) {
+    var c = {};
+    for (var k in labels) {
+        c[k] = labels[k];
+    }
+    return c;
+}
+
+function formatLabels(labels) {
+    var keys = Object.keys(labels);
+    if (!keys.length) {
+        return '';
+    }
+    return '{' + keys.map(function (k) {
+        return k + '="' + escapeLabel(String(labels[k])) + '"';
+    }).join(',') + '}';
+}
+
+function escapeLabel(v) {
+    return v.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(v) {
+    return v.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * The default histogram bucket upper bounds, in seconds.
+ * @property DefaultBuckets
+ * @type {Number[]}
+ * @static
+ * @final
+ */
+var DefaultBuckets = Object.freeze([0.001, 0.0025, 0.005, 0.01, 0.025, 0.05,
+    0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+module.exports = Metrics;
+module.exports.DefaultBuckets = DefaultBuckets;
+module.exports.PrometheusContentType = 'text/plain; version=0.0.4; charset=utf-8';
+module.exports.renderPrometheus = renderPrometheus;
+module.exports.commandType = commandType;
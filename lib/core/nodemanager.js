@@ -17,8 +17,10 @@
 
 'use strict';
 
-var logger = require('winston');
+var events = require('events');
+var inherits = require('util').inherits;
 
+var Logger = require('./logger');
 var RiakNode = require('./riaknode');
 
 /**
@@ -36,14 +38,32 @@ var RiakNode = require('./riaknode');
  * your own executeOnNode(). This function should pick a node from the list and 
  * execute the command via {{#crossLink "RiakNode/execute:method"}}{{/crossLink}}. 
  * 
+ * NodeManagers that select nodes by how commands went, rather than by node
+ * state alone, may also implement onCommandResult(), and onNodeRemoved() to
+ * forget about a node.
+ * 
  * @class NodeManager
  * @param {String} name The name of the node manager
  * @constructor
  */
 function NodeManager(name) {
+    events.EventEmitter.call(this);
     this._name = name;
+    this._logger = new Logger(undefined, { nodeManager: name });
 }
 
+inherits(NodeManager, events.EventEmitter);
+
+/**
+ * Use the logger of the RiakCluster this NodeManager belongs to.
+ * @method _inheritLogger
+ * @private
+ * @param {Object} [logger] the cluster's logger. Default is winston.
+ */
+NodeManager.prototype._inheritLogger = function(logger) {
+    this._logger = new Logger(logger, { nodeManager: this._name });
+};
+
 /**
  * Receives the array or RiakNode objects from the RiakCluster, chooses one, and executes the command on it.
  * @param {RiakNode[]} nodes The array of nodes contained in the RiakCluster
@@ -55,6 +75,27 @@ NodeManager.prototype.executeOnNode = function(nodes, command, previous) {
     throw 'Not supported yet!';
 };
 
+/**
+ * Called by the RiakCluster each time a command completes or fails on a node.
+ * The default does nothing.
+ * @method onCommandResult
+ * @param {RiakNode} node The node on which the command was attempted.
+ * @param {Object} command The command.
+ * @param {Object} failure The {{#crossLink "RetryPolicy"}}failure{{/crossLink}}, or null if the command succeeded.
+ * @param {Number} [latency] The time in milliseconds the command took on the node, if it was executed.
+ */
+NodeManager.prototype.onCommandResult = function(node, command, failure, latency) {
+};
+
+/**
+ * Called by the RiakCluster when a node is removed from it.
+ * The default does nothing.
+ * @method onNodeRemoved
+ * @param {RiakNode} node The node.
+ */
+NodeManager.prototype.onNodeRemoved = function(node) {
+};
+
 /**
  * @param {RiakNode} node The node on which to try to execute the command
  * @param {Object} command The command to execute on a node.
@@ -63,13 +104,15 @@ NodeManager.prototype.executeOnNode = function(nodes, command, previous) {
 NodeManager.prototype.tryExecute = function(node, command) {
     var executing = false;
     if (node.state === RiakNode.State.RUNNING) {
-        logger.debug("[%s] executing command '%s' on node (%s:%d)",
-            this._name, command.name, node.remoteAddress, node.remotePort);
+        var fields = {
+            node: node._metricLabels.node,
+            command: command.name
+        };
+        this._logger.debug('executing command on node', fields);
         if (node.execute(command)) {
             executing = true;
         } else {
-            logger.debug("[%s] command '%s' did NOT execute",
-                this._name, command.name);
+            this._logger.debug('command did NOT execute', fields);
         }
     }
     return executing;
@@ -0,0 +1,188 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @module Core
+ */
+
+/**
+ * Abstract class that defines a RetryPolicy
+ *
+ * When an attempt to execute a command on a {{#crossLink "RiakNode"}}{{/crossLink}}
+ * fails, the {{#crossLink "RiakCluster"}}{{/crossLink}} asks its RetryPolicy
+ * whether to retry the command and how long to wait before doing so. The
+ * command is never attempted more than __executionAttempts__ times. The default
+ * policy is {{#crossLink "ExponentialBackoffRetryPolicy"}}{{/crossLink}}.
+ *
+ * If you wish to alter this behavior you should extend this class and implement
+ * your own shouldRetry() and getDelay().
+ *
+ * A failure is described by an object:
+ *
+ *     {
+ *       kind: RetryPolicy.Failure.OVERLOAD,
+ *       requestSent: true,
+ *       message: 'overload',
+ *       errcode: 0
+ *     }
+ *
+ * __requestSent__ is true if the request may have reached Riak, in which
+ * case it may have been applied. Commands that are not safe to apply twice
+ * return false from __isIdempotent()__. __errcode__ is only set for
+ * RpbErrorResp failures.
+ *
+ * @class RetryPolicy
+ * @param {String} name The name of the retry policy
+ * @constructor
+ */
+function RetryPolicy(name) {
+    this._name = name;
+}
+
+/**
+ * Decides whether to retry a failed command.
+ * @method shouldRetry
+ * @param {Object} command The command that failed.
+ * @param {Object} failure The failure.
+ * @param {Number} attempt The number of attempts made so far.
+ * @return {Boolean} True if the command should be retried.
+ */
+RetryPolicy.prototype.shouldRetry = function(command, failure, attempt) {
+    throw 'Not supported yet!';
+};
+
+/**
+ * Returns the time to wait before retrying a command.
+ * @method getDelay
+ * @param {Object} command The command to retry.
+ * @param {Object} [failure] The last failure, if any.
+ * @param {Number} attempt The number of attempts made so far.
+ * @return {Number} The delay in milliseconds.
+ */
+RetryPolicy.prototype.getDelay = function(command, failure, attempt) {
+    throw 'Not supported yet!';
+};
+
+/**
+ * The kinds of failure passed to a RetryPolicy.
+ *
+ *     RetryPolicy.Failure.CONNECTION_FAILED    - no connection could be made, request not sent
+ *     RetryPolicy.Failure.NO_CONNECTION        - no connection became available, request not sent
+ *     RetryPolicy.Failure.CONNECTION_CLOSED    - the connection closed while executing
+ *     RetryPolicy.Failure.TIMEOUT              - no response in time, or Riak timed out
+ *     RetryPolicy.Failure.OVERLOAD             - Riak was overloaded and refused the request
+ *     RetryPolicy.Failure.INSUFFICIENT_VNODES  - too few replicas were available
+ *     RetryPolicy.Failure.NOT_FOUND            - Riak responded with notfound
+ *     RetryPolicy.Failure.UNEXPECTED_RESPONSE  - Riak sent a response of the wrong type
+ *     RetryPolicy.Failure.RIAK_ERROR           - any other RpbErrorResp
+ *
+ * @property Failure
+ * @type {Object}
+ * @static
+ * @final
+ */
+var Failure = Object.freeze({
+    CONNECTION_FAILED : 'connection_failed',
+    NO_CONNECTION : 'no_connection',
+    CONNECTION_CLOSED : 'connection_closed',
+    TIMEOUT : 'timeout',
+    OVERLOAD : 'overload',
+    INSUFFICIENT_VNODES : 'insufficient_vnodes',
+    NOT_FOUND : 'not_found',
+    UNEXPECTED_RESPONSE : 'unexpected_response',
+    RIAK_ERROR : 'riak_error'
+});
+
+// Checked in order against RpbErrorResp messages
+var riakErrorPatterns = [
+    { re: /overload/i, kind: Failure.OVERLOAD },
+    { re: /insufficient_vnodes|(p?r|p?w|dw)_val_unsatisfied/i, kind: Failure.INSUFFICIENT_VNODES },
+    { re: /timeout/i, kind: Failure.TIMEOUT },
+    { re: /not_?found/i, kind: Failure.NOT_FOUND }
+];
+
+/**
+ * Describe a failure.
+ * @method failure
+ * @static
+ * @param {String} kind The {{#crossLink "RetryPolicy/Failure:property"}}RetryPolicy.Failure{{/crossLink}}.
+ * @param {String} [message] The error message.
+ * @return {Object} The failure.
+ */
+function failure(kind, message) {
+    return {
+        kind: kind,
+        requestSent: kind !== Failure.CONNECTION_FAILED && kind !== Failure.NO_CONNECTION,
+        message: message
+    };
+}
+
+/**
+ * Describe a failure due to an RpbErrorResp, classified by its message.
+ * @method riakErrorFailure
+ * @static
+ * @param {Number} errcode The error code.
+ * @param {String} errmsg The error message.
+ * @return {Object} The failure.
+ */
+function riakErrorFailure(errcode, errmsg) {
+    var kind = Failure.RIAK_ERROR;
+    for (var i = 0; i < riakErrorPatterns.length; i++) {
+        if (riakErrorPatterns[i].re.test(errmsg)) {
+            kind = riakErrorPatterns[i].kind;
+            break;
+        }
+    }
+    var f = failure(kind, errmsg);
+    f.errcode = errcode;
+    return f;
+}
+
+/**
+ * Whether a command may safely be applied more than once.
+ * @method isIdempotent
+ * @static
+ * @param {Object} command The command.
+ * @return {Boolean} The result of command.isIdempotent(), or true if the command does not say.
+ */
+function isIdempotent(command) {
+    return typeof command.isIdempotent === 'function' ? command.isIdempotent() : true;
+}
+
+/**
+ * Whether a failure suggests something is wrong with the node, rather than
+ * with the command, e.g. notfound.
+ * @method isNodeFailure
+ * @static
+ * @param {Object} [failure] The failure.
+ * @return {Boolean} False for NOT_FOUND, RIAK_ERROR and no failure, true otherwise.
+ */
+function isNodeFailure(failure) {
+    if (!failure) {
+        return false;
+    }
+    return failure.kind !== Failure.NOT_FOUND && failure.kind !== Failure.RIAK_ERROR;
+}
+
+module.exports = RetryPolicy;
+module.exports.Failure = Failure;
+module.exports.failure = failure;
+module.exports.riakErrorFailure = riakErrorFailure;
+module.exports.isIdempotent = isIdempotent;
+module.exports.isNodeFailure = isNodeFailure;
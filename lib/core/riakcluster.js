@@ -20,12 +20,19 @@
 var async = require('async');
 var events = require('events');
 var Joi = require('joi');
-var logger = require('winston');
 var util = require('util');
 
+var CommandQueue = require('./commandqueue');
+var ExponentialBackoffRetryPolicy = require('./exponentialbackoffretrypolicy');
+var HostResolver = require('./hostresolver');
+var Logger = require('./logger');
+var Metrics = require('./metrics');
+var RetryPolicy = require('./retrypolicy');
 var RiakNode = require ('./riaknode');
 var RoundRobinNodeManager = require('./roundrobinnodemanager');
 var utils = require('./utils');
+var CommandBase = require('../commands/commandbase');
+var errors = require('../errors');
 
 /**
  * @module Core
@@ -43,12 +50,75 @@ var utils = require('./utils');
  *       nodes: [defaultRiakNode],
  *       executionAttempts: 3,
  *       nodeManager: RoundRobinNodeManager,
+ *       retryPolicy: ExponentialBackoffRetryPolicy,
  *       queueCommands: false,
- *       queueMaxDepth: unlimited
+ *       queueMaxDepth: unlimited,
+ *       queueSubmitInterval: 500,
+ *       queueTimeout: none,
+ *       hedgeDelay: none,
+ *       drainTimeout: 0,
+ *       startMode: 'eager',
+ *       requiredNodes: 1,
+ *       startTimeout: 10000,
+ *       resolveHosts: false,
+ *       resolveInterval: 60000,
+ *       typedErrors: false,
+ *       logger: winston,
+ *       metrics: new Metrics()
  *     }
  *
  * The __defaultRiakNode__ is a RiakNode connected to 127.0.0.1:8087
  *
+ * With __queueCommands__, commands that no node accepts wait in a queue, as
+ * do commands to be retried while others are queued. They are sent in order
+ * of priority, see {{#crossLink "CommandBase/setPriority:method"}}{{/crossLink}},
+ * then in the order they were queued. This order holds within each
+ * {{#crossLink "CommandBase/getCommandClass:method"}}command class{{/crossLink}}:
+ * a command that no node accepts, e.g. as its bulkhead is full, holds up
+ * only those of its class. Sending is attempted as often as
+ * commands complete, at most every __queueSubmitInterval__ ms when they
+ * do not. A command that waits longer than its queue timeout, see
+ * {{#crossLink "CommandBase/setQueueTimeout:method"}}{{/crossLink}}, or
+ * __queueTimeout__ is dropped and its callback receives a
+ * {{#crossLink "QueueTimeoutError"}}{{/crossLink}}. Waiting in the queue does
+ * not use up execution attempts.
+ *
+ * Reads of a single object, e.g. FetchValue, FetchMap or TS Get, may be
+ * hedged: if the node executing one has not responded within __hedgeDelay__,
+ * the same read is sent to another node and the first successful response is
+ * used. __hedgeDelay__ is either a time in milliseconds or a percentile of
+ * the latency of reads observed by this cluster, e.g. 'p95'. A percentile is
+ * used once 100 reads have completed; older reads are forgotten after 1000.
+ *
+ * {{#crossLink "RiakCluster/stop:method"}}{{/crossLink}} may first drain the
+ * cluster for up to __drainTimeout__ ms: new commands are refused with a
+ * {{#crossLink "ShutdownError"}}{{/crossLink}}, while those executing,
+ * waiting for a retry or queued go on until they complete. Those left at
+ * the deadline fail with a ShutdownError, then the nodes are stopped.
+ * Without a drain, queued commands fail with a ShutdownError at once.
+ *
+ * How {{#crossLink "RiakCluster/start:method"}}{{/crossLink}} brings up the
+ * nodes depends on __startMode__:
+ *
+ * - 'eager': the nodes are started and connect at once. A node that cannot
+ *   connect is running nonetheless, and is health checked once a command
+ *   fails on it.
+ * - 'lazy': the nodes are started by the first command executed.
+ * - 'require': as 'eager', then each node runs its health check. The start
+ *   fails with a {{#crossLink "StartError"}}{{/crossLink}} unless at least
+ *   __requiredNodes__ pass within __startTimeout__ ms. Those that do not are
+ *   health checked until they recover.
+ *
+ * With __resolveHosts__, each node whose address is a hostname is replaced
+ * at start by one node per address the hostname resolves to, with the same
+ * options. The hostnames are resolved again every __resolveInterval__ ms,
+ * and nodes added or removed as their addresses change. A hostname that
+ * cannot be resolved at start is reported as a failed node.
+ *
+ * With __typedErrors__, the callbacks of the commands executed are given a
+ * {{#crossLink "RiakError"}}{{/crossLink}} for every error, rather than an
+ * error message for some. This will be the default in the next major version.
+ *
  * As a convenience a builder class is provided.
  *
  *     var nodeTemplate = new RiakNode.Builder().withMinConnections(10);
@@ -64,9 +134,21 @@ var utils = require('./utils');
  * @param {RiakNode[]} options.nodes An array of (unstarted) {{#crossLink "RiakNode"}}{{/crossLink}} objects.
  * @param {Number} [options.executionAttempts=3] Number of times to retry commands on failure.
  * @param {Object} [options.nodeManager=RoundRobinNodeManager] Set the NodeManager for this cluster.
+ * @param {Object} [options.retryPolicy=ExponentialBackoffRetryPolicy] Set the RetryPolicy deciding whether and when failed commands are retried. See {{#crossLink "RetryPolicy"}}{{/crossLink}}.
  * @param {Boolean} [options.queueCommands=false] Set whether to queue commands or not if no RiakNodes are available.
  * @param {Number} [options.queueMaxDepth=unlimited] The maximum number of commands to queue if queueCommands is set. Default is unlimited.
- * @param {Number} [options.queueSubmitInterval=500] The duration in milliseconds between queue submission attempts. Default is 500.
+ * @param {Number} [options.queueSubmitInterval=500] The longest duration in milliseconds between queue submission attempts. Default is 500.
+ * @param {Number} [options.queueTimeout] The time in milliseconds a command may wait in the queue, unless it has a queue timeout of its own. Default is no limit.
+ * @param {Number} [options.drainTimeout=0] The time in milliseconds commands are given to complete when the cluster is stopped. Default is 0, i.e. no drain.
+ * @param {String} [options.startMode='eager'] How the nodes are started: 'eager', 'lazy' or 'require'.
+ * @param {Number} [options.requiredNodes=1] The number of nodes that must pass their health check for the start to succeed, with the 'require' start mode.
+ * @param {Number} [options.startTimeout=10000] The time in milliseconds nodes are given to pass their health check, with the 'require' start mode.
+ * @param {Boolean} [options.resolveHosts=false] Replace each node whose address is a hostname with a node per address it resolves to.
+ * @param {Number} [options.resolveInterval=60000] The time in milliseconds between lookups of the hostnames, with resolveHosts. 0 to only resolve them at start.
+ * @param {Boolean} [options.typedErrors=false] Give command callbacks a RiakError for every error. See {{#crossLink "CommandBase/setTypedErrors:method"}}{{/crossLink}}.
+ * @param {Number|String} [options.hedgeDelay] The time in milliseconds, or the percentile of read latency such as 'p95', after which a read is also sent to another node. Default is to not hedge reads.
+ * @param {Object} [options.logger] The logger used by this cluster, its node manager and any RiakNode without a logger of its own. See {{#crossLink "Logger"}}{{/crossLink}}. Default is winston.
+ * @param {Metrics} [options.metrics] The registry used by this cluster and any RiakNode without a registry of its own. See {{#crossLink "Metrics"}}{{/crossLink}}. Default is a new registry, available as __metrics__.
  *
  */
 function RiakCluster(options) {
@@ -79,18 +161,77 @@ function RiakCluster(options) {
 
     Joi.validate(options, schema, function(err, options) {
         if (err) {
-            throw err;
+            throw new errors.ValidationError(err.message, err.details);
         }
         self.nodes = options.nodes;
         self.executionAttempts = options.executionAttempts;
         self.state = State.CREATED;
         self.nodeManager = options.nodeManager;
+        self.retryPolicy = options.retryPolicy;
         self.queueCommands = options.queueCommands;
         self.queueMaxDepth = options.queueMaxDepth;
         self.queueSubmitInterval = options.queueSubmitInterval;
+        self.queueTimeout = options.queueTimeout;
+        self.hedgeDelay = options.hedgeDelay;
+        self.drainTimeout = options.drainTimeout;
+        self.startMode = options.startMode;
+        self.requiredNodes = options.requiredNodes;
+        self.startTimeout = options.startTimeout;
+        self.resolveHosts = options.resolveHosts;
+        self.resolveInterval = options.resolveInterval;
+        self.typedErrors = options.typedErrors;
+        self.logger = options.logger;
+        self.metrics = options.metrics || new Metrics();
     });
 
-    this._commandQueue = [];
+    if (this.startMode === 'require' && this.requiredNodes > this.nodes.length) {
+        throw new errors.ValidationError(
+            '"requiredNodes" must be less than or equal to the number of nodes');
+    }
+
+    if (this.logger && !Logger.isLogger(this.logger)) {
+        throw new Error('logger must have debug, info, warn and error methods');
+    }
+    this._logger = new Logger(this.logger);
+    if (typeof this.nodeManager._inheritLogger === 'function') {
+        this.nodeManager._inheritLogger(this.logger);
+    }
+
+    this._commandQueue = new CommandQueue();
+    this._submitTimer = null;
+    // the average time between completed commands, see _getSubmitInterval
+    this._resultInterval = null;
+    this._lastResultAt = null;
+
+    // commands given to execute() that have not completed, by name
+    this._active = {};
+    this._activeCount = 0;
+    this._drainTimer = null;
+    this._stopCallback = null;
+    // what happened to the commands while stopping, see stop()
+    this._stopReport = null;
+
+    if (this.resolveHosts) {
+        this._hostResolver = new HostResolver(this, this.resolveInterval);
+    }
+
+    // set until the first command starts the nodes, see startMode
+    this._lazyStart = false;
+    // the commands waiting for the nodes to start
+    this._lazyCommands = null;
+
+    // nodes given to addNode() that are starting, by address:port
+    this._adding = {};
+
+    if (typeof this.hedgeDelay === 'string') {
+        this._readLatencies = {
+            percentile: Number(this.hedgeDelay.slice(1)),
+            samples: [],
+            count: 0,
+            delay: null,
+            computedAt: 0
+        };
+    }
 
     // Note: useful for debugging event issues
     // this.setMaxListeners(1);
@@ -105,73 +246,306 @@ util.inherits(RiakCluster, events.EventEmitter);
 
 /**
  * Start this RiakCluster
+ *
+ * The nodes are started according to the __startMode__ option. The
+ * callback receives which nodes started and which failed, and why:
+ *
+ *     {
+ *       started: ['10.0.0.1:8087', '10.0.0.2:8087'],
+ *       failed: [ { node: '10.0.0.3:8087', err: ConnectionError } ]
+ *     }
+ *
+ * With the 'lazy' start mode only hostnames that could not be resolved, see
+ * __resolveHosts__, are reported. The cluster is running even if the start
+ * failed, as the failed nodes may recover; stop it if it is not to be used.
+ *
  * @method start
  * @param {Function} [callback] - a callback for when cluster is started.
  * @param {Object} [callback.err] - will be set to an error if one occurred.
  * @param {Object} [callback.cluster] - will be set to the cluster object.
+ * @param {Object} [callback.report] - which nodes started and which failed.
  */
 RiakCluster.prototype.start = function(callback) {
     if (this._state === State.RUNNING) {
-        logger.warning('[RiakCluster] cluster already running.');
+        this._logger.warn('cluster already running');
     } else {
         this._stateCheck([State.CREATED]);
-        logger.debug('[RiakCluster] starting.');
-
-        var funcs = [];
-        for (var i = 0; i < this.nodes.length; i++) {
-            funcs.push(makeStartNodeFunc(this, this.nodes[i]));
-        }
+        this._logger.debug('cluster starting', { startMode: this.startMode });
 
         var self = this;
-        async.parallel(funcs, function (err, rslts) {
+        var started = function (err, report) {
             self.state = State.RUNNING;
-            logger.debug('[RiakCluster] cluster started.');
+            self._logger.debug('cluster started');
             self.emit(EVT_SC, self.state);
             if (callback) {
-                callback(err, self);
+                callback(err, self, report);
             }
-        });
+        };
+        var startNodes = function (unresolved) {
+            var report = { started: [], failed: unresolved };
+            switch (self.startMode) {
+                case 'lazy':
+                    self._lazyStart = true;
+                    started(null, report);
+                    break;
+                case 'require':
+                    self._startRequired(report, started);
+                    break;
+                default:
+                    self._startNodes(report, started);
+            }
+        };
+        if (this._hostResolver) {
+            this._hostResolver.start(startNodes);
+        } else {
+            startNodes([]);
+        }
     }
 };
 
-function makeStartNodeFunc(cluster, node) {
-    var f = function (async_cb) {
-        cluster._startNode(node, async_cb);
+/*
+ * Starts the nodes, recording them in report, and calls back with the
+ * first error, if any, once all have started.
+ */
+RiakCluster.prototype._startNodes = function(report, callback) {
+    var self = this;
+    async.each(this.nodes, function (node, async_cb) {
+        self._startNode(node, function (err) {
+            recordStart(report, node, err);
+            async_cb();
+        });
+    }, function () {
+        callback(report.failed.length ? report.failed[0].err : null, report);
+    });
+};
+
+/*
+ * Starts the nodes and runs their health check, failing unless
+ * requiredNodes pass within startTimeout.
+ */
+RiakCluster.prototype._startRequired = function(report, callback) {
+    var checked = {};
+    var remaining = this.nodes.length;
+    var timer = null;
+    var self = this;
+
+    var finish = function () {
+        if (timer === null) {
+            return;
+        }
+        clearTimeout(timer);
+        timer = null;
+        self.nodes.forEach(function (node) {
+            if (!checked[nodeKey(node)]) {
+                recordStart(report, node, new errors.TimeoutError(util.format(
+                    'health check did not pass within start timeout of %d ms', self.startTimeout)));
+            }
+        });
+        var err = null;
+        if (report.started.length < self.requiredNodes) {
+            err = new errors.StartError(util.format(
+                '%d of %d RiakNodes passed their health check, %d required',
+                report.started.length, self.nodes.length, self.requiredNodes), report);
+            self._logger.error('cluster start failed', { failed: report.failed.map(function (f) {
+                return { node: f.node, err: f.err.message };
+            }) });
+        }
+        callback(err, report);
     };
-    return f;
+    timer = setTimeout(finish, this.startTimeout);
+
+    this.nodes.forEach(function (node) {
+        self._startNode(node, function () {
+            node._runHealthCheck(function (err) {
+                if (err) {
+                    node._logger.warn('health check failed at start', { err: err });
+                    node._doHealthCheck();
+                }
+                if (timer === null) {
+                    return;
+                }
+                checked[nodeKey(node)] = true;
+                recordStart(report, node, err);
+                if (--remaining === 0) {
+                    finish();
+                }
+            });
+        });
+    });
+};
+
+/*
+ * Starts the nodes for the first command executed with the 'lazy' start
+ * mode. Commands executed meanwhile wait for them.
+ */
+RiakCluster.prototype._startLazily = function(command) {
+    if (this._lazyCommands) {
+        this._lazyCommands.push(command);
+        return;
+    }
+    this._lazyCommands = [command];
+    this._logger.debug('starting nodes for first command', { command: command.name });
+    var self = this;
+    this._startNodes({ started: [], failed: [] }, function (err, report) {
+        self._lazyStart = false;
+        var commands = self._lazyCommands || [];
+        self._lazyCommands = null;
+        if (err) {
+            self._logger.warn('nodes failed to start', { failed: report.failed.length, err: err });
+        }
+        if (self.state === State.SHUTTING_DOWN || self.state === State.SHUTDOWN) {
+            // NB: stopped while starting, the nodes were left alone
+            self.nodes.forEach(function (node) {
+                if (node.state !== RiakNode.State.SHUTDOWN &&
+                        node.state !== RiakNode.State.SHUTTING_DOWN) {
+                    makeStopNodeFunc(node)();
+                }
+            });
+            return;
+        }
+        commands.forEach(function (command) {
+            self.execute(command, undefined);
+        });
+    });
+};
+
+function recordStart(report, node, err) {
+    if (err) {
+        report.failed.push({ node: nodeKey(node), err: err });
+    } else {
+        report.started.push(nodeKey(node));
+    }
+}
+
+function nodeKey(node) {
+    return node._metricLabels.node;
 }
 
 /**
  * Stop this RiakCluster
+ *
+ * With a __drainTimeout__, the cluster is DRAINING until the commands given
+ * to it have completed or the timeout passes. See the __drainTimeout__
+ * option. The callback receives what happened to the commands meanwhile:
+ *
+ *     {
+ *       completed: 12, // completed while draining
+ *       failed: 1,     // executing or waiting for a retry at the deadline
+ *       queued: 2,     // still queued when stopping
+ *       rejected: 3    // given to execute() while stopping
+ *     }
+ *
  * @method stop
+ * @param {Object} [options] - the options.
+ * @param {Number} [options.drainTimeout] - overrides the __drainTimeout__ of this cluster.
  * @param {Function} callback - called when cluster completely stopped.
  * @param {Object} [callback.err] - set to an error if one occurrs during start.
  * @param {Object} [callback.state] - the state of the cluster at shutdown.
+ * @param {Object} [callback.report] - what happened to the commands while stopping.
  */
-RiakCluster.prototype.stop = function(callback) {
+RiakCluster.prototype.stop = function(options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    options = options || {};
     this._stateCheck([State.RUNNING, State.QUEUEING]);
-    logger.debug('[RiakCluster] shutting down');
+    var drainTimeout = options.drainTimeout !== undefined ?
+        options.drainTimeout : this.drainTimeout;
+    this._stopReport = { completed: 0, failed: 0, queued: 0, rejected: 0 };
+    this._stopCallback = callback;
+    if (drainTimeout > 0) {
+        this.state = State.DRAINING;
+        this._logger.info('cluster draining',
+            { active: this._activeCount, queued: this._commandQueue.length, drainTimeout: drainTimeout });
+        this.emit(EVT_SC, this.state);
+        this._drainTimer = setTimeout(this._stopNodes.bind(this, drainTimeout), drainTimeout);
+        this._maybeDrained();
+    } else {
+        this._stopNodes();
+    }
+};
+
+// Stops the nodes once a drain is over, if any
+RiakCluster.prototype._maybeDrained = function() {
+    if (this.state === State.DRAINING && this._activeCount === 0) {
+        this._logger.info('cluster drained', { completed: this._stopReport.completed });
+        this._stopNodes();
+    }
+};
+
+/*
+ * Fails the commands that are queued, or all those left if a drain reached
+ * drainTimeout, and stops the nodes.
+ */
+RiakCluster.prototype._stopNodes = function(drainTimeout) {
+    clearTimeout(this._drainTimer);
+    this._drainTimer = null;
+    this._logger.debug('cluster shutting down');
     this.state = State.SHUTTING_DOWN;
     this.emit(EVT_SC, this.state);
+    if (this._hostResolver) {
+        this._hostResolver.stop();
+    }
+    this._failRemaining(drainTimeout);
+    clearTimeout(this._submitTimer);
+    this._submitTimer = null;
+    var callback = this._stopCallback;
+    this._stopCallback = null;
     var funcs = [];
     this.nodes.forEach(function (node) {
-        funcs.push(makeStopNodeFunc(node));
+        // NB: not started with the 'lazy' start mode
+        if (node.state !== RiakNode.State.CREATED) {
+            funcs.push(makeStopNodeFunc(node));
+        }
     });
     var self = this;
     async.parallel(funcs, function (err, rslts) {
         if (err) {
-            logger.error('[RiakCluster] error during shutdown:', err);
+            self._logger.error('error during cluster shutdown', { err: err });
         }
         self._shutdown(callback);
     });
 };
 
+RiakCluster.prototype._failRemaining = function(drainTimeout) {
+    var report = this._stopReport;
+    var entry;
+    while ((entry = this._commandQueue.peek())) {
+        this._commandQueue.remove(entry.command);
+        clearTimeout(entry.timer);
+        report.queued++;
+        entry.command._abandon(new errors.ShutdownError(
+            'RiakCluster stopped before command was sent', entry.command));
+    }
+    var waiting = this._lazyCommands || [];
+    this._lazyCommands = null;
+    waiting.forEach(function (command) {
+        report.queued++;
+        command._abandon(new errors.ShutdownError(
+            'RiakCluster stopped before command was sent', command));
+    });
+    if (drainTimeout) {
+        var self = this;
+        Object.keys(this._active).forEach(function (name) {
+            var command = self._active[name];
+            report.failed++;
+            command._abandon(new errors.ShutdownError(util.format(
+                'command did not complete within drain timeout of %d ms', drainTimeout), command));
+        });
+    }
+    this._updateQueueMetrics();
+    if (report.queued || report.failed) {
+        this._logger.warn('failed commands at shutdown',
+            { queued: report.queued, failed: report.failed });
+    }
+};
+
 function makeStopNodeFunc(node) {
     var f = function (async_cb) {
         node.stop(function (err, rslt) {
             if (err) {
-                logger.error('[RiakCluster] error stopping node (%s:%d):',
-                    node.remoteAddress, node.remotePort, err);
+                node._logger.error('error stopping node', { err: err });
             }
             if (async_cb) {
                 async_cb(err, rslt);
@@ -181,13 +555,27 @@ function makeStopNodeFunc(node) {
     return f;
 }
 
+function isStarted(node) {
+    return node.state !== RiakNode.State.CREATED && node.state !== RiakNode.State.SHUTTING_DOWN &&
+        node.state !== RiakNode.State.SHUTDOWN;
+}
+
+function matchesAddress(node, address) {
+    return node.remoteAddress === address.host &&
+        (address.port === undefined || node.remotePort === address.port);
+}
+
 RiakCluster.prototype._startNode = function (node, callback) {
+    node._inheritLogger(this.logger);
+    node._inheritMetrics(this.metrics);
+    node._inheritRetryPolicy(this.retryPolicy);
     node.on(EVT_SC, this._onNodeStateChange.bind(this));
     node.on(EVT_RC, this._onRetryCommand.bind(this));
+    node.on(EVT_CR, this._onCommandResult.bind(this));
+    node.on(EVT_CD, this.emit.bind(this, EVT_CD));
     node.start(function (err, rslt) {
         if (err) {
-            logger.error('[RiakCluster] error starting node (%s:%d):',
-                node.remoteAddress, node.remotePort, err);
+            node._logger.error('error starting node', { err: err });
         }
         if (callback) {
             callback(err, rslt);
@@ -196,12 +584,13 @@ RiakCluster.prototype._startNode = function (node, callback) {
 };
 
 RiakCluster.prototype._shutdown = function (callback) {
-    logger.debug('[RiakCluster] checking to see if nodes are shut down.');
+    this._logger.debug('checking to see if nodes are shut down');
 
     var allStopped = true;
     for (var i = 0; i < this.nodes.length; i++) {
         var node = this.nodes[i];
-        if (node.state !== RiakNode.State.SHUTDOWN) {
+        if (node.state !== RiakNode.State.SHUTDOWN &&
+                node.state !== RiakNode.State.CREATED) {
             allStopped = false;
             var stopNode = makeStopNodeFunc(node);
             stopNode();
@@ -210,18 +599,14 @@ RiakCluster.prototype._shutdown = function (callback) {
 
     if (allStopped) {
         this.state = State.SHUTDOWN;
-        logger.debug('[RiakCluster] cluster shut down.');
-        if (this._commandQueue.length) {
-            logger.warn('[RiakCluster] There were %d commands in the queue at shutdown',
-                this._commandQueue.length);
-        }
+        this._logger.debug('cluster shut down');
         this.emit(EVT_SC, this.state);
         this.removeAllListeners();
         if (callback) {
-            callback(null, this.state);
+            callback(null, this.state, this._stopReport);
         }
     } else {
-        logger.debug('[RiakCluster] nodes still running.');
+        this._logger.debug('nodes still running');
         setTimeout(this._shutdown.bind(this, callback), 125);
     }
 };
@@ -237,15 +622,49 @@ RiakCluster.prototype._shutdown = function (callback) {
 RiakCluster.prototype.execute = function(command, previous) {
     // If there's no previous node, set the remaining retries
     if (arguments.length === 1) {
+        if (this.typedErrors) {
+            command.typedErrors = true;
+        }
+        if (this._isStopping()) {
+            this._logger.debug('command refused while stopping', { command: command.name });
+            if (this._stopReport) {
+                this._stopReport.rejected++;
+            }
+            command.onError(new errors.ShutdownError('RiakCluster is shutting down', command));
+            return;
+        }
         command.remainingTries = this.executionAttempts;
+        this.metrics.inc('riak_client_commands_total',
+            { command: Metrics.commandType(command) });
+        command.attempts = 0;
+        if (typeof command._start === 'function') {
+            if (!this._active[command.name]) {
+                this._active[command.name] = command;
+                this._activeCount++;
+            }
+            command._start(this._removeFromQueue.bind(this), this._onCommandComplete.bind(this));
+        }
+        this._scheduleHedge(command);
+    }
+
+    // NB: cancelled or past its deadline, possibly while waiting for a re-try
+    if (command.abandoned) {
+        this._logger.debug('command abandoned', { command: command.name });
+        return;
     }
 
-    logger.debug('[RiakCluster] execute command: %s remaining tries: %d.',
-        command.name, command.remainingTries);
+    if (this._lazyStart) {
+        this._startLazily(command);
+        return;
+    }
 
+    this._logger.debug('execute command',
+        { command: command.name, remainingTries: command.remainingTries });
+
+    // NB: queued commands go first
     var executing = false;
     if (this._commandQueue.length === 0) {
-        executing = this.nodeManager.executeOnNode(this.nodes, command, previous);
+        executing = this._executeOnNode(command, previous);
     }
 
     /*
@@ -259,18 +678,7 @@ RiakCluster.prototype.execute = function(command, previous) {
          * the re-try count.
          */
         if (this.queueCommands) {
-            if (this.queueMaxDepth && (this._commandQueue.length >= this.queueMaxDepth)) {
-                command.onError("No RiakNodes available and command queue at maxDepth");
-            } else {
-                this._commandQueue.push(command);
-                if (this.state === State.RUNNING) {
-                    this.state = State.QUEUEING;
-                    // TODO: should this timeout be average command execution time? Used for rate-limiting
-                    setTimeout(this._submitFromQueue.bind(this), this.queueSubmitInterval);
-                    logger.info('[RiakCluster] queueing commands.');
-                    this.emit(EVT_SC, this.state);
-                }
-            }
+            this._queueCommand(command, previous);
             return;
         }
 
@@ -278,37 +686,127 @@ RiakCluster.prototype.execute = function(command, previous) {
          * NB: if commands are not being queued, but re-tries are available,
          * re-try the command to try and run it on a different node
          */
+        command.attempts++;
         if (command.remainingTries > 0) {
             command.remainingTries--;
+            command.lastFailure = RetryPolicy.failure(RetryPolicy.Failure.NO_CONNECTION,
+                'No RiakNodes available to execute command.');
             this._onRetryCommand(command, previous);
             return;
         }
 
-        command.onError('No RiakNodes available to execute command.');
+        command.onError(new errors.NoNodesAvailableError(
+            'No RiakNodes available to execute command.', command));
+    }
+};
+
+/*
+ * Sends command to a node chosen by the node manager. Only commands that a
+ * node accepts count as an attempt.
+ */
+RiakCluster.prototype._executeOnNode = function(command, previous) {
+    command.attempts++;
+    var executing = this.nodeManager.executeOnNode(this.nodes, command, previous);
+    if (!executing) {
+        command.attempts--;
+    }
+    return executing;
+};
+
+RiakCluster.prototype._queueCommand = function(command, previous) {
+    if (this.queueMaxDepth && (this._commandQueue.length >= this.queueMaxDepth)) {
+        command.onError(new errors.QueueFullError(
+            'No RiakNodes available and command queue at maxDepth', command));
+        return;
+    }
+    var entry = this._commandQueue.push(command);
+    // NB: a retried command avoids the node it failed on
+    entry.previous = previous;
+    var queueTimeout = command.queueTimeout || this.queueTimeout;
+    if (queueTimeout) {
+        entry.timer = setTimeout(this._expireQueued.bind(this, command, queueTimeout), queueTimeout);
+    }
+    this._updateQueueMetrics();
+    this._logger.debug('command queued',
+        { command: command.name, priority: entry.priority, queued: this._commandQueue.length });
+    if (this.state === State.RUNNING) {
+        this.state = State.QUEUEING;
+        this._logger.info('queueing commands');
+        this.emit(EVT_SC, this.state);
+    }
+    this._scheduleSubmit();
+};
+
+// Drops a command that waited in the queue for longer than queueTimeout
+RiakCluster.prototype._expireQueued = function(command, queueTimeout) {
+    if (!this._commandQueue.remove(command)) {
+        return;
     }
+    this._updateQueueMetrics();
+    this.metrics.inc('riak_client_queue_expired_total',
+        { command: Metrics.commandType(command) });
+    this._logger.debug('command expired in queue',
+        { command: command.name, queueTimeout: queueTimeout });
+    command.onError(new errors.QueueTimeoutError(util.format(
+        'command not sent within queue timeout of %d ms', queueTimeout), command));
+};
+
+RiakCluster.prototype._scheduleSubmit = function() {
+    if (!this._submitTimer) {
+        this._submitTimer = setTimeout(this._submitFromQueue.bind(this), this._getSubmitInterval());
+    }
+};
+
+/*
+ * The time until the queue is next submitted: the average time between
+ * completed commands, or since the last one if that is longer, so that a
+ * busy cluster takes queued commands as fast as it completes others. At
+ * most queueSubmitInterval.
+ */
+RiakCluster.prototype._getSubmitInterval = function() {
+    if (this._lastResultAt === null) {
+        return this.queueSubmitInterval;
+    }
+    var interval = Math.max(this._resultInterval || 0, Date.now() - this._lastResultAt);
+    return Math.min(this.queueSubmitInterval, Math.max(QUEUE_MIN_SUBMIT_INTERVAL, interval));
 };
 
 RiakCluster.prototype._submitFromQueue = function() {
-    if (this.state < State.SHUTTING_DOWN) {
-        logger.debug('[RiakCluster] submitFromQueue %d.', this._commandQueue.length);
-        var command;
-        var executing;
-        while (this._commandQueue.length) {
-            command = this._commandQueue.shift();
-            executing = this.nodeManager.executeOnNode(this.nodes, command);
-            if (!executing) {
-                // TODO: this does not take retries into account, so a command that continually
-                // errors could back up the queue indefinitely
-                this._commandQueue.unshift(command);
-                // TODO: should this timeout be based on an average command execution time?
-                setTimeout(this._submitFromQueue.bind(this), this.queueSubmitInterval);
-                break;
+    this._submitTimer = null;
+    // NB: queued commands are still sent while draining
+    if (this.state !== State.SHUTTING_DOWN && this.state !== State.SHUTDOWN) {
+        this._logger.debug('submit from queue', { queued: this._commandQueue.length });
+        // NB: the classes of the commands no node accepted, e.g. as their
+        // bulkhead is full
+        var blocked = {};
+        var blockedCount = 0;
+        var entries = this._commandQueue.entries();
+        for (var i = 0; i < entries.length && blockedCount < QUEUE_CLASS_COUNT; i++) {
+            var entry = entries[i];
+            var command = entry.command;
+            // NB: commands of a class are sent in order, so that priorities
+            // hold, while other classes go on
+            if (blocked[entry.commandClass]) {
+                continue;
+            }
+            if (!command.abandoned && !this._executeOnNode(command, entry.previous)) {
+                blocked[entry.commandClass] = true;
+                blockedCount++;
+                continue;
+            }
+            // NB: the command may have been taken out while executing
+            if (this._commandQueue.remove(command)) {
+                clearTimeout(entry.timer);
             }
         }
+        if (blockedCount) {
+            this._scheduleSubmit();
+        }
+        this._updateQueueMetrics();
 
-        if (!this._commandQueue.length) {
+        if (!this._commandQueue.length && this.state === State.QUEUEING) {
             this.state = State.RUNNING;
-            logger.debug('[RiakCluster] cleared command queue.');
+            this._logger.debug('cleared command queue');
             this.emit(EVT_SC, this.state);
         }
     }
@@ -316,21 +814,88 @@ RiakCluster.prototype._submitFromQueue = function() {
 
 /**
  * Add a RiakNode to this cluster.
+ *
+ * The node is started and used once it has started. If it fails to start,
+ * e.g. cannot connect, it is stopped and not added. With the 'lazy' start
+ * mode it is added at once until the first command starts the nodes.
+ *
+ * A {{#crossLink "RiakCluster/nodeAdded:event"}}nodeAdded{{/crossLink}}
+ * event is fired once the node is added. If it is removed while it is
+ * starting it is stopped and not added, and the callback is given a
+ * CancelledError.
  * @method addNode
  * @param {RiakNode} node the (unstarted) RiakNode to add.
+ * @param {Function} [callback] called once the node is added, or could not be.
+ * @param {Object} callback.err set to an error if the node was not added.
+ * @param {RiakNode} callback.node the node.
  */
-RiakCluster.prototype.addNode = function(node) {
+RiakCluster.prototype.addNode = function(node, callback) {
+    callback = callback || function () {};
+    var key = nodeKey(node);
+    var present = this._adding[key] || this.nodes.some(function (n) {
+        return nodeKey(n) === key;
+    });
+    if (present) {
+        callback(new errors.ValidationError(util.format('node %s is already in this cluster', key)), node);
+        return;
+    }
+    if (this._lazyStart && !this._lazyCommands) {
+        // NB: started with the others by the first command
+        this._pushNode(node);
+        callback(null, node);
+        return;
+    }
+    if (this._isStopping()) {
+        callback(new errors.ShutdownError('RiakCluster is shutting down'), node);
+        return;
+    }
+
+    // NB: removeNode sets onRemoved to take the node out before it is added
+    var pending = { node: node, onRemoved: null };
+    this._adding[key] = pending;
+    this._logger.debug('adding node', { node: key });
     var self = this;
-    this._startNode(node, function (err, rslt) {
-        self.nodes.push(node);
+    this._startNode(node, function (err) {
+        delete self._adding[key];
+        if (!err && pending.onRemoved) {
+            err = new errors.CancelledError(util.format('node %s was removed while starting', key));
+        } else if (!err && self._isStopping()) {
+            err = new errors.ShutdownError('RiakCluster stopped while the node was starting');
+        }
+        if (err) {
+            self._logger.warn('node not added', { node: key, err: err });
+            var onStopped = pending.onRemoved || function () {};
+            if (isStarted(node)) {
+                makeStopNodeFunc(node)(function (stopErr) {
+                    onStopped(stopErr || null, node);
+                });
+            } else {
+                onStopped(null, node);
+            }
+            callback(err, node);
+            return;
+        }
+        self._pushNode(node);
+        callback(null, node);
     });
 };
 
+RiakCluster.prototype._pushNode = function(node) {
+    this.nodes.push(node);
+    this._logger.info('node added', { node: nodeKey(node), nodes: this.nodes.length });
+    this.emit(EVT_NA, node);
+};
+
+RiakCluster.prototype._isStopping = function() {
+    return this.state === State.DRAINING || this.state === State.SHUTTING_DOWN ||
+        this.state === State.SHUTDOWN;
+};
+
 /**
 * Get a RiakNode index from this cluster.
 * @method getNodeIndex
-* @param {RiakNode|String} node - the node for getting the index. May be supplied as a RiakNode instance or IP|hostname[:port]
-* @return {RiakNode} - The node index in this cluster. Returns -1 if the node does not exist.
+* @param {RiakNode|String} node - the node for getting the index. May be supplied as a RiakNode instance or IP|hostname[:port], with IPv6 addresses in brackets
+* @return {RiakNode} - The node index in this cluster. Returns -1 if the node does not exist or the address cannot be parsed.
 */
 RiakCluster.prototype.getNodeIndex = function(node) {
     if (node instanceof RiakNode) {
@@ -338,52 +903,265 @@ RiakCluster.prototype.getNodeIndex = function(node) {
     }
 
     // Hopefully it's a string "addr[:port]"
-    var split = node.split(':');
-    var addr = split[0];
-    var port = (split[1])? Number(split[1]) : undefined;
+    var address;
+    try {
+        address = utils.parseAddress(node);
+    } catch (err) {
+        return -1;
+    }
     for (var i = 0; i < this.nodes.length; i++) {
-        var n = this.nodes[i];
-        if (n.remoteAddress === addr) {
-            if (port === undefined || n.remotePort === port) {
-                return i;
-            }
+        if (matchesAddress(this.nodes[i], address)) {
+            return i;
         }
     }
     return -1;
 };
 
+RiakCluster.prototype._getPendingAdd = function(node) {
+    var address = null;
+    if (!(node instanceof RiakNode)) {
+        try {
+            address = utils.parseAddress(node);
+        } catch (err) {
+            return null;
+        }
+    }
+    for (var key in this._adding) {
+        var pending = this._adding[key];
+        if (address ? matchesAddress(pending.node, address) : pending.node === node) {
+            return pending;
+        }
+    }
+    return null;
+};
+
 /**
  * Remove a RiakNode from this cluster.
- * The node being removed will also be stopped.
+ *
+ * No more commands are sent to the node: those waiting for one of its
+ * connections are retried on other nodes, and those executing on it may
+ * complete before it is stopped. __options.drainTimeout__ limits how long
+ * they are waited for.
+ *
+ * A {{#crossLink "RiakCluster/nodeRemoved:event"}}nodeRemoved{{/crossLink}}
+ * event is fired once the node is out of the cluster, before it has drained.
+ *
+ * A node still starting in {{#crossLink "RiakCluster/addNode:method"}}addNode{{/crossLink}}
+ * is not added once it has started, but stopped instead.
  * @method removeNode
  * @param {RiakNode|String} node - the node to remove. May be supplied as a RiakNode instance or IP|hostname[:port]
+ * @param {Object} [options] - the options.
+ * @param {Number} [options.drainTimeout] - the time in milliseconds commands executing on the node are given to complete. Default is no limit.
+ * @param {Function} [callback] - called once the node is stopped.
+ * @param {Object} callback.err - set to an error if the node is not in this cluster or could not be stopped.
+ * @param {RiakNode} callback.node - the node.
  * @return {Boolean} - true if the node was removed.
  */
-RiakCluster.prototype.removeNode = function(node) {
+RiakCluster.prototype.removeNode = function(node, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    options = options || {};
+    callback = callback || function () {};
     var index = this.getNodeIndex(node);
     var n = this.nodes[index];
-    if (n) {
-        this.nodes.splice(index, 1);
-        n.stop();
+    if (!n) {
+        var pending = this._getPendingAdd(node);
+        if (pending && !pending.onRemoved) {
+            this._logger.info('node removed while starting', { node: nodeKey(pending.node) });
+            pending.onRemoved = callback;
+            return true;
+        }
+        callback(new errors.ValidationError(util.format('node %s is not in this cluster',
+            node instanceof RiakNode ? nodeKey(node) : node)), null);
+        return false;
+    }
+
+    this.nodes.splice(index, 1);
+    if (typeof this.nodeManager.onNodeRemoved === 'function') {
+        this.nodeManager.onNodeRemoved(n);
+    }
+    var key = nodeKey(n);
+    this._logger.info('node removed', { node: key, nodes: this.nodes.length });
+    this.emit(EVT_NR, n);
+
+    if (!isStarted(n)) {
+        // NB: not started with the 'lazy' start mode, or already stopping
+        callback(null, n);
         return true;
     }
-    return false;
+
+    var self = this;
+    var timer = null;
+    var stopping = false;
+    var stop = function () {
+        if (stopping) {
+            return;
+        }
+        stopping = true;
+        clearTimeout(timer);
+        n.stop(function (err) {
+            if (err) {
+                self._logger.error('error stopping removed node', { node: key, err: err });
+            }
+            callback(err || null, n);
+        });
+    };
+    if (options.drainTimeout) {
+        timer = setTimeout(function () {
+            self._logger.warn('removed node not drained within timeout',
+                { node: key, executeCount: n.executeCount, drainTimeout: options.drainTimeout });
+            stop();
+        }, options.drainTimeout);
+    }
+    n.drain(stop);
+    return true;
+};
+
+/**
+ * Get a description of the current state of this cluster and its nodes.
+ *
+ *     {
+ *       state: 'RUNNING',
+ *       queued: 0,
+ *       nodes: [ { node: '10.0.0.1:8087', state: 'RUNNING', weight: 1, ... } ]
+ *     }
+ *
+ * See {{#crossLink "RiakNode/getStatus:method"}}RiakNode.getStatus(){{/crossLink}}
+ * @method getStatus
+ * @return {Object} the status.
+ */
+RiakCluster.prototype.getStatus = function() {
+    return {
+        state: stateNames[this.state],
+        queued: this._commandQueue.length,
+        nodes: this.nodes.map(function (node) {
+            return node.getStatus();
+        })
+    };
+};
+
+/**
+ * Get the time after which a read is also sent to another node.
+ *
+ * See the __hedgeDelay__ option.
+ * @method getHedgeDelay
+ * @return {Number} the delay in milliseconds, or null if reads are not hedged.
+ */
+RiakCluster.prototype.getHedgeDelay = function() {
+    var l = this._readLatencies;
+    if (!l) {
+        return this.hedgeDelay || null;
+    }
+    if (l.count < HEDGE_MIN_SAMPLES) {
+        return null;
+    }
+    if (l.delay === null || l.count - l.computedAt >= HEDGE_RECOMPUTE) {
+        var sorted = l.samples.slice().sort(function (a, b) {
+            return a - b;
+        });
+        var i = Math.ceil(sorted.length * l.percentile / 100) - 1;
+        l.delay = sorted[Math.max(0, Math.min(i, sorted.length - 1))];
+        l.computedAt = l.count;
+    }
+    return l.delay;
+};
+
+RiakCluster.prototype._scheduleHedge = function(command) {
+    if (!this.hedgeDelay || this.nodes.length < 2 ||
+            typeof command._hedge !== 'function' || !command.isHedgeable()) {
+        return;
+    }
+    var delay = this.getHedgeDelay();
+    if (delay !== null) {
+        command._hedgeTimer = setTimeout(this._hedge.bind(this, command), delay);
+    }
+};
+
+RiakCluster.prototype._hedge = function(command) {
+    command._hedgeTimer = null;
+    // NB: not while draining either, a hedge would only hold up the drain
+    if (command._completed || command.abandoned || this._isStopping()) {
+        return;
+    }
+    var previous = command.lastNode ? this.nodes[this.getNodeIndex(command.lastNode)] : undefined;
+    var self = this;
+    var hedged = command._hedge(function (hedge) {
+        return self.nodeManager.executeOnNode(self.nodes, hedge, previous);
+    });
+    if (hedged) {
+        this.metrics.inc('riak_client_hedges_total',
+            { command: Metrics.commandType(command) });
+        this._logger.debug('hedging command', { command: command.name });
+    } else {
+        this._logger.debug('no node to hedge command', { command: command.name });
+    }
+};
+
+RiakCluster.prototype._recordReadLatency = function(latency) {
+    var l = this._readLatencies;
+    l.samples[l.count % HEDGE_SAMPLES] = latency;
+    l.count++;
+};
+
+RiakCluster.prototype._onCommandComplete = function(command) {
+    if (this._active[command.name] !== command) {
+        return;
+    }
+    delete this._active[command.name];
+    this._activeCount--;
+    if (this.state === State.DRAINING) {
+        this._stopReport.completed++;
+        // NB: once the callback of the command has been called
+        setImmediate(this._maybeDrained.bind(this));
+    }
+};
+
+RiakCluster.prototype._removeFromQueue = function(command) {
+    var entry = this._commandQueue.remove(command);
+    if (entry) {
+        clearTimeout(entry.timer);
+        this._updateQueueMetrics();
+    }
+};
+
+RiakCluster.prototype._updateQueueMetrics = function() {
+    this.metrics.set('riak_client_queue_depth', undefined, this._commandQueue.length);
 };
 
 RiakCluster.prototype._onNodeStateChange = function(node, state) {
+    node._metrics.inc('riak_client_node_state_changes_total',
+        { node: node._metricLabels.node, state: RiakNode.stateNames[state] });
     this.emit(EVT_NSC, node, state);
 };
 
+RiakCluster.prototype._onCommandResult = function(node, command, failure, latency) {
+    var now = Date.now();
+    if (this._lastResultAt !== null) {
+        var gap = now - this._lastResultAt;
+        this._resultInterval = this._resultInterval === null ? gap :
+            this._resultInterval * (1 - QUEUE_EWMA_WEIGHT) + gap * QUEUE_EWMA_WEIGHT;
+    }
+    this._lastResultAt = now;
+    if (this._readLatencies && !failure && latency !== undefined &&
+            typeof command.isHedgeable === 'function' && command.isHedgeable()) {
+        this._recordReadLatency(latency);
+    }
+    if (typeof this.nodeManager.onCommandResult === 'function') {
+        this.nodeManager.onCommandResult(node, command, failure, latency);
+    }
+};
+
 RiakCluster.prototype._onRetryCommand = function(command, lastNode) {
-    var i = this.executionAttempts - command.remainingTries;
-    // NB: only "immediately" re-try if there's another node on which to re-try
-    if ((this.nodes.length > 1) && (i === 0 || i === 1)) {
-        logger.debug('[RiakCluster] scheduling immediate re-try for:', command.name);
-        setImmediate(this.execute.bind(this, command, lastNode));
-    } else {
-        var delay_ms = 100 * i;
-        logger.debug('[RiakCluster] scheduling re-try with %d ms delay for:', delay_ms, command.name);
+    var delay_ms = this.retryPolicy.getDelay(command, command.lastFailure, command.attempts);
+    if (delay_ms > 0) {
+        this._logger.debug('scheduling re-try',
+            { command: command.name, delay: delay_ms });
         setTimeout(this.execute.bind(this, command, lastNode), delay_ms);
+    } else {
+        this._logger.debug('scheduling immediate re-try', { command: command.name });
+        setImmediate(this.execute.bind(this, command, lastNode));
     }
 };
 
@@ -395,8 +1173,13 @@ RiakCluster.prototype._onRetryCommand = function(command, lastNode) {
  *
  *     RiakCluster.State.CREATED
  *     RiakCluster.State.RUNNING
+ *     RiakCluster.State.QUEUEING
  *     RiakCluster.State.SHUTTING_DOWN
  *     RiakCluster.State.SHUTDOWN
+ *     RiakCluster.State.DRAINING
+ *
+ * DRAINING was added last: it comes before SHUTTING_DOWN although its value
+ * is greater, so states are to be compared for equality rather than order.
  *
  * See: {{#crossLink "RiakCluster/stateChange:event"}}stateChange{{/crossLink}}
  *
@@ -410,7 +1193,8 @@ var State = Object.freeze({
     RUNNING : 1,
     QUEUEING: 2,
     SHUTTING_DOWN : 3,
-    SHUTDOWN : 4
+    SHUTDOWN : 4,
+    DRAINING : 5
 });
 
 var stateNames = Object.freeze({
@@ -418,24 +1202,58 @@ var stateNames = Object.freeze({
     1 : 'RUNNING',
     2 : 'QUEUEING',
     3 : 'SHUTTING_DOWN',
-    4 : 'SHUTDOWN'
+    4 : 'SHUTDOWN',
+    5 : 'DRAINING'
 });
 
 var defaultRiakNode = new RiakNode();
 var defaultExecutionAttempts = 4;
 
+// Read latencies kept for a hedgeDelay percentile, the number needed before
+// it is used, and how often it is recomputed
+var HEDGE_SAMPLES = 1000;
+var HEDGE_MIN_SAMPLES = 100;
+var HEDGE_RECOMPUTE = 50;
+
+// The shortest time between queue submissions, and the weight of each
+// completed command in the average time between them
+var QUEUE_MIN_SUBMIT_INTERVAL = 5;
+var QUEUE_EWMA_WEIGHT = 0.2;
+
+// Once commands of every class were refused, none will be sent
+var QUEUE_CLASS_COUNT = Object.keys(CommandBase.CommandClass).length;
+
 function createDefaultNodeManager() {
     return new RoundRobinNodeManager();
 }
 
+function createDefaultRetryPolicy() {
+    return new ExponentialBackoffRetryPolicy();
+}
+
 var schema = Joi.object().keys({
     nodes: Joi.array().min(1).default([defaultRiakNode]),
     executionAttempts: Joi.number().min(1).default(defaultExecutionAttempts),
     nodeManager: Joi.object()
         .default(createDefaultNodeManager, 'default is a new instance of RoundRobinNodeManager'),
+    retryPolicy: Joi.object()
+        .default(createDefaultRetryPolicy, 'default is a new instance of ExponentialBackoffRetryPolicy'),
     queueCommands: Joi.boolean().default(false),
     queueMaxDepth: Joi.number().default(0),
-    queueSubmitInterval: Joi.number().default(500)
+    queueSubmitInterval: Joi.number().default(500),
+    queueTimeout: Joi.number().min(1).optional(),
+    drainTimeout: Joi.number().min(0).default(0),
+    startMode: Joi.string().valid('eager', 'lazy', 'require').default('eager'),
+    requiredNodes: Joi.number().integer().min(1).default(1),
+    startTimeout: Joi.number().min(1).default(10000),
+    resolveHosts: Joi.boolean().default(false),
+    resolveInterval: Joi.number().min(0).default(60000),
+    typedErrors: Joi.boolean().default(false),
+    hedgeDelay: Joi.alternatives().try(
+        Joi.number().min(1),
+        Joi.string().regex(/^p(100|[1-9]?[0-9](\.[0-9]+)?)$/, 'percentile')).optional(),
+    logger: Joi.object().optional(),
+    metrics: Joi.object().type(Metrics).optional()
 });
 
 /**
@@ -454,12 +1272,46 @@ var EVT_SC = 'stateChange';
  */
 var EVT_NSC = 'nodeStateChange';
 
+/**
+ * This event is fired when a RiakNode is added to the cluster.
+ * See {{#crossLink "RiakCluster/addNode:method"}}{{/crossLink}}
+ * @event nodeAdded
+ * @param {RiakNode} node - the node
+ */
+var EVT_NA = 'nodeAdded';
+
+/**
+ * This event is fired when a RiakNode is removed from the cluster. Commands
+ * executing on it may still complete.
+ * See {{#crossLink "RiakCluster/removeNode:method"}}{{/crossLink}}
+ * @event nodeRemoved
+ * @param {RiakNode} node - the node
+ */
+var EVT_NR = 'nodeRemoved';
+
 /**
  * This event is fired whenever a command fails on a RiakNode and needs to be retried.
  * RiakCluster is a listener.
  */
 var EVT_RC = 'retryCommand';
 
+/**
+ * This event is fired by a RiakNode whenever a command completes or fails on it.
+ * RiakCluster is a listener and passes the result to its NodeManager.
+ */
+var EVT_CR = 'commandResult';
+
+/**
+ * This event is fired when a RiakNode in the cluster closes an idle
+ * connection that did not respond to a keepalive probe.
+ * See {{#crossLink "RiakNode/connectionDiscarded:event"}}RiakNode connectionDiscarded{{/crossLink}}
+ * @event connectionDiscarded
+ * @param {RiakNode} node - the node
+ * @param {RiakConnection} connection - the connection
+ * @param {String} reason - why the connection was discarded
+ */
+var EVT_CD = 'connectionDiscarded';
+
 /**
  * A Builder for constructing RiakCluster instances.
  *
@@ -515,6 +1367,19 @@ Builder.prototype = {
         this.nodeManager = nodeManager;
         return this;
     },
+    /**
+     * Set the RetryPolicy for this cluster.
+     *
+     * If not provided the {{#crossLink "ExponentialBackoffRetryPolicy"}}{{/crossLink}} is
+     * used.
+     * @method withRetryPolicy
+     * @param {RetryPolicy} retryPolicy the policy deciding whether and when to retry commands.
+     * @chainable
+     */
+    withRetryPolicy : function(retryPolicy) {
+        this.retryPolicy = retryPolicy;
+        return this;
+    },
     /**
      * Set whether to queue commands or not if no RiakNodes are available.
      *
@@ -522,20 +1387,106 @@ Builder.prototype = {
      * all nodes, the default behavior is to fail commands when submitted.
      *
      * Setting this option causes the the RiakCluster to queue additional commands
-     * (FIFO) then send them when nodes/connections become available.
+     * (by priority, then FIFO) then send them when nodes/connections become available.
      *
      * If maxDepth is supplied the queue is bounded and additional commands
      * attempting to be queued will be failed. The default is an unbounded queue.
      *
      * @method withQueueCommands
      * @param {Number} [maxDepth=unlimited] the maximum number of commands to queue. Default is unlimited.
-     * @param {Number} [submitInterval=500] The duration in milliseconds between queue submission attempts. Default is 500.
+     * @param {Number} [submitInterval=500] The longest duration in milliseconds between queue submission attempts. Default is 500.
+     * @param {Number} [queueTimeout] The time in milliseconds a command may wait in the queue. Default is no limit.
      * @chainable
      */
-    withQueueCommands : function(maxDepth, submitInterval) {
+    withQueueCommands : function(maxDepth, submitInterval, queueTimeout) {
         this.queueCommands = true;
         this.queueMaxDepth = maxDepth;
         this.queueSubmitInterval = submitInterval;
+        this.queueTimeout = queueTimeout;
+        return this;
+    },
+    /**
+     * Set the time commands are given to complete when the cluster is
+     * stopped. See {{#crossLink "RiakCluster/stop:method"}}{{/crossLink}}.
+     * @method withDrainTimeout
+     * @param {Number} drainTimeout the time in milliseconds.
+     * @chainable
+     */
+    withDrainTimeout : function(drainTimeout) {
+        this.drainTimeout = drainTimeout;
+        return this;
+    },
+    /**
+     * Set how the nodes are started. See the __startMode__ option.
+     * @method withStartMode
+     * @param {String} startMode 'eager', 'lazy' or 'require'.
+     * @param {Number} [requiredNodes=1] the number of nodes that must pass their health check, with 'require'.
+     * @param {Number} [startTimeout=10000] the time in milliseconds they are given, with 'require'.
+     * @chainable
+     */
+    withStartMode : function(startMode, requiredNodes, startTimeout) {
+        this.startMode = startMode;
+        this.requiredNodes = requiredNodes;
+        this.startTimeout = startTimeout;
+        return this;
+    },
+    /**
+     * Replace each node whose address is a hostname with a node per address
+     * it resolves to. See the __resolveHosts__ option.
+     * @method withResolveHosts
+     * @param {Number} [resolveInterval=60000] the time in milliseconds between lookups, 0 to only resolve at start.
+     * @chainable
+     */
+    withResolveHosts : function(resolveInterval) {
+        this.resolveHosts = true;
+        this.resolveInterval = resolveInterval;
+        return this;
+    },
+    /**
+     * Give the callbacks of the commands executed a RiakError for every
+     * error. See the __typedErrors__ option.
+     * @method withTypedErrors
+     * @chainable
+     */
+    withTypedErrors : function() {
+        this.typedErrors = true;
+        return this;
+    },
+    /**
+     * Hedge reads of a single object: if the node executing one has not
+     * responded within __delay__, also send it to another node and use the
+     * first successful response.
+     * @method withHedgeDelay
+     * @param {Number|String} delay the time in milliseconds, or the percentile of read latency such as 'p95'.
+     * @chainable
+     */
+    withHedgeDelay : function(delay) {
+        this.hedgeDelay = delay;
+        return this;
+    },
+    /**
+     * Set the logger used by this cluster, its node manager and any
+     * RiakNode without a logger of its own.
+     *
+     * See {{#crossLink "Logger"}}{{/crossLink}}
+     * @method withLogger
+     * @param {Object} logger an object with debug, info, warn and error methods.
+     * @chainable
+     */
+    withLogger : function(logger) {
+        this.logger = logger;
+        return this;
+    },
+    /**
+     * Set the metrics registry used by this cluster.
+     *
+     * See {{#crossLink "Metrics"}}{{/crossLink}}
+     * @method withMetrics
+     * @param {Metrics} metrics the metrics registry.
+     * @chainable
+     */
+    withMetrics : function(metrics) {
+        this.metrics = metrics;
         return this;
     },
     /**
@@ -22,11 +22,11 @@ var tls = require('tls');
 var events = require('events');
 var util = require('util');
 var fs = require('fs');
-var logger = require('winston');
 
 var ByteBuffer = require('bytebuffer');
 var StartTls = require('./starttls');
 var AuthReq = require('./authreq');
+var Logger = require('./logger');
 var utils = require('./utils');
 
 var rpb = require('../protobuf/riakprotobuf');
@@ -45,17 +45,10 @@ var RIAK_R16_CIPHERS = 'DHE-RSA-AES128-SHA256:DHE-RSA-AES128-SHA:DHE-RSA-AES256-
 
 var cid = {};
 
-function debugOutputConnectionListeners(name, conn) {
-    if (logger.debug) {
-        logger.debug('%s listeners for "close" event: %d', name, conn.listenerCount('close'));
-        logger.debug('%s listeners for "connect" event: %d', name, conn.listenerCount('connect'));
-        logger.debug('%s listeners for "data" event: %d', name, conn.listenerCount('data'));
-        logger.debug('%s listeners for "drain" event: %d', name, conn.listenerCount('drain'));
-        logger.debug('%s listeners for "end" event: %d', name, conn.listenerCount('end'));
-        logger.debug('%s listeners for "error" event: %d', name, conn.listenerCount('error'));
-        logger.debug('%s listeners for "lookup" event: %d', name, conn.listenerCount('lookup'));
-        logger.debug('%s listeners for "timeout" event: %d', name, conn.listenerCount('timeout'));
-    }
+function debugOutputConnectionListeners(logger, conn) {
+    ['close', 'connect', 'data', 'drain', 'end', 'error', 'lookup', 'timeout'].forEach(function (evt) {
+        logger.debug('event listeners', { event: evt, listeners: conn.listenerCount(evt) });
+    });
 }
 
 /**
@@ -67,6 +60,7 @@ function debugOutputConnectionListeners(name, conn) {
  * @class RiakConnection
  * @constructor
  * @param {Object} options - the options to use.
+ * @param {Object} [options.logger] - the logger to use. See {{#crossLink "Logger"}}{{/crossLink}}.
  */
 function RiakConnection(options) {
     events.EventEmitter.call(this);
@@ -78,10 +72,16 @@ function RiakConnection(options) {
     if (!cid[this.remotePort]) {
         cid[this.remotePort] = 1;
     }
+    this.id = cid[this.remotePort];
     this.name = util.format('[RiakConnection] (%s:%d-%d)',
-        this.remoteAddress, this.remotePort, cid[this.remotePort]);
+        this.remoteAddress, this.remotePort, this.id);
     cid[this.remotePort]++;
 
+    this._logger = new Logger(options.logger, {
+        node: utils.formatAddress(this.remoteAddress, this.remotePort),
+        connection: this.id
+    });
+
     if (options.cork) {
         this.cork = true;
     }
@@ -118,7 +118,7 @@ function RiakConnection(options) {
     this._emitAndClose = function(evt, evt_args) {
         if (!this.closed) {
             // NB: this can be useful
-            // logger.debug("%s emitting '%s' args '%s'", this.name, evt, evt_args);
+            // this._logger.debug('emitting', { event: evt, args: evt_args });
             // NB: RiakNode checks inFlight to re-try command if necessary
             // so don't set inFlight to false here, it will be set to false in close()
             this.closed = true;
@@ -129,16 +129,14 @@ function RiakConnection(options) {
     };
 
     this._connHandleEnd = function () {
-        logger.debug('%s handling "end" event', this.name);
+        this._logger.debug('handling "end" event');
         this._emitAndClose('connectionClosed');
     };
 
     this._connHandleTimeout = function (command) {
-        var err = util.format("%s command '%s' timed out (in-flight: %s)",
-            this.name, command.name, this.inFlight);
-        if (logger.debug) {
-            logger.debug(err);
-        }
+        this._logger.debug('command timed out',
+            { command: command.name, inFlight: this.inFlight });
+        this.timedOut = true;
         this._emitAndClose('connectionClosed');
     };
 
@@ -249,11 +247,20 @@ function RiakConnection(options) {
 
     this._executeStart = function(command) {
         this.command = command;
-        logger.debug('%s execute command:', this.name, command.name);
+        this._logger.debug('execute command', { command: command.name });
         this.inFlight = true;
         this.lastUsed = Date.now();
+        // NB: allows the command to pause / resume reading its responses
+        command.connection = this;
+        if (command.paused) {
+            this.pause();
+        }
     };
 
+    // decoded responses not yet emitted due to pause()
+    this._responses = [];
+    this._paused = false;
+
     this._executeInit();
 
     this.closed = false;
@@ -275,10 +282,10 @@ function RiakConnection(options) {
     */
 
     if (this.cork && !this._connection.cork) {
-        logger.warn('%s wanted to use cork/uncork but not supported!', this.name);
+        this._logger.warn('wanted to use cork/uncork but not supported!');
         this.cork = false;
     } else {
-        logger.debug('%s using cork() / uncork()', this.name);
+        this._logger.debug('using cork() / uncork()');
     }
 }
 
@@ -298,7 +305,7 @@ RiakConnection.prototype.connect = function() {
 };
 
 RiakConnection.prototype._connected = function() {
-    logger.debug('%s connected', this.name);
+    this._logger.debug('connected');
     this._connection.removeListener('connect', this._boundConnected);
     this._boundConnected = null;
 
@@ -319,7 +326,7 @@ RiakConnection.prototype._connected = function() {
         this._connection.on('close', this._boundConnectionError);
         this._boundResponseReceived = this._receiveStartTls.bind(this);
         this.on('responseReceived', this._boundResponseReceived);
-        var command = new StartTls();
+        var command = new StartTls(this._logger);
         this.execute(command);
     } else if (this.healthCheck) {
          // NB: see above comment re: 'close' event
@@ -330,7 +337,7 @@ RiakConnection.prototype._connected = function() {
     } else {
         this._clearSocketTimeout();
         this._connection.on('close', this._connClosed.bind(this));
-        logger.debug('%s emit connected, no-auth', this.name);
+        this._logger.debug('emit connected, no-auth');
         this._connectedEmitted = true;
         this.emit('connected', this);
     }
@@ -352,13 +359,13 @@ RiakConnection.prototype._socketError = function(err) {
     // log only because close will be called right after
     // https://nodejs.org/api/net.html#net_event_error
     if (err) {
-        logger.error('%s _socketError:', this.name);
+        this._logger.error('socket error', { err: err });
     }
 };
 
 RiakConnection.prototype._receiveHealthCheck = function(conn, command, code, decoded) {
     // NB: this function is similar to _responseReceived in RiakNode
-    logger.debug('%s receive health check response', this.name);
+    this._logger.debug('receive health check response');
     this.executeDone();
     this.removeListener('responseReceived', this._boundResponseReceived);
     this._boundResponseReceived = null;
@@ -368,16 +375,17 @@ RiakConnection.prototype._receiveHealthCheck = function(conn, command, code, dec
 
     var self = this;
     function onError(err) {
-        logger.error(err.msg);
+        self._logger.error(err.msg, { command: command.name });
         self._connectionError(err.msg);
     }
     function onSuccess() {
-        logger.debug('%s health check, emit connected', self.name);
+        self._logger.debug('health check, emit connected');
         self._connectedEmitted = true;
         self.emit('connected', self);
     }
     var data = {
         conn: conn,
+        logger: this._logger,
         command: command,
         code: code,
         decoded: decoded,
@@ -388,14 +396,14 @@ RiakConnection.prototype._receiveHealthCheck = function(conn, command, code, dec
 
 RiakConnection.prototype._receiveStartTls = function(conn, command, code, decoded) {
     // NB: this function is similar to _responseReceived in RiakNode
-    logger.debug('%s receive StartTls response', this.name);
+    this._logger.debug('receive StartTls response');
     this.executeDone();
     this.removeListener('responseReceived', this._boundResponseReceived);
     this._boundResponseReceived = null;
 
     var self = this;
     function onError(err) {
-        logger.error(err.msg);
+        self._logger.error(err.msg, { command: command.name });
         self._connectionError(err.msg);
     }
     function onSuccess() {
@@ -428,15 +436,14 @@ RiakConnection.prototype._receiveStartTls = function(conn, command, code, decode
 
         // Execute AuthReq command
         /*
-        if (logger.debug) {
-            debugOutputConnectionListeners(self.name, self._connection);
-        }
+        debugOutputConnectionListeners(self._logger, self._connection);
         */
-        var command = new AuthReq(auth_options);
+        var command = new AuthReq(auth_options, self._logger);
         self.execute(command);
     }
     var data = {
         conn: conn,
+        logger: this._logger,
         command: command,
         code: code,
         decoded: decoded,
@@ -446,7 +453,7 @@ RiakConnection.prototype._receiveStartTls = function(conn, command, code, decode
 };
 
 RiakConnection.prototype._receiveAuthResp = function(conn, command, code, decoded) {
-    logger.debug('%s receive RpbAuthResp', this.name);
+    this._logger.debug('receive RpbAuthResp');
     this.executeDone();
     this.removeListener('responseReceived', this._boundResponseReceived);
     this._boundResponseReceived = null;
@@ -456,16 +463,17 @@ RiakConnection.prototype._receiveAuthResp = function(conn, command, code, decode
 
     var self = this;
     function onError(err) {
-        logger.error(err.msg);
+        self._logger.error(err.msg, { command: command.name });
         self._connectionError(err.msg);
     }
     function onSuccess() {
-        logger.debug('%s emit connected, with-auth', self.name);
+        self._logger.debug('emit connected, with-auth');
         self._connectedEmitted = true;
         self.emit('connected', self);
     }
     var data = {
         conn: conn,
+        logger: this._logger,
         command: command,
         code: code,
         decoded: decoded,
@@ -476,10 +484,49 @@ RiakConnection.prototype._receiveAuthResp = function(conn, command, code, decode
 
 RiakConnection.prototype._receiveData = function(data) {
     var protobufArray = this._buildProtobufArray(data);
-    for (var i = 0; i < protobufArray.length; i++) {
+    Array.prototype.push.apply(this._responses, protobufArray);
+    this._emitResponses();
+};
+
+RiakConnection.prototype._emitResponses = function() {
+    // NB: a listener may pause() or close() this connection while handling a response
+    while (!this._paused && this._responses.length) {
+        var r = this._responses.shift();
         this._clearSocketTimeout();
-        this.emit('responseReceived', this,
-            this.command, protobufArray[i].msgCode, protobufArray[i].protobuf);
+        this.emit('responseReceived', this, this.command, r.msgCode, r.protobuf);
+    }
+};
+
+/**
+ * Stop reading from the socket and hold any already-received responses
+ * until resume() is called.
+ *
+ * Used by streaming commands whose consumer can not keep up, so that data
+ * is left in the socket rather than buffered in memory.
+ * @method pause
+ */
+RiakConnection.prototype.pause = function() {
+    if (!this._paused) {
+        this._logger.debug('pausing');
+        this._paused = true;
+        if (this._connection) {
+            this._connection.pause();
+        }
+    }
+};
+
+/**
+ * Emit held responses and resume reading from the socket.
+ * @method resume
+ */
+RiakConnection.prototype.resume = function() {
+    if (this._paused) {
+        this._logger.debug('resuming');
+        this._paused = false;
+        this._emitResponses();
+        if (!this._paused && this._connection) {
+            this._connection.resume();
+        }
     }
 };
 
@@ -488,25 +535,54 @@ RiakConnection.prototype._connClosed = function(had_error) {
     this._emitAndClose('connectionClosed');
 };
 
+/**
+ * Close this connection.
+ *
+ * Emits __closed__ the first time it is called.
+ * @method close
+ */
 RiakConnection.prototype.close = function() {
     this.closed = true;
     this.executeDone();
+    if (!this._closeEmitted) {
+        this._closeEmitted = true;
+        this.emit('closed', this);
+    }
     this.removeAllListeners();
     this._closeBuffer();
     if (this._connection) {
         this._connection.end();
         this._connection.removeAllListeners();
+        var logger = this._logger;
         this._connection.on('error', function (err) {
             if (err) {
-                logger.error('%s error AFTER close:', this.name, err);
+                logger.error('error AFTER close', { err: err });
             }
         });
         this._connection = null;
     }
-    logger.debug('%s closed', this.name);
+    this._logger.debug('closed');
+};
+
+/**
+ * Give up on the executing command.
+ *
+ * Riak will still respond to it, so the connection is closed, emitting
+ * __connectionClosed__.
+ * @method abandon
+ */
+RiakConnection.prototype.abandon = function() {
+    this._logger.debug('abandoning command', { command: this.command.name });
+    this._emitAndClose('connectionClosed');
 };
 
 RiakConnection.prototype.executeDone = function() {
+    if (this.command && this.command.connection === this) {
+        this.command.connection = null;
+    }
+    // NB: nothing more is expected for the command, drop anything held
+    this._responses = [];
+    this.resume();
     this.inFlight = false;
     this.command = {
         name: 'no-command'
@@ -517,8 +593,8 @@ RiakConnection.prototype.executeDone = function() {
 // command includes user callback
 RiakConnection.prototype.execute = function(command) {
     if (this.inFlight === true) {
-        logger.error('%s attempted to run command "%s" on in-use connection',
-            this.name, command.name);
+        this._logger.error('attempted to run command on in-use connection',
+            { command: command.name });
         return false;
     }
 
@@ -537,7 +613,8 @@ RiakConnection.prototype.execute = function(command) {
             this._connection.removeListener('timeout', this._boundConnectionTimeout);
         }
         this._boundConnectionTimeout = this._connHandleTimeout.bind(this, command);
-        this._connection.setTimeout(this.requestTimeout, this._boundConnectionTimeout);
+        this._connection.setTimeout(command.timeout || this.requestTimeout,
+            this._boundConnectionTimeout);
     }
 
     /*
@@ -21,12 +21,16 @@ var async = require('async');
 var backoff = require('backoff');
 var events = require('events');
 var Joi = require('joi');
-var logger = require('winston');
 var util = require('util');
 
+var Logger = require('./logger');
+var Metrics = require('./metrics');
+var RetryPolicy = require('./retrypolicy');
 var RiakConnection = require('./riakconnection');
+var CommandBase = require('../commands/commandbase');
 var Ping = require('../commands/ping');
 var utils = require('./utils');
+var errors = require('../errors');
 
 var rpb = require('../protobuf/riakprotobuf');
 var rpbErrorRespCode = rpb.getCodeFor('RpbErrorResp');
@@ -53,9 +57,66 @@ var nid = 0;
  *       idleTimeout: 10000,
  *       connectionTimeout: 3000,
  *       requestTimeout: 5000,
+ *       waitQueueSize: 0,
+ *       waitQueueTimeout: 1000,
+ *       weight: 1,
+ *       healthCheckInterval: 0,
+ *       healthCheckBackoff: 'fibonacci',
+ *       healthCheckMinDelay: 10,
+ *       healthCheckMaxDelay: 5000,
+ *       keepAliveInterval: 0,
+ *       adaptivePool: false,
+ *       maxPendingConnections: 0,
+ *       bulkheads: {},
  *       cork: true
  *     }
  *
+ * The pool opens __minConnections__ connections at start and grows on demand
+ * up to __maxConnections__. With __adaptivePool__ it is instead kept at a
+ * target size: the peak number of commands executing or waiting on this node
+ * over the last 10 seconds, plus a quarter, within __minConnections__ and
+ * __maxConnections__. Connections are opened ahead of demand to reach the
+ * target, and idle connections beyond it are closed one per second. The pool
+ * is also re-warmed as soon as a health check succeeds. At most
+ * __maxPendingConnections__ connections are opened at once, if set; commands
+ * arriving when that many are opening wait in the wait queue, if any.
+ *
+ * Commands declare a class with
+ * {{#crossLink "CommandBase/getCommandClass:method"}}{{/crossLink}}: 'long'
+ * for streaming and administrative commands such as ListKeys, MapReduce and
+ * SecondaryIndexQuery, 'short' for the others. __bulkheads__ gives a class its
+ * own limit of connections, which must be below __maxConnections__, e.g.
+ *
+ *     bulkheads: { long: { maxConnections: 8 } }
+ *
+ * Commands of that class then never hold more than 8 connections at once, so
+ * the others always have __maxConnections__ - 8 left. A command whose
+ * bulkhead is full waits in the wait queue, if any, or is refused by this
+ * node.
+ *
+ * A node that fails to connect or loses a connection is health checked: it
+ * gets no commands until a new connection is made and the __healthCheck__
+ * command succeeds on it. Checks are retried with a __healthCheckBackoff__
+ * ('fibonacci' or 'exponential') delay from __healthCheckMinDelay__ to
+ * __healthCheckMaxDelay__ ms. If __healthCheckInterval__ is set, a running
+ * node is also checked every __healthCheckInterval__ ms, so that a node that
+ * stops responding is noticed without waiting for commands to time out.
+ *
+ * If __keepAliveInterval__ is set, pooled connections that were not used for
+ * that long are sent a Ping. Those that do not respond within
+ * __connectionTimeout__ ms are closed before a command gets them, firing a
+ * {{#crossLink "RiakNode/connectionDiscarded:event"}}connectionDiscarded{{/crossLink}}
+ * event.
+ *
+ * A node can be taken out of use by hand with
+ * {{#crossLink "RiakNode/disable:method"}}{{/crossLink}} or
+ * {{#crossLink "RiakNode/drain:method"}}{{/crossLink}}, and put back with
+ * {{#crossLink "RiakNode/enable:method"}}{{/crossLink}}.
+ *
+ * __zone__ and __rack__ describe where the node runs, e.g. an availability
+ * zone, for node managers that prefer nearby nodes. See
+ * {{#crossLink "ZoneAwareNodeManager"}}{{/crossLink}}.
+ *
  * As a convenience a builder class is provided;
  *
  *     var newNode = new RiakNode.Builder().withMinConnections(10).build();
@@ -72,9 +133,24 @@ var nid = 0;
  * @param {Number} [options.idleTimeout=10000] Set the idle timeout used to reap inactive connections.
  * @param {Number} [options.connectionTimeout=3000] Set the connection timeout used when making new connections.
  * @param {Number} [options.requestTimeout=5000] Set the timeout used when executing commands.
+ * @param {Number} [options.waitQueueSize=0] The number of commands that may wait for a connection when all maxConnections are in use. Default is 0, i.e. commands are not accepted by this node.
+ * @param {Number} [options.waitQueueTimeout=1000] The time in milliseconds a command may wait for a connection. It then fails on this node and is retried if attempts remain.
+ * @param {Number} [options.weight=1] The share of commands this node receives relative to other nodes, for node managers that use weights. See {{#crossLink "WeightedRoundRobinNodeManager"}}{{/crossLink}}.
+ * @param {Number} [options.healthCheckInterval=0] The time in milliseconds between health checks of a running node. Default is 0, i.e. a running node is not checked.
+ * @param {String} [options.healthCheckBackoff=fibonacci] How the delay between health checks of a failed node grows, 'fibonacci' or 'exponential'.
+ * @param {Number} [options.healthCheckMinDelay=10] The delay in milliseconds before the first health check of a failed node.
+ * @param {Number} [options.healthCheckMaxDelay=5000] The maximum delay in milliseconds between health checks of a failed node.
+ * @param {Number} [options.keepAliveInterval=0] The time in milliseconds after which an idle pooled connection is probed with a Ping. Default is 0, i.e. idle connections are not probed.
+ * @param {Boolean} [options.adaptivePool=false] Size the pool from recent concurrency and open connections ahead of demand.
+ * @param {Number} [options.maxPendingConnections=0] The number of connections that may be opening at once. Default is 0, i.e. no limit.
+ * @param {Object} [options.bulkheads] Maps a command class to its limits, e.g. { long: { maxConnections: 8 } }.
+ * @param {String} [options.zone] The zone, e.g. availability zone or datacenter, this node runs in.
+ * @param {String} [options.rack] The rack this node runs in.
  * @param {Object} [options.auth] Set the authentication information for connections made by this node.
  * @param {Boolean} [options.cork] Use 'cork' on all sockets. Default is true.
  * @param {Boolean} [options.externalLoadBalancer] This RiakNode object connects to a load balancer. Default is false.
+ * @param {Object} [options.logger] The logger used by this node and its connections. See {{#crossLink "Logger"}}{{/crossLink}}. Default is the logger of the RiakCluster, or winston.
+ * @param {Metrics} [options.metrics] The registry this node records metrics in. See {{#crossLink "Metrics"}}{{/crossLink}}. Default is the registry of the RiakCluster.
  * @param {String} options.auth.user Riak username.
  * @param {String} [options.auth.password] Riak password. Not required if using user cert.
  * @param {String|Buffer} [options.auth.pfx] A string or buffer holding the PFX or PKCS12 encoded private key, certificate and CA certificates.
@@ -97,7 +173,7 @@ function RiakNode(options) {
 
     Joi.validate(options, schema, function (err, options) {
         if (err) {
-            throw err;
+            throw new errors.ValidationError(err.message, err.details);
         }
         self.remoteAddress = options.remoteAddress;
         self.remotePort = options.remotePort;
@@ -106,15 +182,63 @@ function RiakNode(options) {
         self.idleTimeout = options.idleTimeout;
         self.connectionTimeout = options.connectionTimeout;
         self.requestTimeout = options.requestTimeout;
+        self.waitQueueSize = options.waitQueueSize;
+        self.waitQueueTimeout = options.waitQueueTimeout;
+        self.weight = options.weight;
+        self.zone = options.zone;
+        self.rack = options.rack;
         self.state = State.CREATED;
         self.auth = options.auth;
         self.cork = options.cork;
         self.externalLoadBalancer = options.externalLoadBalancer;
         self.healthCheck = options.healthCheck;
+        self.healthCheckInterval = options.healthCheckInterval;
+        self.healthCheckBackoff = options.healthCheckBackoff;
+        self.healthCheckMinDelay = options.healthCheckMinDelay;
+        self.healthCheckMaxDelay = options.healthCheckMaxDelay;
+        self.keepAliveInterval = options.keepAliveInterval;
+        self.adaptivePool = options.adaptivePool;
+        self.maxPendingConnections = options.maxPendingConnections;
+        self.bulkheads = options.bulkheads;
+        self.logger = options.logger;
+        self.metrics = options.metrics;
+        // NB: to build nodes like this one, see RiakCluster resolveHosts
+        self._options = options;
     });
+    if (this.healthCheckMaxDelay < this.healthCheckMinDelay) {
+        throw new errors.ValidationError(
+            '"healthCheckMaxDelay" must be larger than or equal to "healthCheckMinDelay"');
+    }
+
+    Object.keys(this.bulkheads).forEach(function (commandClass) {
+        if (this.bulkheads[commandClass].maxConnections >= this.maxConnections) {
+            throw new errors.ValidationError(util.format(
+                '"maxConnections" of bulkhead %s must be less than "maxConnections"', commandClass));
+        }
+    }, this);
+
+    if (this.logger && !Logger.isLogger(this.logger)) {
+        throw new Error('logger must have debug, info, warn and error methods');
+    }
+    this._logger = new Logger(this.logger, {
+        node: utils.formatAddress(this.remoteAddress, this.remotePort)
+    });
+    this._metrics = this.metrics || new Metrics();
+    this._metricLabels = {
+        node: utils.formatAddress(this.remoteAddress, this.remotePort)
+    };
 
     this.executeCount = 0;
 
+    // command class -> number of connections in use by commands of the class
+    this._bulkheadCounts = {};
+
+    // commands waiting for a connection
+    this._waiting = [];
+
+    // callbacks waiting for a drain to complete
+    this._drainCallbacks = [];
+
     // This is to facilitate debugging
     this.name = util.format('[RiakNode] (%s:%d-%d)',
         this.remoteAddress, this.remotePort, nid);
@@ -125,8 +249,15 @@ function RiakNode(options) {
 
     // private data
     var currentNumConnections = 0;
+    var pendingConnections = 0;
     var available = [];
 
+    // the pool size kept when idle, see adaptivePool
+    this._poolTarget = this.minConnections;
+    // peak concurrency in each period of the adaptive pool window
+    var concurrency = [];
+    var peakConcurrency = 0;
+
     // protected funcs
     this._getConnectionFromPool = function (cmd_name) {
         var conn = null;
@@ -140,33 +271,69 @@ function RiakNode(options) {
                  * NB: this is expected as connection callbacks can close connections
                  * while they remain within the connection pool
                  */
-                logger.debug('%s execute of %s attempted on closed connection', this.name, cmd_name);
+                this._logger.debug('execute attempted on closed connection', { command: cmd_name });
                 conn.executeDone();
                 conn = null;
             }
         } while (!conn);
+        this._updatePoolMetrics();
         return conn;
     };
 
     this._returnConnectionToPool = function (conn) {
-        if (this.state < State.SHUTTING_DOWN) {
+        if (this.state !== State.SHUTTING_DOWN && this.state !== State.SHUTDOWN) {
             conn.executeDone();
-            available.unshift(conn);
-            logger.debug("%s _returnConnectionToPool a: %d, cnc: %d",
-                this.name, available.length, currentNumConnections);
+            var waiting = this._executeAllowed() && this._nextWaiting();
+            if (waiting) {
+                this._executeOnConnection(waiting, conn);
+            } else {
+                available.unshift(conn);
+                this._logger.debug('connection returned to pool',
+                    { available: available.length, connections: currentNumConnections });
+            }
         } else {
-            logger.debug('%s connection returned to pool during shutdown.', this.name);
+            this._logger.debug('connection returned to pool during shutdown');
             this._decrementConnectionCount();
             conn.close();
         }
+        this._updatePoolMetrics();
     };
 
     this._decrementConnectionCount = function () {
         if ((currentNumConnections - 1) < 0) {
-            logger.debug("%s cnc will decrement less than zero! (%d)",
-                this.name, currentNumConnections);
+            this._logger.debug('connection count will decrement less than zero!',
+                { connections: currentNumConnections });
         }
         currentNumConnections--;
+        this._updatePoolMetrics();
+    };
+
+    this._getPoolStatus = function () {
+        return {
+            connections: currentNumConnections,
+            available: available.length,
+            pending: pendingConnections,
+            target: this._poolTarget
+        };
+    };
+
+    this._updatePoolMetrics = function () {
+        this._metrics.set('riak_client_pool_connections',
+            this._metricLabels, currentNumConnections);
+        this._metrics.set('riak_client_pool_available_connections',
+            this._metricLabels, available.length);
+        this._metrics.set('riak_client_pool_pending_connections',
+            this._metricLabels, pendingConnections);
+    };
+
+    this._pendingAllowed = function () {
+        return !this.maxPendingConnections ||
+               pendingConnections < this.maxPendingConnections;
+    };
+
+    // Notes the number of commands executing or waiting, see adaptivePool
+    this._recordConcurrency = function () {
+        peakConcurrency = Math.max(peakConcurrency, this.executeCount + this._waiting.length);
     };
 
     this._executeAllowed = function () {
@@ -175,11 +342,13 @@ function RiakNode(options) {
 
     this._createNewConnectionAllowed = function () {
         return this.state === State.RUNNING &&
-               currentNumConnections < this.maxConnections;
+               currentNumConnections < this.maxConnections &&
+               this._pendingAllowed();
     };
 
-    function expireIdleConnections(name, minConnections, idleTimeout) {
-        logger.debug("%s expiring idle connections", name);
+    function expireIdleConnections(idleTimeout) {
+        /* jshint validthis:true */
+        this._logger.debug('expiring idle connections');
         var now = Date.now();
         var count = 0;
         var na = [];
@@ -199,14 +368,13 @@ function RiakNode(options) {
                 continue;
             }
 
-            // NB: don't expire past minConnections
-            if (currentNumConnections <= minConnections) {
+            // NB: don't expire past minConnections, or the adaptive target
+            if (currentNumConnections <= this._poolTarget) {
                 na.push(conn);
                 continue;
             }
 
             if ((now - conn.lastUsed) >= idleTimeout) {
-                /* jshint validthis:true */
                 this._decrementConnectionCount();
                 conn.close();
                 count++;
@@ -216,12 +384,13 @@ function RiakNode(options) {
             na.push(conn);
         }
         available = na;
-        logger.debug("%s expired %d connections.", name, count);
+        this._updatePoolMetrics();
+        this._logger.debug('expired connections', { expired: count });
     }
 
     var expireTimer = null;
     this._startIdleExpiration = function () {
-        var cb = expireIdleConnections.bind(this, this.name, this.minConnections, this.idleTimeout);
+        var cb = expireIdleConnections.bind(this, this.idleTimeout);
         expireTimer = setInterval(cb, 5000);
     };
 
@@ -229,8 +398,119 @@ function RiakNode(options) {
         clearInterval(expireTimer);
     };
 
+    // Takes connections idle for keepAliveInterval out of the pool to probe them
+    function probeIdleConnections() {
+        /* jshint validthis:true */
+        var now = Date.now();
+        var idle = [];
+        var na = [];
+        var conn = null;
+        while (available.length) {
+            conn = available.shift();
+            if (!conn.closed && !conn.inFlight &&
+                    (now - conn.lastUsed) >= this.keepAliveInterval) {
+                idle.push(conn);
+            } else {
+                na.push(conn);
+            }
+        }
+        available = na;
+        this._updatePoolMetrics();
+        for (var i = 0; i < idle.length; i++) {
+            this._probeConnection(idle[i]);
+        }
+    }
+
+    /*
+     * Sets the pool target from the peak concurrency over the window, then
+     * grows the pool towards it or closes one idle connection beyond it.
+     */
+    function resizePool() {
+        /* jshint validthis:true */
+        concurrency.push(peakConcurrency);
+        if (concurrency.length > POOL_WINDOW) {
+            concurrency.shift();
+        }
+        peakConcurrency = this.executeCount + this._waiting.length;
+        var peak = Math.max.apply(null, concurrency);
+        this._setPoolTarget(Math.ceil(peak * POOL_HEADROOM));
+        if (this.state !== State.RUNNING) {
+            return;
+        }
+        if (currentNumConnections < this._poolTarget) {
+            this._warmPool();
+        } else if (currentNumConnections > this._poolTarget) {
+            // NB: the least recently used connection is last
+            for (var i = available.length - 1; i >= 0; i--) {
+                var conn = available[i];
+                if (conn.inFlight || conn.closed) {
+                    continue;
+                }
+                available.splice(i, 1);
+                this._decrementConnectionCount();
+                conn.close();
+                this._logger.debug('shrank pool',
+                    { connections: currentNumConnections, target: this._poolTarget });
+                this._metrics.inc('riak_client_pool_resizes_total', this._resizeLabels('shrink'));
+                break;
+            }
+        }
+    }
+
+    var resizeTimer = null;
+    this._startPoolResizing = function () {
+        if (this.adaptivePool) {
+            resizeTimer = setInterval(resizePool.bind(this), POOL_INTERVAL);
+        }
+    };
+
+    this._stopPoolResizing = function () {
+        clearInterval(resizeTimer);
+        resizeTimer = null;
+    };
+
+    /*
+     * Opens connections until the pool reaches its target, as many at once
+     * as maxPendingConnections allows.
+     */
+    this._warmPool = function () {
+        var self = this;
+        function warmed(newConn) {
+            self._returnConnectionToPool(newConn);
+        }
+        function failed(err) {
+            self._logger.debug('could not warm pool', { err: err });
+            self._doHealthCheck();
+        }
+        var count = 0;
+        while (this.state === State.RUNNING && currentNumConnections < this._poolTarget &&
+                currentNumConnections < this.maxConnections && this._pendingAllowed()) {
+            count++;
+            this._createNewConnection(warmed, failed);
+        }
+        if (count) {
+            this._logger.debug('warming pool',
+                { opening: count, connections: currentNumConnections, target: this._poolTarget });
+            this._metrics.inc('riak_client_pool_resizes_total', this._resizeLabels('grow'), count);
+        }
+    };
+
+    var probeTimer = null;
+    this._startKeepAlive = function () {
+        if (this.keepAliveInterval) {
+            probeTimer = setInterval(probeIdleConnections.bind(this), this.keepAliveInterval);
+        }
+    };
+
+    this._stopKeepAlive = function () {
+        clearInterval(probeTimer);
+        probeTimer = null;
+    };
+
     this._createNewConnection = function (postConnectFunc, postFailFunc, healthCheck) {
         currentNumConnections++;
+        pendingConnections++;
+        this._updatePoolMetrics();
 
         var conn = new RiakConnection({
             remoteAddress : this.remoteAddress,
@@ -239,21 +519,29 @@ function RiakNode(options) {
             requestTimeout : this.requestTimeout,
             auth: this.auth,
             healthCheck: healthCheck,
-            cork: this.cork
+            cork: this.cork,
+            logger: this._logger
         });
 
         var self = this;
 
         conn.on('connected', function (conn) {
-            logger.debug("%s conn.on-connected", this.name);
+            pendingConnections--;
+            self._logger.debug('connection connected', { connection: conn.id });
+            self._metrics.inc('riak_client_connections_created_total', self._metricLabels);
             conn.on('responseReceived', self._responseReceived.bind(self));
             conn.on('connectionClosed', self._connectionClosed.bind(self));
+            conn.on('closed', function () {
+                self._metrics.inc('riak_client_connections_closed_total', self._metricLabels);
+            });
             postConnectFunc(conn);
         });
 
         conn.on('connectFailed', function (conn, err){
             // NB: when connectFailed is raised, conn is already closed
-            logger.debug("%s conn.on-connectFailed", this.name);
+            self._logger.debug('connection failed', { connection: conn.id });
+            self._metrics.inc('riak_client_connection_failures_total', self._metricLabels);
+            pendingConnections--;
             self._decrementConnectionCount();
             postFailFunc(err);
         });
@@ -275,26 +563,45 @@ function RiakNode(options) {
         return f;
     };
 
-    var hcb = backoff.fibonacci({
-        initialDelay: 10,
-        maxDelay: 5000
+    var hcb = backoff[this.healthCheckBackoff]({
+        initialDelay: this.healthCheckMinDelay,
+        maxDelay: this.healthCheckMaxDelay
     });
+    function healthCheckLabels(self, result) {
+        return { node: self._metricLabels.node, result: result };
+    }
+
     function initHealthChecker(self) {
-        logger.debug("%s initializing health checker", self.name);
+        self._logger.debug('initializing health checker');
         var hcFunc = self.healthCheck;
 
         function hcSuccess(newConn) {
             hcb.reset();
-            self._returnConnectionToPool(newConn);
+            self._metrics.inc('riak_client_health_checks_total',
+                healthCheckLabels(self, 'success'));
+            if (self.state !== State.HEALTH_CHECKING) {
+                // NB: disabled, drained or stopped during the health check
+                self._returnConnectionToPool(newConn);
+                return;
+            }
             self.state = State.RUNNING;
-            logger.debug("%s health check success", self.name);
+            // NB: RUNNING first, so that a waiting command may use newConn
+            self._returnConnectionToPool(newConn);
+            self._logger.debug('health check success');
             self.emit(EVT_SC, self, self.state);
+            if (self.adaptivePool) {
+                self._warmPool();
+            }
         }
 
         function hcFailed(err) {
-            logger.debug("%s failed health check:", err);
-            // NB: healthcheck interval *should* be less than re-try interval
-            hcb.backoff();
+            self._logger.debug('failed health check', { err: err });
+            self._metrics.inc('riak_client_health_checks_total',
+                healthCheckLabels(self, 'failure'));
+            if (self.state === State.HEALTH_CHECKING) {
+                // NB: healthcheck interval *should* be less than re-try interval
+                hcb.backoff();
+            }
         }
 
         function hcReady(n, d) {
@@ -302,7 +609,7 @@ function RiakNode(options) {
         }
 
         function hcBackoffHandler(n, d) {
-            logger.debug("%s running health check %d, delay: %d", self.name, n, d);
+            self._logger.debug('running health check', { attempt: n, delay: d });
         }
 
         hcb.on('ready', hcReady);
@@ -310,29 +617,88 @@ function RiakNode(options) {
     }
     initHealthChecker(this);
 
+    this._stopHealthChecker = function () {
+        hcb.reset();
+    };
+
+    var checkTimer = null;
+    var checking = false;
+    this._startHealthChecks = function () {
+        if (this.healthCheckInterval && !this.externalLoadBalancer) {
+            checkTimer = setInterval(this._checkHealth.bind(this), this.healthCheckInterval);
+        }
+    };
+
+    this._stopHealthChecks = function () {
+        clearInterval(checkTimer);
+        checkTimer = null;
+    };
+
+    // Checks a running node, see healthCheckInterval
+    this._checkHealth = function () {
+        if (this.state !== State.RUNNING || checking) {
+            return;
+        }
+        checking = true;
+        this._logger.debug('running periodic health check');
+        var self = this;
+        this._runHealthCheck(function (err) {
+            checking = false;
+            if (err) {
+                self._logger.warn('periodic health check failed', { err: err });
+                self._doHealthCheck();
+            }
+        });
+    };
+
+    // Runs the health check once on a new connection, which joins the pool
+    this._runHealthCheck = function (callback) {
+        var self = this;
+        this._createNewConnection(function (newConn) {
+            self._metrics.inc('riak_client_health_checks_total',
+                healthCheckLabels(self, 'success'));
+            if (currentNumConnections > self.maxConnections) {
+                self._decrementConnectionCount();
+                newConn.close();
+            } else {
+                self._returnConnectionToPool(newConn);
+            }
+            callback(null);
+        }, function (err) {
+            self._metrics.inc('riak_client_health_checks_total',
+                healthCheckLabels(self, 'failure'));
+            callback(err);
+        }, this.healthCheck);
+    };
+
     this._doHealthCheck = function () {
         switch (this.state) {
             case State.HEALTH_CHECKING:
                 if (this.externalLoadBalancer) {
-                    logger.error('%s already in health check, external load balancer:',
-                        this.name, this.externalLoadBalancer);
+                    this._logger.error('already in health check, external load balancer',
+                        { externalLoadBalancer: this.externalLoadBalancer });
                 } else {
-                    logger.debug("%s already in health check", this.name);
+                    this._logger.debug('already in health check');
                 }
                 break;
             case State.RUNNING:
                 if (this.externalLoadBalancer) {
-                    logger.warn('%s would have health checked, external load balancer:',
-                        this.name, this.externalLoadBalancer);
+                    this._logger.warn('would have health checked, external load balancer',
+                        { externalLoadBalancer: this.externalLoadBalancer });
                 } else {
                     this.state = State.HEALTH_CHECKING;
                     this.emit(EVT_SC, this, this.state);
                     hcb.backoff();
                 }
                 break;
+            case State.DRAINING:
+            case State.DISABLED:
+                this._logger.debug('no health check, node taken out of use',
+                    { state: stateNames[this.state] });
+                break;
             default:
-                logger.warn('%s health check attempted in state:',
-                    this.name, stateNames[this.state]);
+                this._logger.warn('health check attempted',
+                    { state: stateNames[this.state] });
         }
     };
 
@@ -345,8 +711,8 @@ function RiakNode(options) {
     function runShutdown(self, callback) {
         var conns = [];
         function closeConnections() {
-            logger.debug("%s closing %d connections",
-                self.name, currentNumConnections);
+            self._logger.debug('closing connections',
+                { connections: currentNumConnections });
             var conn = null;
             while (available.length) {
                 conn = available.shift();
@@ -359,8 +725,8 @@ function RiakNode(options) {
                     conns.push(conn);
                 }
             }
-            logger.debug("%s closed connections (cnc: %d)",
-                self.name, currentNumConnections);
+            self._logger.debug('closed connections',
+                { connections: currentNumConnections });
         }
 
         function areConnsClosed() {
@@ -382,14 +748,14 @@ function RiakNode(options) {
         function nodeShutdown() {
             sdb.reset();
             self.state = State.SHUTDOWN;
-            logger.debug("%s shut down.", self.name);
+            self._logger.debug('shut down');
             if (self.executeCount !== 0) {
-                logger.warn('%s execution count (%d) NOT ZERO at shutdown',
-                    self.name, self.executeCount);
+                self._logger.warn('execution count NOT ZERO at shutdown',
+                    { executeCount: self.executeCount });
             }
             if (currentNumConnections !== 0) {
-                logger.warn('%s connection count (%d) NOT ZERO at shutdown',
-                    self.name, currentNumConnections);
+                self._logger.warn('connection count NOT ZERO at shutdown',
+                    { connections: currentNumConnections });
             }
             self.emit(EVT_SC, self, self.state);
             self.removeAllListeners();
@@ -402,17 +768,17 @@ function RiakNode(options) {
             if (areConnsClosed()) {
                 nodeShutdown();
             } else {
-                logger.debug("%s connections still not closed", self.name);
+                self._logger.debug('connections still not closed');
                 sdb.backoff();
             }
         }
 
         function sdBackoffHandler(n, d) {
-            logger.debug("%s running shutdown %d, delay: %d", self.name, n, d);
+            self._logger.debug('running shutdown', { attempt: n, delay: d });
         }
 
         function sdFailHandler() {
-            logger.warn("%s shutting down after max tries", self.name);
+            self._logger.warn('shutting down after max tries');
             nodeShutdown();
         }
 
@@ -442,6 +808,40 @@ function RiakNode(options) {
 
 util.inherits(RiakNode, events.EventEmitter);
 
+/**
+ * Use the given logger if none was supplied to this node.
+ * @method _inheritLogger
+ * @private
+ * @param {Object} logger the logger, e.g. of the RiakCluster
+ */
+RiakNode.prototype._inheritLogger = function(logger) {
+    if (!this.logger && logger) {
+        this._logger = new Logger(logger, this._logger._fields);
+    }
+};
+
+/**
+ * Use the given metrics registry if none was supplied to this node.
+ * @method _inheritMetrics
+ * @private
+ * @param {Metrics} metrics the registry, e.g. of the RiakCluster
+ */
+RiakNode.prototype._inheritMetrics = function(metrics) {
+    if (!this.metrics && metrics) {
+        this._metrics = metrics;
+    }
+};
+
+/**
+ * Use the retry policy of the RiakCluster this node belongs to.
+ * @method _inheritRetryPolicy
+ * @private
+ * @param {RetryPolicy} retryPolicy the cluster's retry policy.
+ */
+RiakNode.prototype._inheritRetryPolicy = function(retryPolicy) {
+    this._retryPolicy = retryPolicy;
+};
+
 /**
  * Start this RiakNode.
  * @method start
@@ -450,7 +850,7 @@ util.inherits(RiakNode, events.EventEmitter);
 RiakNode.prototype.start = function(callback) {
     this._stateCheck([State.CREATED]);
 
-    logger.debug('%s starting', this.name);
+    this._logger.debug('starting');
 
     // Fire up connection pool
     var funcs = [];
@@ -459,13 +859,17 @@ RiakNode.prototype.start = function(callback) {
     }
 
     var self = this;
-    async.parallel(funcs, function (err, rslts) {
+    var limit = this.maxPendingConnections || funcs.length || 1;
+    async.parallelLimit(funcs, limit, function (err, rslts) {
         if (err) {
-            logger.error('%s (%d) error during start:', self.name, self.executeCount, err);
+            self._logger.error('error during start', { err: err });
         }
         self._startIdleExpiration();
+        self._startPoolResizing();
+        self._startKeepAlive();
+        self._startHealthChecks();
         self.state = State.RUNNING;
-        logger.debug('%s started', self.name);
+        self._logger.debug('started');
         self.emit(EVT_SC, self, self.state);
         if (callback) {
             callback(err, self);
@@ -479,14 +883,100 @@ RiakNode.prototype.start = function(callback) {
  * @method stop
  */
 RiakNode.prototype.stop = function(callback) {
-    this._stateCheck([State.RUNNING, State.HEALTH_CHECKING]);
+    this._stateCheck([State.RUNNING, State.HEALTH_CHECKING, State.DRAINING, State.DISABLED]);
     this._stopIdleExpiration();
+    this._stopPoolResizing();
+    this._stopKeepAlive();
+    this._stopHealthChecks();
+    this._stopHealthChecker();
     this.state = State.SHUTTING_DOWN;
-    logger.debug("%s shutting down", this.name);
+    this._logger.debug('shutting down');
     this.emit(EVT_SC, this, this.state);
+    this._retryWaiting();
+    this._drained();
     this._shutdown(callback);
 };
 
+/**
+ * Stop sending commands to this node, e.g. for maintenance. Commands waiting
+ * for a connection are retried on other nodes, those executing complete.
+ * The node is not health checked until it is enabled again.
+ * @method disable
+ */
+RiakNode.prototype.disable = function() {
+    this._stateCheck([State.RUNNING, State.HEALTH_CHECKING, State.DRAINING, State.DISABLED]);
+    if (this.state === State.DISABLED) {
+        return;
+    }
+    this._stopHealthChecker();
+    this.state = State.DISABLED;
+    this._logger.info('disabled');
+    this.emit(EVT_SC, this, this.state);
+    this._retryWaiting();
+    this._drained();
+};
+
+/**
+ * Stop sending commands to this node, and call back once those executing on
+ * it have completed. Commands waiting for a connection are retried on other
+ * nodes. The node is then disabled.
+ * @method drain
+ * @param {Function} [callback] called when the node is drained.
+ * @param {Object} callback.err always null.
+ * @param {RiakNode} callback.node this node.
+ */
+RiakNode.prototype.drain = function(callback) {
+    this._stateCheck([State.RUNNING, State.HEALTH_CHECKING, State.DRAINING, State.DISABLED]);
+    if (callback) {
+        this._drainCallbacks.push(callback);
+    }
+    if (this.state === State.RUNNING || this.state === State.HEALTH_CHECKING) {
+        this._stopHealthChecker();
+        this.state = State.DRAINING;
+        this._logger.info('draining', { executeCount: this.executeCount });
+        this.emit(EVT_SC, this, this.state);
+        this._retryWaiting();
+    }
+    this._maybeDrained();
+};
+
+/**
+ * Send commands to this node again after it was disabled or drained.
+ * @method enable
+ */
+RiakNode.prototype.enable = function() {
+    this._stateCheck([State.RUNNING, State.HEALTH_CHECKING, State.DRAINING, State.DISABLED]);
+    if (this.state !== State.DRAINING && this.state !== State.DISABLED) {
+        return;
+    }
+    this.state = State.RUNNING;
+    this._logger.info('enabled');
+    this.emit(EVT_SC, this, this.state);
+    this._drained();
+};
+
+// Disables a draining node once no command is executing on it
+RiakNode.prototype._maybeDrained = function() {
+    if (this.state === State.DRAINING && this.executeCount === 0) {
+        this.state = State.DISABLED;
+        this._logger.info('drained');
+        this.emit(EVT_SC, this, this.state);
+    }
+    if (this.state === State.DISABLED) {
+        this._drained();
+    }
+};
+
+// Calls back those waiting for a drain, which is over
+RiakNode.prototype._drained = function() {
+    var callbacks = this._drainCallbacks;
+    this._drainCallbacks = [];
+    var self = this;
+    callbacks.forEach(function (callback) {
+        callback(null, self);
+    });
+};
+
 /**
  * Execute a command on this RiakNode.
  * @method execute
@@ -494,50 +984,76 @@ RiakNode.prototype.stop = function(callback) {
  * @return {Boolean} - if this RiakNode accepted the command for execution.
  */
 RiakNode.prototype.execute = function (command) {
-    this._stateCheck([State.RUNNING, State.HEALTH_CHECKING]);
+    this._stateCheck([State.RUNNING, State.HEALTH_CHECKING, State.DRAINING, State.DISABLED]);
 
-    logger.debug("%s executing command '%s'", this.name, command.name);
+    this._logger.debug('executing command', { command: command.name });
 
     var executed = false;
     if (this._executeAllowed()) {
+        command._nodeStart = process.hrtime();
+        command.lastNode = this._metricLabels.node;
+        if (!this._bulkheadAllows(command)) {
+            var commandClass = getCommandClass(command);
+            this._logger.debug('bulkhead full', { command: command.name, commandClass: commandClass });
+            this._metrics.inc('riak_client_bulkhead_full_total', this._bulkheadLabels(commandClass));
+            return this._waitForConnection(command);
+        }
         var conn = this._getConnectionFromPool(command.name);
         // conn will be undefined if there's no available connections.
         if (!conn) {
             if (this._createNewConnectionAllowed()) {
                 var self = this;
+                // NB: hold the bulkhead while connecting
+                this._acquireBulkhead(command);
                 this._createNewConnection(function (newConn) {
-                    logger.debug("%s executing command '%s' (new connection %d)",
-                        self.name, command.name, self.executeCount);
+                    self._logger.debug('executing command on new connection',
+                        { command: command.name, connection: newConn.id, executeCount: self.executeCount });
+                    // NB: the command may have been cancelled in the time
+                    // connection is established
+                    if (command.abandoned) {
+                        self._releaseBulkhead(command);
+                        self._returnConnectionToPool(newConn);
+                        return;
+                    }
                     // NB: state could have transitioned out of RUNNING in the time
                     // connection is established
-                    if (self._executeAllowed() && newConn.execute(command)) {
-                        self.executeCount++;
-                        logger.debug("%s (%d) executed command: '%s'",
-                            self.name, self.executeCount, command.name);
+                    if (self._executeAllowed()) {
+                        self._executeOnConnection(command, newConn);
+                    } else {
+                        self._returnConnectionToPool(newConn);
+                        var failure = RetryPolicy.failure(RetryPolicy.Failure.NO_CONNECTION,
+                            'RiakNode ' + stateNames[self.state]);
+                        self._commandDone(command, failure);
+                        self._maybeRetryCommand(command, failure,
+                            makeUnavailableErrorFunc(self, command));
                     }
                 }, function (err) {
-                    logger.debug("%s (%d) command execution failed '%s'",
-                        self.name, self.executeCount, command.name);
+                    self._logger.debug('command execution failed',
+                        { command: command.name, executeCount: self.executeCount });
+                    var failure = RetryPolicy.failure(RetryPolicy.Failure.CONNECTION_FAILED, err);
+                    self._commandDone(command, failure);
                     self._doHealthCheck();
-                    self._maybeRetryCommand(command, function () {
-                        command.onError(err);
+                    self._maybeRetryCommand(command, failure, function () {
+                        command.onError(connectionError(err, command));
                     });
                 });
                 // NB: returning true is the only option since
                 // creating a new connection is async
                 executed = true;
             } else {
-                logger.debug('%s all connections in use and at max', this.name);
-                executed = false;
+                if (this._pendingAllowed()) {
+                    this._logger.debug('all connections in use and at max');
+                    this._metrics.inc('riak_client_pool_exhausted_total', this._metricLabels);
+                } else {
+                    this._logger.debug('too many connections opening',
+                        { maxPendingConnections: this.maxPendingConnections });
+                }
+                executed = this._waitForConnection(command);
             }
         } else {
-            logger.debug("%s executing command '%s' (existing connection %d)",
-                this.name, command.name, this.executeCount);
-            if (conn.execute(command)) {
-                this.executeCount++;
-                logger.debug("%s (%d) executed command: '%s'",
-                    this.name, this.executeCount, command.name);
-            }
+            this._logger.debug('executing command on existing connection',
+                { command: command.name, connection: conn.id, executeCount: this.executeCount });
+            this._executeOnConnection(command, conn);
             // NB: returning true is the only option since
             // executing a command is async
             executed = true;
@@ -546,18 +1062,286 @@ RiakNode.prototype.execute = function (command) {
     return executed;
 };
 
+RiakNode.prototype._executeOnConnection = function (command, conn) {
+    this._acquireBulkhead(command);
+    if (conn.execute(command)) {
+        this.executeCount++;
+        this._recordConcurrency();
+        this._logger.debug('executed command',
+            { command: command.name, connection: conn.id, executeCount: this.executeCount });
+    } else {
+        this._releaseBulkhead(command);
+    }
+};
+
+// Whether the bulkhead of the class of command, if any, has room for it
+RiakNode.prototype._bulkheadAllows = function (command) {
+    var commandClass = getCommandClass(command);
+    var bulkhead = this.bulkheads[commandClass];
+    return !bulkhead || command._bulkhead === commandClass ||
+        (this._bulkheadCounts[commandClass] || 0) < bulkhead.maxConnections;
+};
+
+// Counts a connection against the bulkhead of command until it is released
+RiakNode.prototype._acquireBulkhead = function (command) {
+    if (command._bulkhead) {
+        return;
+    }
+    var commandClass = getCommandClass(command);
+    command._bulkhead = commandClass;
+    this._bulkheadCounts[commandClass] = (this._bulkheadCounts[commandClass] || 0) + 1;
+    this._metrics.set('riak_client_bulkhead_connections',
+        this._bulkheadLabels(commandClass), this._bulkheadCounts[commandClass]);
+};
+
+RiakNode.prototype._releaseBulkhead = function (command) {
+    var commandClass = command._bulkhead;
+    if (!commandClass) {
+        return;
+    }
+    command._bulkhead = null;
+    this._bulkheadCounts[commandClass]--;
+    this._metrics.set('riak_client_bulkhead_connections',
+        this._bulkheadLabels(commandClass), this._bulkheadCounts[commandClass]);
+};
+
+RiakNode.prototype._bulkheadLabels = function (commandClass) {
+    return { node: this._metricLabels.node, class: commandClass };
+};
+
+function getCommandClass(command) {
+    return typeof command.getCommandClass === 'function' ?
+        command.getCommandClass() : CommandBase.CommandClass.SHORT;
+}
+
+/**
+ * Get the number of commands waiting for a connection.
+ * @method getWaitQueueDepth
+ * @return {Number} the number of waiting commands.
+ */
+RiakNode.prototype.getWaitQueueDepth = function () {
+    return this._waiting.length;
+};
+
+/**
+ * Set the weight of this node, i.e. the share of commands it receives
+ * relative to other nodes.
+ * @method setWeight
+ * @param {Number} weight the weight, 0 or more.
+ */
+RiakNode.prototype.setWeight = function (weight) {
+    if (typeof weight !== 'number' || isNaN(weight) || weight < 0) {
+        throw new errors.ValidationError('weight must be a number of 0 or more');
+    }
+    this._logger.info('weight changed', { from: this.weight, to: weight });
+    this.weight = weight;
+};
+
+/**
+ * Get a description of the current state of this node.
+ *
+ *     {
+ *       node: '10.0.0.1:8087',
+ *       state: 'RUNNING',
+ *       weight: 1,
+ *       zone: 'us-east-1a',
+ *       rack: undefined,
+ *       executing: 3,
+ *       connections: 5,
+ *       availableConnections: 2,
+ *       pendingConnections: 0,
+ *       targetConnections: 4,
+ *       bulkheads: { long: 1 },
+ *       waiting: 0
+ *     }
+ *
+ * @method getStatus
+ * @return {Object} the status.
+ */
+RiakNode.prototype.getStatus = function () {
+    var pool = this._getPoolStatus();
+    return {
+        node: this._metricLabels.node,
+        state: stateNames[this.state],
+        weight: this.weight,
+        zone: this.zone,
+        rack: this.rack,
+        executing: this.executeCount,
+        connections: pool.connections,
+        availableConnections: pool.available,
+        pendingConnections: pool.pending,
+        targetConnections: pool.target,
+        bulkheads: this._getBulkheadStatus(),
+        waiting: this._waiting.length
+    };
+};
+
+// The number of connections in use by each class that has a bulkhead
+RiakNode.prototype._getBulkheadStatus = function () {
+    var status = {};
+    Object.keys(this.bulkheads).forEach(function (commandClass) {
+        status[commandClass] = this._bulkheadCounts[commandClass] || 0;
+    }, this);
+    return status;
+};
+
+/*
+ * Queues command until a connection is returned to the pool, if there is
+ * room in the wait queue. After waitQueueTimeout it fails on this node.
+ */
+RiakNode.prototype._waitForConnection = function (command) {
+    if (this._waiting.length >= this.waitQueueSize) {
+        return false;
+    }
+    var self = this;
+    var waiting = { command: command };
+    waiting.timer = setTimeout(function () {
+        var i = self._waiting.indexOf(waiting);
+        if (i < 0) {
+            return;
+        }
+        self._waiting.splice(i, 1);
+        self._updateWaitQueueMetrics();
+        if (command.abandoned) {
+            return;
+        }
+        self._logger.debug('no connection for waiting command',
+            { command: command.name, waitQueueTimeout: self.waitQueueTimeout });
+        var failure = RetryPolicy.failure(RetryPolicy.Failure.NO_CONNECTION,
+            'no connection available');
+        self._commandDone(command, failure);
+        self._maybeRetryCommand(command, failure, function () {
+            command.onError(new errors.TimeoutError(util.format(
+                'no connection available within %d ms', self.waitQueueTimeout), command));
+        });
+    }, this.waitQueueTimeout);
+    this._waiting.push(waiting);
+    this._recordConcurrency();
+    this._updateWaitQueueMetrics();
+    this._logger.debug('command waiting for connection',
+        { command: command.name, waiting: this._waiting.length });
+    return true;
+};
+
+/*
+ * Removes and returns the first waiting command that was not abandoned and
+ * whose bulkhead has room, or that was not abandoned at all if any is true.
+ */
+RiakNode.prototype._nextWaiting = function (any) {
+    var command = null;
+    var i = 0;
+    while (!command && i < this._waiting.length) {
+        var waiting = this._waiting[i];
+        if (!any && !waiting.command.abandoned && !this._bulkheadAllows(waiting.command)) {
+            i++;
+            continue;
+        }
+        this._waiting.splice(i, 1);
+        clearTimeout(waiting.timer);
+        if (!waiting.command.abandoned) {
+            command = waiting.command;
+        }
+    }
+    this._updateWaitQueueMetrics();
+    return command;
+};
+
+// Retries the waiting commands elsewhere, as this node is no longer running
+RiakNode.prototype._retryWaiting = function () {
+    var command;
+    while ((command = this._nextWaiting(true))) {
+        var failure = RetryPolicy.failure(RetryPolicy.Failure.NO_CONNECTION,
+            'RiakNode ' + stateNames[this.state]);
+        this._commandDone(command, failure);
+        this._maybeRetryCommand(command, failure, makeUnavailableErrorFunc(this, command));
+    }
+};
+
+// Wraps the reason a connection could not be made, which may be a socket error
+function connectionError(err, command) {
+    var e = new errors.ConnectionError(err instanceof Error ? err.message : String(err), command);
+    if (err instanceof Error) {
+        e.cause = err;
+        e.code = err.code;
+    }
+    return e;
+}
+
+function makeUnavailableErrorFunc(node, command) {
+    return function () {
+        command.onError(new errors.ConnectionError(util.format(
+            'RiakNode %s while command waited for a connection', stateNames[node.state]), command));
+    };
+}
+
+RiakNode.prototype._updateWaitQueueMetrics = function () {
+    this._metrics.set('riak_client_node_wait_queue_depth',
+        this._metricLabels, this._waiting.length);
+};
+
+/*
+ * Sends a Ping on an idle connection, which is out of the pool until it
+ * responds. See keepAliveInterval.
+ */
+RiakNode.prototype._probeConnection = function (conn) {
+    this._logger.debug('probing idle connection', { connection: conn.id });
+    var probe = new Ping(function () {});
+    probe.setTimeout(this.connectionTimeout);
+    probe._probe = true;
+    // NB: a probe does not count as use, so idle connections still expire
+    probe._idleSince = conn.lastUsed;
+    conn.execute(probe);
+};
+
+RiakNode.prototype._probeReceived = function (conn, probe, code, decoded) {
+    var self = this;
+    var data = {
+        conn: conn,
+        logger: conn._logger,
+        command: probe,
+        code: code,
+        decoded: decoded,
+        shouldCallback: false
+    };
+    utils.handleRiakResponse(data, function (err) {
+        self._discardConnection(conn, err.msg);
+    }, function () {
+        conn.lastUsed = probe._idleSince;
+        self._returnConnectionToPool(conn);
+    });
+};
+
+RiakNode.prototype._discardConnection = function (conn, reason) {
+    if (!conn.closed) {
+        this._decrementConnectionCount();
+        conn.close();
+    }
+    this._logger.info('discarded connection', { connection: conn.id, reason: reason });
+    this._metrics.inc('riak_client_connections_discarded_total', this._metricLabels);
+    this.emit(EVT_CD, this, conn, reason);
+};
+
 RiakNode.prototype._responseReceived = function (conn, command, code, decoded) {
     // NB: this function is similar to _receiveHealthCheck in RiakConnection
-    logger.debug("%s command '%s' _responseReceived: %d", this.name, command.name, code);
+    this._logger.debug('response received',
+        { command: command.name, connection: conn.id, code: code });
+    if (command._probe) {
+        this._probeReceived(conn, command, code, decoded);
+        return;
+    }
     var self = this;
     function onError(err) {
         self.executeCount--;
+        var failure = err.riakError ?
+            RetryPolicy.riakErrorFailure(decoded.getErrcode(), decoded.getErrmsg().toString('utf8')) :
+            RetryPolicy.failure(RetryPolicy.Failure.UNEXPECTED_RESPONSE, err.msg);
+        self._commandDone(command, failure);
         self._returnConnectionToPool(conn);
-        self._maybeRetryCommand(command, function () {
+        self._maybeRetryCommand(command, failure, function () {
             if (err.riakError) {
                 command.onRiakError(decoded);
             } else {
-                command.onError(err.msg);
+                command.onError(new errors.ConnectionError(err.msg, command));
             }
         });
     }
@@ -569,14 +1353,16 @@ RiakNode.prototype._responseReceived = function (conn, command, code, decoded) {
         var hasDone = decoded ? decoded.hasOwnProperty('done') : false;
         if ((hasDone && decoded.done) || !hasDone) {
             self.executeCount--;
+            self._commandDone(command, null);
             self._returnConnectionToPool(conn);
-            logger.debug('%s command %s complete (%d)',
-                self.name, command.name, self.executeCount);
+            self._logger.debug('command complete',
+                { command: command.name, connection: conn.id, executeCount: self.executeCount });
         }
         command.onSuccess(decoded);
     }
     var data = {
         conn: conn,
+        logger: conn._logger,
         command: command,
         code: code,
         decoded: decoded,
@@ -589,25 +1375,89 @@ RiakNode.prototype._connectionClosed = function (conn) {
     this._decrementConnectionCount();
     // See if a command was being handled
     var command = conn.command;
-    logger.debug("%s connection closed; command: '%s', in-flight: '%s'",
-        this.name, command.name, conn.inFlight);
+    this._logger.debug('connection closed',
+        { command: command.name, connection: conn.id, inFlight: conn.inFlight });
     // NB: if there is no executing command on this connection,
     // inFlight will be false
-    if (conn.inFlight) {
+    if (conn.inFlight && command._probe) {
+        this._discardConnection(conn, conn.timedOut ?
+            'no response to keepalive probe' : 'connection closed during keepalive probe');
+    } else if (conn.inFlight) {
         this.executeCount--;
-        this._maybeRetryCommand(command, function () {
-            command.onError("Connection closed while executing command");
+        var failure = RetryPolicy.failure(conn.timedOut ?
+            RetryPolicy.Failure.TIMEOUT : RetryPolicy.Failure.CONNECTION_CLOSED);
+        this._commandDone(command, failure);
+        if (command.abandoned) {
+            // NB: closed on purpose, nothing wrong with this node
+            return;
+        }
+        this._maybeRetryCommand(command, failure, function () {
+            if (conn.timedOut) {
+                command.onError(new errors.TimeoutError(util.format(
+                    'command timed out after %d ms', command.timeout || conn.requestTimeout), command));
+            } else {
+                command.onError(new errors.ConnectionError(
+                    'Connection closed while executing command', command));
+            }
         });
     }
     this._doHealthCheck();
 };
 
-RiakNode.prototype._maybeRetryCommand = function (command, errfunc) {
-    var tries = command.remainingTries;
+RiakNode.prototype._setPoolTarget = function (target) {
+    target = Math.min(this.maxConnections, Math.max(this.minConnections, target));
+    if (target !== this._poolTarget) {
+        this._logger.debug('pool target changed', { from: this._poolTarget, to: target });
+    }
+    this._poolTarget = target;
+    this._metrics.set('riak_client_pool_target_connections', this._metricLabels, target);
+};
+
+RiakNode.prototype._resizeLabels = function (direction) {
+    return { node: this._metricLabels.node, direction: direction };
+};
+
+RiakNode.prototype._commandLabels = function (command) {
+    return { command: Metrics.commandType(command), node: this._metricLabels.node };
+};
+
+/*
+ * Records the outcome of an attempt of command on this node. failure is
+ * null if it succeeded.
+ */
+RiakNode.prototype._commandDone = function (command, failure) {
+    this._releaseBulkhead(command);
+    var labels = this._commandLabels(command);
+    var latency;
+    if (command._nodeStart) {
+        var d = process.hrtime(command._nodeStart);
+        latency = d[0] * 1e3 + d[1] / 1e6;
+        this._metrics.observe('riak_client_command_duration_seconds', labels, latency / 1e3);
+        command._nodeStart = null;
+    }
+    if (failure) {
+        this._metrics.inc('riak_client_command_errors_total', labels);
+    }
+    if (!command.abandoned) {
+        this.emit(EVT_CR, this, command, failure, latency);
+    }
+    this._maybeDrained();
+};
+
+/*
+ * Retries command via the RiakCluster if attempts remain and the retry
+ * policy allows, otherwise calls errfunc.
+ */
+RiakNode.prototype._maybeRetryCommand = function (command, failure, errfunc) {
     command.remainingTries--;
-    logger.debug("%s command %s remaining tries %d -> %d",
-        this.name, command.name, tries, command.remainingTries);
-    if (command.remainingTries > 0) {
+    command.lastFailure = failure;
+    var retry = command.remainingTries > 0 && (!this._retryPolicy ||
+        this._retryPolicy.shouldRetry(command, failure, command.attempts));
+    this._logger.debug('command remaining tries',
+        { command: command.name, remainingTries: command.remainingTries,
+          failure: failure.kind, retry: retry });
+    if (retry) {
+        this._metrics.inc('riak_client_command_retries_total', this._commandLabels(command));
         this.emit(EVT_RC, command, this);
     } else {
         errfunc();
@@ -625,6 +1475,8 @@ RiakNode.prototype._maybeRetryCommand = function (command, errfunc) {
  *     RiakNode.State.HEALTH_CHECKING
  *     RiakNode.State.SHUTTING_DOWN
  *     RiakNode.State.SHUTDOWN
+ *     RiakNode.State.DRAINING
+ *     RiakNode.State.DISABLED
  *
  * See: {{#crossLink "RiakNode/stateChange:event"}}stateChange{{/crossLink}}
  *
@@ -638,7 +1490,9 @@ var State = Object.freeze({
     RUNNING : 1,
     HEALTH_CHECKING : 2,
     SHUTTING_DOWN : 3,
-    SHUTDOWN : 4
+    SHUTDOWN : 4,
+    DRAINING : 5,
+    DISABLED : 6
 });
 
 var stateNames = Object.freeze({
@@ -646,9 +1500,17 @@ var stateNames = Object.freeze({
     1 : 'RUNNING',
     2 : 'HEALTH_CHECKING',
     3 : 'SHUTTING_DOWN',
-    4 : 'SHUTDOWN'
+    4 : 'SHUTDOWN',
+    5 : 'DRAINING',
+    6 : 'DISABLED'
 });
 
+// The adaptive pool resizes every POOL_INTERVAL ms, to the peak concurrency
+// of the last POOL_WINDOW intervals times POOL_HEADROOM
+var POOL_INTERVAL = 1000;
+var POOL_WINDOW = 10;
+var POOL_HEADROOM = 1.25;
+
 var consts = Object.freeze({
     DefaultRemoteAddress : '127.0.0.1',
     DefaultRemotePort : 8087,
@@ -657,7 +1519,17 @@ var consts = Object.freeze({
     DefaultIdleTimeout : 10000,
     DefaultConnectionTimeout : 3000,
     DefaultRequestTimeout : 5000,
-    DefaultHealthCheck : new Ping(function (){})
+    DefaultWaitQueueSize : 0,
+    DefaultWaitQueueTimeout : 1000,
+    DefaultWeight : 1,
+    DefaultHealthCheck : new Ping(function (){}),
+    DefaultHealthCheckInterval : 0,
+    DefaultHealthCheckBackoff : 'fibonacci',
+    DefaultHealthCheckMinDelay : 10,
+    DefaultHealthCheckMaxDelay : 5000,
+    DefaultKeepAliveInterval : 0,
+    DefaultMaxPendingConnections : 0,
+    DefaultBulkheads : Object.freeze({})
 });
 
 var schema = Joi.object().keys({
@@ -668,9 +1540,27 @@ var schema = Joi.object().keys({
     idleTimeout: Joi.number().min(1000).default(consts.DefaultIdleTimeout),
     connectionTimeout: Joi.number().min(1).default(consts.DefaultConnectionTimeout),
     requestTimeout: Joi.number().min(1).default(consts.DefaultRequestTimeout),
+    waitQueueSize: Joi.number().min(0).default(consts.DefaultWaitQueueSize),
+    waitQueueTimeout: Joi.number().min(1).default(consts.DefaultWaitQueueTimeout),
+    weight: Joi.number().min(0).default(consts.DefaultWeight),
+    zone: Joi.string().optional(),
+    rack: Joi.string().optional(),
     healthCheck: Joi.object().default(consts.DefaultHealthCheck),
+    healthCheckInterval: Joi.number().min(0).default(consts.DefaultHealthCheckInterval),
+    healthCheckBackoff: Joi.string().valid('fibonacci', 'exponential')
+        .default(consts.DefaultHealthCheckBackoff),
+    healthCheckMinDelay: Joi.number().min(1).default(consts.DefaultHealthCheckMinDelay),
+    healthCheckMaxDelay: Joi.number().min(1).default(consts.DefaultHealthCheckMaxDelay),
+    keepAliveInterval: Joi.number().min(0).default(consts.DefaultKeepAliveInterval),
+    adaptivePool: Joi.boolean().default(false),
+    maxPendingConnections: Joi.number().integer().min(0).default(consts.DefaultMaxPendingConnections),
+    bulkheads: Joi.object().pattern(/.*/, Joi.object().keys({
+        maxConnections: Joi.number().integer().min(1).required()
+    })).default(consts.DefaultBulkheads),
     cork: Joi.boolean().default(true),
     externalLoadBalancer: Joi.boolean().default(false),
+    logger: Joi.object().optional(),
+    metrics: Joi.object().type(Metrics).optional(),
     auth: Joi.object().optional().keys({
         user: Joi.string().required(),
         password: Joi.string().allow(''),
@@ -703,6 +1593,28 @@ var EVT_SC = 'stateChange';
  */
 var EVT_RC = 'retryCommand';
 
+/**
+ * This event is fired whenever a command completes or fails on this RiakNode.
+ * Commands that were cancelled or timed out against their deadline are not
+ * reported.
+ * @event commandResult
+ * @param {RiakNode} node - this RiakNode
+ * @param {Object} command - the command
+ * @param {Object} failure - the {{#crossLink "RetryPolicy"}}failure{{/crossLink}}, or null if the command succeeded
+ * @param {Number} latency - the time in milliseconds the command took on this RiakNode, if it was executed
+ */
+var EVT_CR = 'commandResult';
+
+/**
+ * This event is fired whenever an idle connection is closed because it did
+ * not respond to a keepalive probe.
+ * @event connectionDiscarded
+ * @param {RiakNode} node - this RiakNode
+ * @param {RiakConnection} connection - the connection
+ * @param {String} reason - why the connection was discarded
+ */
+var EVT_CD = 'connectionDiscarded';
+
 /**
  * A Builder for constructing RiakNode instances.
  *
@@ -791,6 +1703,58 @@ Builder.prototype = {
         this.requestTimeout = requestTimeout;
         return this;
     },
+    /**
+     * Set the number of commands that may wait for a connection when all
+     * connections are in use and __maxConnections__ is reached.
+     * @method withWaitQueueSize
+     * @param {Number} waitQueueSize - the number of waiting commands (__default:__ 0)
+     * @return {RiakNode.Builder}
+     */
+    withWaitQueueSize : function (waitQueueSize) {
+        this.waitQueueSize = waitQueueSize;
+        return this;
+    },
+    /**
+     * Set the time a command may wait for a connection. If it passes,
+     * the command fails on this node and is retried if attempts remain.
+     * @method withWaitQueueTimeout
+     * @param {Number} waitQueueTimeout - the timeout in milliseconds (__default:__ 1000)
+     * @return {RiakNode.Builder}
+     */
+    withWaitQueueTimeout : function (waitQueueTimeout) {
+        this.waitQueueTimeout = waitQueueTimeout;
+        return this;
+    },
+    /**
+     * Set the share of commands this node receives relative to other nodes.
+     * @method withWeight
+     * @param {Number} weight - the weight (__default:__ 1)
+     * @chainable
+     */
+    withWeight : function (weight) {
+        this.weight = weight;
+        return this;
+    },
+    /**
+     * Set the zone, e.g. availability zone or datacenter, this node runs in.
+     * @method withZone
+     * @param {String} zone - the zone.
+     * @chainable
+     */
+    withZone : function (zone) {
+        this.zone = zone;
+        return this;
+    },
+    /**
+     * Set the rack this node runs in.
+     * @method withRack
+     * @param {String} rack - the rack.
+     * @chainable
+     */
+    withRack : function (rack) {
+        this.rack = rack;
+        return this;
+    },
     /**
      * Set whether to use the cork/uncork socket functions.
      *
@@ -846,6 +1810,101 @@ Builder.prototype = {
         this.healthCheck = healthCheck;
         return this;
     },
+    /**
+     * Size the pool from recent concurrency and open connections ahead of
+     * demand.
+     * @method withAdaptivePool
+     * @param {Boolean} [adaptivePool=true] use an adaptive pool. Default is false.
+     * @chainable
+     */
+    withAdaptivePool : function (adaptivePool) {
+        this.adaptivePool = adaptivePool === undefined ? true : adaptivePool;
+        return this;
+    },
+    /**
+     * Give a class of commands its own limit of connections.
+     * @method withBulkhead
+     * @param {String} commandClass - the class, e.g. 'long'
+     * @param {Number} maxConnections - the number of connections commands of the class may hold at once, less than __maxConnections__
+     * @chainable
+     */
+    withBulkhead : function (commandClass, maxConnections) {
+        var bulkheads = {};
+        Object.keys(this.bulkheads || {}).forEach(function (c) {
+            bulkheads[c] = this.bulkheads[c];
+        }, this);
+        bulkheads[commandClass] = { maxConnections: maxConnections };
+        this.bulkheads = bulkheads;
+        return this;
+    },
+    /**
+     * Set the number of connections that may be opening at once.
+     * @method withMaxPendingConnections
+     * @param {Number} maxPendingConnections - the limit (__default:__ 0, no limit)
+     * @chainable
+     */
+    withMaxPendingConnections : function (maxPendingConnections) {
+        this.maxPendingConnections = maxPendingConnections;
+        return this;
+    },
+    /**
+     * Set the time after which an idle pooled connection is probed with a Ping.
+     * @method withKeepAliveInterval
+     * @param {Number} keepAliveInterval - the interval in milliseconds (__default:__ 0, not probed)
+     * @chainable
+     */
+    withKeepAliveInterval : function (keepAliveInterval) {
+        this.keepAliveInterval = keepAliveInterval;
+        return this;
+    },
+    /**
+     * Set the time between health checks of a running node.
+     * @method withHealthCheckInterval
+     * @param {Number} healthCheckInterval - the interval in milliseconds (__default:__ 0, not checked)
+     * @chainable
+     */
+    withHealthCheckInterval : function (healthCheckInterval) {
+        this.healthCheckInterval = healthCheckInterval;
+        return this;
+    },
+    /**
+     * Set how health checks of a failed node are retried.
+     * @method withHealthCheckBackoff
+     * @param {String} backoff - 'fibonacci' or 'exponential' (__default:__ fibonacci)
+     * @param {Number} [minDelay] - the first delay in milliseconds (__default:__ 10)
+     * @param {Number} [maxDelay] - the maximum delay in milliseconds (__default:__ 5000)
+     * @chainable
+     */
+    withHealthCheckBackoff : function (backoff, minDelay, maxDelay) {
+        this.healthCheckBackoff = backoff;
+        this.healthCheckMinDelay = minDelay;
+        this.healthCheckMaxDelay = maxDelay;
+        return this;
+    },
+    /**
+     * Set the logger used by this node and its connections.
+     *
+     * See {{#crossLink "Logger"}}{{/crossLink}}
+     * @method withLogger
+     * @param {Object} logger - an object with debug, info, warn and error methods.
+     * @chainable
+     */
+    withLogger : function (logger) {
+        this.logger = logger;
+        return this;
+    },
+    /**
+     * Set the registry this node records metrics in.
+     *
+     * See {{#crossLink "Metrics"}}{{/crossLink}}
+     * @method withMetrics
+     * @param {Metrics} metrics - the metrics registry.
+     * @chainable
+     */
+    withMetrics : function (metrics) {
+        this.metrics = metrics;
+        return this;
+    },
     /**
      * Builds a RiakNode instance.
      * @method build
@@ -866,9 +1925,20 @@ Builder.prototype = {
  *
  * __options__ can be manually constructed or an instance of the Builder.
  *
+ * An address may also be given as an object with an __address__ and options
+ * that apply to that node only, e.g. its zone:
+ *
+ *      var nodes = RiakNode.buildNodes([
+ *          { address: '10.0.1.1', zone: 'us-east-1a' },
+ *          { address: '10.0.2.1', zone: 'us-east-1b', rack: 'r2' }
+ *      ], options);
+ *
+ * IPv6 addresses with a port are written in brackets, e.g. [fd00::1]:8087.
+ * A ValidationError is thrown for an address that cannot be parsed.
+ *
  * @static
  * @method buildNodes
- * @param {String[]} addresses - an array of IP|hostname[:port]
+ * @param {String[]|Object[]} addresses - an array of IP|hostname[:port], or of objects with an address and node options
  * @param {Object} [options] - the options to use for all RiakNodes.
  * @return {Array/RiakNode}
  */
@@ -880,19 +1950,42 @@ var buildNodes = function (addresses, options) {
     }
 
     for (var i = 0; i < addresses.length; i++) {
-        var split = addresses[i].split(':');
-        options.remoteAddress = split[0];
-        if (split.length === 2) {
-            options.remotePort = split[1];
+        var address = addresses[i];
+        // NB: a copy, so that a port is not carried over to the next address
+        var nodeOptions = copyOptions(options);
+        if (typeof address === 'object') {
+            for (var key in address) {
+                if (key !== 'address') {
+                    nodeOptions[key] = address[key];
+                }
+            }
+            address = address.address;
         }
-        riakNodes.push(new RiakNode(options));
+        var parsed = utils.parseAddress(address);
+        nodeOptions.remoteAddress = parsed.host;
+        if (parsed.port !== undefined) {
+            nodeOptions.remotePort = parsed.port;
+        }
+        riakNodes.push(new RiakNode(nodeOptions));
     }
 
     return riakNodes;
 };
 
+// A shallow copy of options, which may be a RiakNode.Builder
+function copyOptions(options) {
+    var copy = {};
+    for (var key in options) {
+        if (typeof options[key] !== 'function') {
+            copy[key] = options[key];
+        }
+    }
+    return copy;
+}
+
 module.exports = RiakNode;
 module.exports.buildNodes = buildNodes;
 module.exports.Builder = Builder;
 module.exports.State = State;
+module.exports.stateNames = stateNames;
 module.exports.consts = consts;
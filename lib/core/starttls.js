@@ -20,7 +20,8 @@
 var CommandBase = require('../commands/commandbase');
 var inherits = require('util').inherits;
 var Joi = require('joi');
-var logger = require('winston');
+
+var Logger = require('./logger');
 
 /**
  * @module Core
@@ -30,12 +31,13 @@ var logger = require('winston');
  * Provides the StartTls command used to start a TLS session with Riak.
  * @class StartTls
  * @constructor
- * @param {Function} callback the function to call when the command completes or errors
+ * @param {Logger} [logger] the logger of the connection executing this command
  * @extends CommandBase
  */
-function StartTls() {
+function StartTls(logger) {
+    logger = logger || new Logger();
     CommandBase.call(this, 'RpbStartTls', 'RpbStartTls', function () {
-        logger.debug('[StartTls] callback');
+        logger.debug('callback', { command: 'StartTls' });
     });
 }
 
@@ -17,9 +17,10 @@
 
 'use strict';
 
-var logger = require('winston');
+var net = require('net');
 var util = require('util');
 
+var errors = require('../errors');
 var rpb = require('../protobuf/riakprotobuf');
 var rpbErrorRespCode = rpb.getCodeFor('RpbErrorResp');
 
@@ -32,7 +33,8 @@ function checkRiakError(d) {
         var errcode = d.decoded.getErrcode();
         msg = util.format("%s command '%s' received RpbErrorResp (%d) %s",
             d.conn.name, d.command.name, errcode, errmsg);
-        logger.debug(msg);
+        d.logger.debug('received RpbErrorResp',
+            { command: d.command.name, errcode: errcode, errmsg: errmsg });
         if (d.shouldCallback) {
             d.command.onRiakError(d.decoded);
         }
@@ -48,7 +50,8 @@ function checkRespCode(d) {
         error = true;
         msg = util.format("%s command '%s' received incorrect response; expected %d, got %d",
             d.conn.name, d.command.name, expectedCode, d.code);
-        logger.debug(msg);
+        d.logger.debug('received incorrect response',
+            { command: d.command.name, expected: expectedCode, code: d.code });
         if (d.shouldCallback) {
             d.command.onError(msg);
         }
@@ -82,5 +85,55 @@ function stateCheck(name, state, allowedStates, stateNames) {
     }
 }
 
+/*
+ * Parses a host[:port] address into { host: host, port: port }, the port
+ * being undefined if not given. IPv6 addresses with a port are written in
+ * brackets, e.g. [::1]:8087; without a port the brackets are optional.
+ */
+function parseAddress(address) {
+    var host = address;
+    var port;
+    var bracketed = /^\[([^\]]*)\](?::(.*))?$/.exec(address);
+    if (bracketed) {
+        host = bracketed[1];
+        port = bracketed[2];
+        if (!net.isIPv6(host)) {
+            throw new errors.ValidationError(util.format('"%s" is not a valid IPv6 address', host));
+        }
+    } else if (address.indexOf(':') !== address.lastIndexOf(':')) {
+        // NB: more than one colon, an IPv6 address without a port
+        if (!net.isIPv6(address)) {
+            throw new errors.ValidationError(util.format(
+                '"%s" is not a valid address, IPv6 addresses with a port must be in brackets', address));
+        }
+    } else if (address.indexOf(':') !== -1) {
+        host = address.slice(0, address.indexOf(':'));
+        port = address.slice(address.indexOf(':') + 1);
+    }
+    if (!host) {
+        throw new errors.ValidationError(util.format('"%s" has no host', address));
+    }
+    if (port !== undefined) {
+        if (!/^[0-9]+$/.test(port) || Number(port) < 1 || Number(port) > 65535) {
+            throw new errors.ValidationError(util.format('"%s" has an invalid port', address));
+        }
+        port = Number(port);
+    }
+    return { host: host, port: port };
+}
+
+// The address:port of a host, with IPv6 addresses in brackets
+function formatAddress(host, port) {
+    return util.format(net.isIPv6(host) ? '[%s]:%d' : '%s:%d', host, port);
+}
+
+// The address:port of a RiakNode, as in its logs and metrics
+function nodeKey(node) {
+    return formatAddress(node.remoteAddress, node.remotePort);
+}
+
 module.exports.handleRiakResponse = handleRiakResponse;
 module.exports.stateCheck = stateCheck;
+module.exports.parseAddress = parseAddress;
+module.exports.formatAddress = formatAddress;
+module.exports.nodeKey = nodeKey;
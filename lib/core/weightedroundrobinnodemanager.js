@@ -0,0 +1,100 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var inherits = require('util').inherits;
+
+var NodeManager = require('./nodemanager');
+var RiakNode = require('./riaknode');
+var utils = require('./utils');
+
+/**
+ * @module Core
+ */
+
+/**
+ * A NodeManager that can be used by RiakCluster.
+ *
+ * This NodeManager does a smooth weighted round-robin selection of RiakNodes,
+ * as nginx does: each node receives a share of commands proportional to its
+ * __weight__, and the commands are interleaved rather than sent in bursts.
+ * With weights 5, 1 and 1 the nodes are chosen a, a, b, a, c, a, a.
+ *
+ * The weight is an option of {{#crossLink "RiakNode"}}{{/crossLink}} and can
+ * be changed at any time with
+ * {{#crossLink "RiakNode/setWeight:method"}}{{/crossLink}}. Nodes with a
+ * weight of 0 receive no commands.
+ *
+ * @class WeightedRoundRobinNodeManager
+ * @constructor
+ * @extends NodeManager
+ */
+function WeightedRoundRobinNodeManager() {
+    NodeManager.call(this, 'WeightedRoundRobinNodeManager');
+    // node -> current weight
+    this._current = {};
+}
+
+inherits(WeightedRoundRobinNodeManager, NodeManager);
+
+WeightedRoundRobinNodeManager.prototype.executeOnNode = function(nodes, command, previous) {
+    if (nodes.length === 0) {
+        this._logger.error('zero nodes for execution of command', { command: command.name });
+        return false;
+    }
+
+    var candidates = [];
+    var total = 0;
+    for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[i];
+        // don't try the same node twice in a row if we have multiple nodes
+        if (nodes.length > 1 && previous === node) {
+            continue;
+        }
+        if (node.state !== RiakNode.State.RUNNING || node.weight <= 0) {
+            continue;
+        }
+        var key = utils.nodeKey(node);
+        total += node.weight;
+        candidates.push({ node: node, key: key, current: (this._current[key] || 0) + node.weight });
+    }
+
+    // NB: stable, so equal weights go in node order
+    candidates.sort(function (a, b) {
+        return b.current - a.current || nodes.indexOf(a.node) - nodes.indexOf(b.node);
+    });
+
+    // NB: the current weights only move once a node accepts, or refused
+    // commands would build up a burst for the heaviest node
+    for (i = 0; i < candidates.length; i++) {
+        if (this.tryExecute(candidates[i].node, command)) {
+            for (var j = 0; j < candidates.length; j++) {
+                this._current[candidates[j].key] = candidates[j].current;
+            }
+            this._current[candidates[i].key] -= total;
+            return true;
+        }
+    }
+    return false;
+};
+
+WeightedRoundRobinNodeManager.prototype.onNodeRemoved = function(node) {
+    delete this._current[utils.nodeKey(node)];
+};
+
+module.exports = WeightedRoundRobinNodeManager;
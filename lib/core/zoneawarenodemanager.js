@@ -0,0 +1,158 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var inherits = require('util').inherits;
+var Joi = require('joi');
+
+var NodeManager = require('./nodemanager');
+var RoundRobinNodeManager = require('./roundrobinnodemanager');
+var errors = require('../errors');
+
+/**
+ * @module Core
+ */
+
+/**
+ * A NodeManager that can be used by RiakCluster.
+ *
+ * This NodeManager prefers RiakNodes in the same __zone__ as the client,
+ * and within it those in the same __rack__ if one is given. Nodes are
+ * labelled with the __zone__ and __rack__ options of
+ * {{#crossLink "RiakNode"}}{{/crossLink}}.
+ *
+ * Commands go to nodes in other zones only when no local node accepts them,
+ * i.e. when the local nodes are not running (e.g. health checking) or have all
+ * of their connections in use. A node with a __waitQueueSize__ accepts
+ * commands while its wait queue has room, so with local nodes that have one,
+ * commands wait for a local connection rather than go to another zone.
+ *
+ * Within each group (the rack, the rest of the zone and other zones) the node
+ * is chosen by another NodeManager, a RoundRobinNodeManager by default. A
+ * function given as __nodeManager__ is called for a NodeManager per group; a
+ * NodeManager given as is serves all of them, which may skew how commands are
+ * spread within a group if it keeps a position, as RoundRobinNodeManager does.
+ *
+ *     var nodeManager = new ZoneAwareNodeManager({ zone: 'us-east-1a' });
+ *
+ * @class ZoneAwareNodeManager
+ * @constructor
+ * @extends NodeManager
+ * @param {Object} options The options.
+ * @param {String} options.zone The zone the client runs in.
+ * @param {String} [options.rack] The rack the client runs in.
+ * @param {NodeManager|Function} [options.nodeManager=RoundRobinNodeManager] Chooses among the nodes of a group, or returns a NodeManager that does for each group.
+ */
+function ZoneAwareNodeManager(options) {
+    NodeManager.call(this, 'ZoneAwareNodeManager');
+
+    var self = this;
+    Joi.validate(options || {}, schema, function (err, options) {
+        if (err) {
+            throw new errors.ValidationError(err.message, err.details);
+        }
+        self.zone = options.zone;
+        self.rack = options.rack;
+        var create = options.nodeManager || createDefaultNodeManager;
+        if (typeof create !== 'function') {
+            create = function () {
+                return options.nodeManager;
+            };
+        }
+        // the NodeManager of the rack, the rest of the zone and other zones
+        self.nodeManagers = [create(), create(), create()];
+    });
+}
+
+inherits(ZoneAwareNodeManager, NodeManager);
+
+ZoneAwareNodeManager.prototype._inheritLogger = function(logger) {
+    NodeManager.prototype._inheritLogger.call(this, logger);
+    this.nodeManagers.forEach(function (nodeManager) {
+        if (typeof nodeManager._inheritLogger === 'function') {
+            nodeManager._inheritLogger(logger);
+        }
+    });
+};
+
+ZoneAwareNodeManager.prototype.executeOnNode = function(nodes, command, previous) {
+    if (nodes.length === 0) {
+        this._logger.error('zero nodes for execution of command', { command: command.name });
+        return false;
+    }
+
+    var groups = this._group(nodes);
+    for (var i = 0; i < groups.length; i++) {
+        if (groups[i].length === 0) {
+            continue;
+        }
+        if (this.nodeManagers[i].executeOnNode(groups[i], command, previous)) {
+            if (i === groups.length - 1) {
+                this._logger.debug('executing command in another zone', { command: command.name });
+            }
+            return true;
+        }
+    }
+    return false;
+};
+
+ZoneAwareNodeManager.prototype.onCommandResult = function(node, command, failure, latency) {
+    var nodeManager = this.nodeManagers[this._groupOf(node)];
+    if (typeof nodeManager.onCommandResult === 'function') {
+        nodeManager.onCommandResult(node, command, failure, latency);
+    }
+};
+
+ZoneAwareNodeManager.prototype.onNodeRemoved = function(node) {
+    var nodeManager = this.nodeManagers[this._groupOf(node)];
+    if (typeof nodeManager.onNodeRemoved === 'function') {
+        nodeManager.onNodeRemoved(node);
+    }
+};
+
+/*
+ * Splits nodes into the same rack (if a rack is set), the rest of the
+ * same zone, and other zones, in order of preference.
+ */
+ZoneAwareNodeManager.prototype._group = function(nodes) {
+    var groups = [[], [], []];
+    for (var i = 0; i < nodes.length; i++) {
+        groups[this._groupOf(nodes[i])].push(nodes[i]);
+    }
+    return groups;
+};
+
+// The index of the group of a node: 0 its rack, 1 its zone, 2 other zones
+ZoneAwareNodeManager.prototype._groupOf = function(node) {
+    if (node.zone !== this.zone) {
+        return 2;
+    }
+    return this.rack && node.rack === this.rack ? 0 : 1;
+};
+
+function createDefaultNodeManager() {
+    return new RoundRobinNodeManager();
+}
+
+var schema = Joi.object().keys({
+    zone: Joi.string().required(),
+    rack: Joi.string().optional(),
+    nodeManager: Joi.alternatives().try(Joi.object(), Joi.func()).optional()
+});
+
+module.exports = ZoneAwareNodeManager;
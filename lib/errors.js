@@ -17,8 +17,267 @@
 
 'use strict';
 
+var util = require('util');
+
 function ListError() {
     return new Error('Bucket and key list operations are expensive and should not be used in production.');
 }
 
+/**
+ * The base class of errors given to command callbacks.
+ *
+ * A RiakError carries what is known about where the command failed:
+ *
+ * - __command__: the name of the command, e.g. RpbGetReq-7
+ * - __node__: the address:port of the RiakNode it last executed on, if any
+ * - __attempts__: the number of times it was attempted
+ *
+ * Command callbacks are given RiakErrors when the command has typedErrors
+ * set, which the RiakCluster does with its __typedErrors__ option. Otherwise
+ * the errors that used to be strings are given as their message, see
+ * {{#crossLink "RiakError/untyped:method"}}{{/crossLink}}.
+ *
+ * For code written when errors were strings, toString() returns the
+ * message, so comparing a RiakError to its message with == or concatenating
+ * it to a string behaves as before.
+ *
+ * @class RiakError
+ * @constructor
+ * @param {String} message the error message.
+ * @param {Object} [command] the command that failed.
+ */
+function RiakError(message, command) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = this.constructor.name;
+    this.message = message;
+    if (command) {
+        annotate(this, command);
+    }
+}
+
+util.inherits(RiakError, Error);
+
+RiakError.prototype.toString = function () {
+    return this.message;
+};
+
+/**
+ * Given to the callback of a command when Riak responds with an RpbErrorResp.
+ * @class RiakServerError
+ * @constructor
+ * @extends RiakError
+ * @param {String} message the error message sent by Riak.
+ * @param {Number} code the error code sent by Riak.
+ * @param {Object} [command] the command that failed.
+ */
+function RiakServerError(message, code, command) {
+    RiakError.call(this, message, command);
+    this.code = code;
+}
+
+util.inherits(RiakServerError, RiakError);
+
+/**
+ * Given to the callback of a command when a connection to Riak could not be
+ * made, closed while executing it, or a response was not understood.
+ *
+ * If a socket error prevented connecting, it is available as __cause__ and
+ * its code, e.g. ECONNREFUSED, as __code__.
+ * @class ConnectionError
+ * @constructor
+ * @extends RiakError
+ * @param {String} message the error message.
+ * @param {Object} [command] the command that failed.
+ */
+function ConnectionError(message, command) {
+    RiakError.call(this, message, command);
+}
+
+util.inherits(ConnectionError, RiakError);
+
+/**
+ * Given to the callback of a command that did not complete in time, either
+ * waiting for a response from Riak or within its overall deadline.
+ * @class TimeoutError
+ * @constructor
+ * @extends RiakError
+ * @param {String} message the error message.
+ * @param {Object} [command] the command that timed out.
+ */
+function TimeoutError(message, command) {
+    RiakError.call(this, message, command);
+}
+
+util.inherits(TimeoutError, RiakError);
+
+/**
+ * Given to the callback of a command that waited in the queue of the
+ * RiakCluster for longer than its queue timeout, and was not sent.
+ * @class QueueTimeoutError
+ * @constructor
+ * @extends TimeoutError
+ * @param {String} message the error message.
+ * @param {Object} [command] the command that timed out.
+ */
+function QueueTimeoutError(message, command) {
+    TimeoutError.call(this, message, command);
+}
+
+util.inherits(QueueTimeoutError, TimeoutError);
+
+/**
+ * Given to the callback of a command that was cancelled before it completed,
+ * and to the callback of RiakCluster.addNode when the node is removed while
+ * it is starting.
+ * @class CancelledError
+ * @constructor
+ * @extends RiakError
+ * @param {String} message the error message.
+ * @param {Object} [command] the command that was cancelled.
+ */
+function CancelledError(message, command) {
+    RiakError.call(this, message, command);
+}
+
+util.inherits(CancelledError, RiakError);
+
+/**
+ * Given to the callback of a command when no RiakNode could execute it.
+ * @class NoNodesAvailableError
+ * @constructor
+ * @extends RiakError
+ * @param {String} message the error message.
+ * @param {Object} [command] the command that failed.
+ */
+function NoNodesAvailableError(message, command) {
+    RiakError.call(this, message, command);
+}
+
+util.inherits(NoNodesAvailableError, RiakError);
+
+/**
+ * Given to the callback of a command when no RiakNode could execute it and
+ * the command queue of the RiakCluster is full.
+ * @class QueueFullError
+ * @constructor
+ * @extends NoNodesAvailableError
+ * @param {String} message the error message.
+ * @param {Object} [command] the command that failed.
+ */
+function QueueFullError(message, command) {
+    NoNodesAvailableError.call(this, message, command);
+}
+
+util.inherits(QueueFullError, NoNodesAvailableError);
+
+/**
+ * Given to the callback of a command when the RiakCluster is stopping: the
+ * command was given to it after stop() was called, was still queued, or
+ * did not complete within the drain timeout. Also given to the callback of
+ * RiakCluster.addNode() when the cluster stops before the node is added.
+ * @class ShutdownError
+ * @constructor
+ * @extends RiakError
+ * @param {String} message the error message.
+ * @param {Object} [command] the command that failed.
+ */
+function ShutdownError(message, command) {
+    RiakError.call(this, message, command);
+}
+
+util.inherits(ShutdownError, RiakError);
+
+/**
+ * Given to the callback of RiakCluster.start() when fewer RiakNodes than
+ * required passed their health check. The start report of the cluster,
+ * saying which nodes failed and why, is available as __report__.
+ * @class StartError
+ * @constructor
+ * @extends RiakError
+ * @param {String} message the error message.
+ * @param {Object} report the start report.
+ */
+function StartError(message, report) {
+    RiakError.call(this, message);
+    this.report = report;
+}
+
+util.inherits(StartError, RiakError);
+
+/**
+ * Thrown when the options given to a command or to the core are invalid.
+ * @class ValidationError
+ * @constructor
+ * @extends RiakError
+ * @param {String} message the error message.
+ * @param {Object[]} [details] the details of each failed check, as reported by Joi.
+ */
+function ValidationError(message, details) {
+    RiakError.call(this, message);
+    this.details = details || [];
+}
+
+util.inherits(ValidationError, RiakError);
+
+/**
+ * Annotate an error with the command that failed. Strings are converted to
+ * a RiakError. Fields that are already set are left alone.
+ * @method annotate
+ * @static
+ * @param {Error|String} err the error.
+ * @param {Object} command the command that failed.
+ * @return {Error} the error.
+ */
+function annotate(err, command) {
+    if (typeof err === 'string') {
+        err = new RiakError(err);
+    }
+    if (err instanceof RiakError) {
+        if (err.command === undefined) {
+            err.command = command.name;
+        }
+        if (err.node === undefined && command.lastNode) {
+            err.node = command.lastNode;
+        }
+        if (command.attempts !== undefined) {
+            err.attempts = command.attempts;
+        }
+    }
+    return err;
+}
+
+/**
+ * The error given to the callback of a command without typedErrors, as it
+ * was before RiakErrors: the message of errors that used to be strings, or
+ * the socket error that prevented connecting. Other errors are unchanged.
+ * @method untyped
+ * @static
+ * @param {Error} err the error.
+ * @return {Error|String} the error.
+ */
+function untyped(err) {
+    if (err instanceof ConnectionError) {
+        return err.cause || err.message;
+    }
+    if (err instanceof RiakServerError || err instanceof NoNodesAvailableError ||
+            (err instanceof RiakError && err.constructor === RiakError)) {
+        return err.message;
+    }
+    return err;
+}
+
 module.exports.ListError = ListError;
+module.exports.RiakError = RiakError;
+module.exports.RiakServerError = RiakServerError;
+module.exports.ConnectionError = ConnectionError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.QueueTimeoutError = QueueTimeoutError;
+module.exports.CancelledError = CancelledError;
+module.exports.NoNodesAvailableError = NoNodesAvailableError;
+module.exports.QueueFullError = QueueFullError;
+module.exports.ShutdownError = ShutdownError;
+module.exports.StartError = StartError;
+module.exports.ValidationError = ValidationError;
+module.exports.annotate = annotate;
+module.exports.untyped = untyped;
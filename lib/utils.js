@@ -61,6 +61,19 @@ function bb(obj, prop) {
     };
 }
 
+/*
+ * Command callbacks may receive additional data (such as a Riak error code)
+ * in a separate argument, and errors from custom commands may be strings.
+ * This gives Promise and stream consumers an Error carrying the data.
+ */
+function toError(err, data) {
+    var e = err instanceof Error ? err : new Error(err);
+    if (data && e.data === undefined) {
+        e.data = data;
+    }
+    return e;
+}
+
 function ListError() {
     return new Error('Bucket and key list operations are expensive and should not be used in production.');
 }
@@ -71,4 +84,5 @@ module.exports.maybeIsNumber = maybeIsNumber;
 module.exports.isInteger = isInteger;
 module.exports.isFloat = isFloat;
 module.exports.bb = bb;
+module.exports.toError = toError;
 module.exports.ListError = ListError;
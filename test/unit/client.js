@@ -31,6 +31,131 @@ describe('Client', function() {
         });
     });
 
+    describe('promises', function() {
+        var cluster = new Riak.Cluster();
+        cluster.start = function (cb) {
+            cb(null, cluster);
+        };
+        var client = new Riak.Client(cluster);
+
+        it('resolves with the response when no callback is given', function(done) {
+            cluster.execute = function (cmd) {
+                cmd._callback(null, { values: [] });
+            };
+            var p = client.fetchValue({ bucket: 'b', key: 'k' });
+            assert(p instanceof Promise);
+            p.then(function (rslt) {
+                assert.deepEqual(rslt, { values: [] });
+                done();
+            }).catch(done);
+        });
+        it('rejects with an Error carrying the error data', function(done) {
+            cluster.execute = function (cmd) {
+                cmd.onError('riak error', { msg: 'riak error', code: 1 });
+            };
+            client.storeValue({ bucket: 'b', key: 'k', value: 'v' }).then(function () {
+                done(new Error('should not resolve'));
+            }, function (err) {
+                assert(err instanceof Error);
+                assert.strictEqual(err.message, 'riak error');
+                assert.strictEqual(err.data.code, 1);
+                done();
+            }).catch(done);
+        });
+        it('rejects when options are invalid', function(done) {
+            cluster.execute = function (cmd) {
+                done(new Error('should not execute'));
+            };
+            client.fetchValue({ key: 'k' }).catch(function (err) {
+                assert.strictEqual(err.name, 'ValidationError');
+                done();
+            });
+        });
+        it('does not stream when no callback is given', function(done) {
+            cluster.execute = function (cmd) {
+                assert.strictEqual(cmd.options.stream, false);
+                cmd._callback(null, { keys: ['k1', 'k2'], done: true });
+            };
+            client.listKeys({ bucket: 'b', allowListing: true }).then(function (rslt) {
+                assert.deepEqual(rslt.keys, ['k1', 'k2']);
+                done();
+            }).catch(done);
+        });
+        it('keeps using the callback when one is given', function(done) {
+            cluster.execute = function (cmd) {
+                assert.strictEqual(cmd.options.stream, true);
+                cmd._callback(null, { keys: ['k1'], done: true });
+            };
+            var rv = client.listKeys({ bucket: 'b', allowListing: true }, function (err, rslt) {
+                assert.ifError(err);
+                assert.deepEqual(rslt.keys, ['k1']);
+                done();
+            });
+            assert.strictEqual(rv, undefined);
+        });
+        it('execute resolves with the final streamed response', function(done) {
+            var responses = 0;
+            cluster.execute = function (cmd) {
+                cmd._callback(null, { keys: ['k1'], done: false });
+                cmd._callback(null, { keys: ['k2'], done: true });
+            };
+            var cmd = new Riak.Commands.KV.ListKeys({ bucket: 'b', allowListing: true }, function (err, rslt) {
+                responses++;
+            });
+            client.execute(cmd).then(function (rslt) {
+                assert.strictEqual(responses, 2);
+                assert.deepEqual(rslt.keys, ['k2']);
+                done();
+            }).catch(done);
+        });
+        it('execute settles before the command callback and leaves it as it was', function(done) {
+            cluster.execute = function (cmd) {
+                assert.throws(function () {
+                    cmd._callback(null, { values: [] });
+                }, /callback failed/);
+            };
+            var callback = function () {
+                throw new Error('callback failed');
+            };
+            var cmd = new Riak.Commands.KV.FetchValue({ bucket: 'b', key: 'k' }, callback);
+            client.execute(cmd).then(function (rslt) {
+                assert.deepEqual(rslt, { values: [] });
+                assert.strictEqual(cmd.callback, callback);
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('topology', function() {
+        var cluster = new Riak.Cluster();
+        cluster.start = function (cb) {
+            cb(null, cluster);
+        };
+        var client = new Riak.Client(cluster);
+
+        it('returns a Promise for the added node when no callback is given', function(done) {
+            var node = new Riak.Node({ remoteAddress: '10.0.0.2' });
+            cluster.addNode = function (n, cb) {
+                cb(null, n);
+            };
+            client.addNode(node).then(function (n) {
+                assert.strictEqual(n, node);
+                done();
+            }).catch(done);
+        });
+        it('passes removeNode options and callback through', function(done) {
+            cluster.removeNode = function (n, options, cb) {
+                assert.strictEqual(n, '10.0.0.2');
+                assert.deepEqual(options, { drainTimeout: 100 });
+                cb(new Error('not found'));
+            };
+            var rv = client.removeNode('10.0.0.2', { drainTimeout: 100 }, function (err) {
+                assert.strictEqual(err.message, 'not found');
+                done();
+            });
+            assert.strictEqual(rv, undefined);
+        });
+    });
     describe('export validation', function() {
         it('Riak.Node', function(done) {
             var typeofRiakNode = typeof(Riak.Node);
@@ -22,6 +22,9 @@ var logger = require('winston');
 
 var Riak = require('../../lib/client');
 var CommandBase = require('../../lib/commands/commandbase');
+var RiakCluster = require('../../lib/core/riakcluster');
+var RiakConnection = require('../../lib/core/riakconnection');
+var RiakNode = require('../../lib/core/riaknode');
 var inherits = require('util').inherits;
 var Joi = require('joi');
 
@@ -459,4 +462,338 @@ describe('CommandBase', function() {
             done();
         });
     });
+
+    describe('timeouts and cancellation', function() {
+        var options = Object.freeze({ bucket: 'foo', key: 'bar' });
+
+        function FakeSignal() {
+            this.aborted = false;
+            this.listeners = [];
+        }
+        FakeSignal.prototype.addEventListener = function (evt, l) {
+            this.listeners.push(l);
+        };
+        FakeSignal.prototype.removeEventListener = function (evt, l) {
+            this.listeners.splice(this.listeners.indexOf(l), 1);
+        };
+        FakeSignal.prototype.abort = function () {
+            this.aborted = true;
+            this.listeners.slice().forEach(function (l) {
+                l();
+            });
+        };
+
+        function makeCluster(executing) {
+            var node = new RiakNode({ remoteAddress: '10.0.0.1' });
+            node.state = RiakNode.State.RUNNING;
+            node.execute = function () {
+                return executing;
+            };
+            return new RiakCluster({ nodes: [node], queueCommands: true });
+        }
+
+        it('removes a cancelled command from the cluster queue', function(done) {
+            var cluster = makeCluster(false);
+            var cmd = new TestCommand(options, function (err, rslt) {
+                assert(err instanceof Riak.Errors.CancelledError);
+                assert.strictEqual(err.name, 'CancelledError');
+                assert.strictEqual(err.command, cmd.name);
+                assert.strictEqual(cluster._commandQueue.length, 0);
+                done();
+            });
+            cluster.state = RiakCluster.State.RUNNING;
+            cluster.execute(cmd);
+            assert.strictEqual(cluster._commandQueue.length, 1);
+            assert(cmd.cancel());
+            assert(!cmd.cancel());
+        });
+
+        it('gives a TimeoutError at the deadline', function(done) {
+            var cluster = makeCluster(true);
+            var start = Date.now();
+            var cmd = new TestCommand(options, function (err, rslt) {
+                assert(err instanceof Riak.Errors.TimeoutError);
+                assert(Date.now() - start >= 15);
+                // NB: a late response does not reach the callback
+                cmd.onSuccess(null);
+                done();
+            }).setDeadline(20);
+            cmd.onSuccess = function (rslt) {
+                this._callback(null, rslt);
+            };
+            cluster.execute(cmd);
+        });
+
+        it('does not call back again for a command past its deadline', function(done) {
+            var cluster = makeCluster(true);
+            var count = 0;
+            var cmd = new TestCommand(options, function (err, rslt) {
+                count++;
+            }).setDeadline(10);
+            cluster.execute(cmd);
+            setTimeout(function () {
+                assert(cmd.abandoned);
+                cmd.onError('late error');
+                // NB: a retry is dropped by the cluster
+                cluster.nodes[0].execute = function () {
+                    assert(false, 'abandoned command executed');
+                };
+                cluster.execute(cmd, cluster.nodes[0]);
+                assert.strictEqual(count, 1);
+                done();
+            }, 30);
+        });
+
+        it('clears the deadline when the command completes', function(done) {
+            var cluster = makeCluster(true);
+            var cmd = new TestCommand(options, function (err, rslt) {
+                assert(!err, err);
+            }).setDeadline(10);
+            cluster.execute(cmd);
+            cmd._callback(null, { done: true });
+            assert(!cmd._deadlineTimer);
+            assert(!cmd.cancel());
+            done();
+        });
+
+        it('is cancelled via a signal', function(done) {
+            var cluster = makeCluster(true);
+            var signal = new FakeSignal();
+            var cmd = new TestCommand(options, function (err, rslt) {
+                assert(err instanceof Riak.Errors.CancelledError);
+                assert.strictEqual(signal.listeners.length, 0);
+                done();
+            }).setSignal(signal);
+            assert.strictEqual(signal.listeners.length, 1);
+            cluster.execute(cmd);
+            signal.abort();
+        });
+
+        it('is not executed if the signal was already aborted', function(done) {
+            var signal = new FakeSignal();
+            signal.aborted = true;
+            var cluster = makeCluster(true);
+            cluster.nodes[0].execute = function () {
+                assert(false, 'cancelled command executed');
+            };
+            var called = false;
+            var cmd = new TestCommand(options, function (err, rslt) {
+                assert(err instanceof Riak.Errors.CancelledError);
+                called = true;
+            }).setSignal(signal);
+            cluster.execute(cmd);
+            assert(called);
+            done();
+        });
+
+        it('abandons the connection of an executing command', function(done) {
+            var abandoned = false;
+            var cmd = new TestCommand(options, function (err, rslt) {
+                assert(err instanceof Riak.Errors.CancelledError);
+                assert(abandoned);
+                done();
+            });
+            cmd.connection = {
+                abandon: function () {
+                    abandoned = true;
+                }
+            };
+            cmd.cancel();
+        });
+
+        it('uses the command timeout for each attempt', function(done) {
+            var conn = new RiakConnection({
+                remoteAddress: '10.0.0.1',
+                remotePort: 8087,
+                requestTimeout: 5000
+            });
+            var timeouts = [];
+            conn._connectedEmitted = true;
+            conn._connection = {
+                setTimeout: function (ms) {
+                    timeouts.push(ms);
+                },
+                removeListener: function () {},
+                write: function () {}
+            };
+            function noRequest() {}
+            var cmd1 = new TestCommand(options, cb).setTimeout(250);
+            cmd1.constructPbRequest = noRequest;
+            var cmd2 = new TestCommand(options, cb);
+            cmd2.constructPbRequest = noRequest;
+            conn.execute(cmd1);
+            conn.executeDone();
+            conn.execute(cmd2);
+            conn.executeDone();
+            assert.deepEqual(timeouts, [250, 5000]);
+            done();
+        });
+
+        it('gives a TimeoutError when the last attempt times out', function(done) {
+            var node = new RiakNode({ remoteAddress: '10.0.0.1' });
+            node.state = RiakNode.State.HEALTH_CHECKING;
+            var cmd = new TestCommand(options, function (err, rslt) {
+                assert(err instanceof Riak.Errors.TimeoutError);
+                assert.strictEqual(err.message, 'command timed out after 250 ms');
+                done();
+            }).setTimeout(250);
+            cmd.remainingTries = 1;
+            node._connectionClosed({
+                id: 1,
+                command: cmd,
+                inFlight: true,
+                timedOut: true
+            });
+        });
+    });
+
+    describe('hedged reads', function() {
+        var options = Object.freeze({ bucket: 'foo', key: 'bar' });
+
+        function HedgeableCommand(callback) {
+            TestCommand.call(this, options, callback);
+        }
+        inherits(HedgeableCommand, TestCommand);
+        HedgeableCommand.prototype.isHedgeable = function () {
+            return true;
+        };
+        HedgeableCommand.prototype.onSuccess = function (rslt) {
+            this._callback(null, rslt);
+        };
+
+        function makeCluster(hedgeDelay) {
+            var nodes = RiakNode.buildNodes(['10.0.0.1', '10.0.0.2']);
+            nodes.forEach(function (node) {
+                node.state = RiakNode.State.RUNNING;
+                node.executed = [];
+                node.execute = function (command) {
+                    command.lastNode = node._metricLabels.node;
+                    command.connection = {
+                        abandon: function () {
+                            command.connectionAbandoned = true;
+                        }
+                    };
+                    node.executed.push(command);
+                    return true;
+                };
+            });
+            return new RiakCluster({ nodes: nodes, hedgeDelay: hedgeDelay });
+        }
+
+        it('sends a slow read to a second node and uses the first response', function(done) {
+            var cluster = makeCluster(10);
+            var nodes = cluster.nodes;
+            var calls = 0;
+            var cmd = new HedgeableCommand(function (err, rslt) {
+                calls++;
+                assert(!err, err);
+                assert.strictEqual(rslt, 'second');
+            });
+            cluster.execute(cmd);
+            assert.strictEqual(nodes[0].executed.length, 1);
+            setTimeout(function () {
+                assert.strictEqual(nodes[1].executed.length, 1);
+                var hedge = nodes[1].executed[0];
+                assert.notStrictEqual(hedge, cmd);
+                assert.strictEqual(hedge.options, cmd.options);
+                hedge.onSuccess('second');
+                // NB: the first node's response arrives later and is dropped
+                cmd.onSuccess('first');
+                assert.strictEqual(calls, 1);
+                assert(!cmd.connectionAbandoned);
+                assert(!cmd.cancel());
+                assert.strictEqual(cluster.metrics.snapshot()
+                    .riak_client_hedges_total.values[0].value, 1);
+                done();
+            }, 30);
+        });
+
+        it('does not hedge a read that responds in time', function(done) {
+            var cluster = makeCluster(10);
+            var cmd = new HedgeableCommand(function (err, rslt) {
+                assert.strictEqual(rslt, 'first');
+            });
+            cluster.execute(cmd);
+            cmd.onSuccess('first');
+            assert(!cmd._hedgeTimer);
+            setTimeout(function () {
+                assert.strictEqual(cluster.nodes[1].executed.length, 0);
+                done();
+            }, 30);
+        });
+
+        it('waits for the other attempt when one fails', function(done) {
+            var cluster = makeCluster(5);
+            var results = [];
+            var cmd = new HedgeableCommand(function (err, rslt) {
+                results.push(err ? err.message : rslt);
+            });
+            cluster.execute(cmd);
+            setTimeout(function () {
+                var hedge = cluster.nodes[1].executed[0];
+                cmd.onError('first failed');
+                assert.deepEqual(results, []);
+                hedge.onSuccess('second');
+                assert.deepEqual(results, ['second']);
+
+                var cmd2 = new HedgeableCommand(function (err, rslt) {
+                    results.push(err.message);
+                    assert.strictEqual(err.command, cmd2.name);
+                }).setTypedErrors(true);
+                cluster.execute(cmd2);
+                setTimeout(function () {
+                    var hedge2 = cluster.nodes[1].executed[1];
+                    hedge2.onError('second failed');
+                    cmd2.onError('first failed');
+                    assert.deepEqual(results, ['second', 'first failed']);
+                    done();
+                }, 20);
+            }, 20);
+        });
+
+        it('does not hedge other commands', function(done) {
+            var cluster = makeCluster(5);
+            var cmd = new TestCommand(options, cb);
+            cluster.execute(cmd);
+            setTimeout(function () {
+                assert.strictEqual(cluster.nodes[1].executed.length, 0);
+                done();
+            }, 20);
+        });
+
+        it('abandons both attempts when cancelled', function(done) {
+            var cluster = makeCluster(5);
+            var cmd = new HedgeableCommand(function (err, rslt) {
+                assert(err instanceof Riak.Errors.CancelledError);
+            });
+            cluster.execute(cmd);
+            setTimeout(function () {
+                var hedge = cluster.nodes[1].executed[0];
+                assert(cmd.cancel());
+                assert(cmd.connectionAbandoned);
+                assert(hedge.connectionAbandoned);
+                done();
+            }, 20);
+        });
+
+        it('uses a percentile of observed read latency', function(done) {
+            var cluster = makeCluster('p90');
+            var node = cluster.nodes[0];
+            var cmd = new HedgeableCommand(cb);
+            for (var i = 1; i < 100; i++) {
+                cluster._onCommandResult(node, cmd, null, i);
+            }
+            assert.strictEqual(cluster.getHedgeDelay(), null);
+            cluster._onCommandResult(node, cmd, { kind: 'timeout' }, 5000);
+            cluster._onCommandResult(node, new TestCommand(options, cb), null, 5000);
+            assert.strictEqual(cluster.getHedgeDelay(), null);
+            cluster._onCommandResult(node, cmd, null, 100);
+            assert.strictEqual(cluster.getHedgeDelay(), 90);
+            assert.strictEqual(makeCluster(25).getHedgeDelay(), 25);
+            assert.throws(function () {
+                makeCluster('p101');
+            });
+            done();
+        });
+    });
 });
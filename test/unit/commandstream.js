@@ -0,0 +1,225 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var stream = require('stream');
+
+var Riak = require('../../lib/client');
+var CommandStream = require('../../lib/commands/commandstream');
+
+function getKeys(rslt) {
+    return rslt.keys;
+}
+
+describe('CommandStream', function() {
+    it('pushes each result and ends when done', function(done) {
+        var s = new CommandStream(getKeys);
+        var keys = [];
+        s.on('data', function (key) {
+            keys.push(key);
+        });
+        s.on('end', function () {
+            assert.deepEqual(keys, ['k1', 'k2', 'k3']);
+            done();
+        });
+        s.callback(null, { keys: ['k1', 'k2'], done: false });
+        s.callback(null, { keys: [], done: false });
+        s.callback(null, { keys: ['k3'], done: true });
+    });
+
+    it('emits errors as stream errors', function(done) {
+        var s = new CommandStream(getKeys);
+        s.on('error', function (err) {
+            assert(err instanceof Error);
+            assert.strictEqual(err.message, 'riak error');
+            assert.strictEqual(err.data.code, 1);
+            done();
+        });
+        s.on('end', function () {
+            done(new Error('should not end'));
+        });
+        s.resume();
+        s.callback(null, { keys: ['k1'], done: false });
+        s.callback('riak error', null, { msg: 'riak error', code: 1 });
+    });
+
+    it('works with stream.pipeline', function(done) {
+        var s = new CommandStream(getKeys);
+        var keys = [];
+        var w = new stream.Writable({
+            objectMode: true,
+            write: function (key, enc, cb) {
+                keys.push(key);
+                cb();
+            }
+        });
+        stream.pipeline(s, w, function (err) {
+            assert.ifError(err);
+            assert.deepEqual(keys, ['k1', 'k2']);
+            done();
+        });
+        s.callback(null, { keys: ['k1'], done: false });
+        s.callback(null, { keys: ['k2'], done: true });
+    });
+
+    it('pauses the command while the consumer is behind', function(done) {
+        var s = new CommandStream(getKeys);
+        var paused = 0;
+        var resumed = 0;
+        s.command = {
+            paused: false,
+            pause: function () {
+                this.paused = true;
+                paused++;
+            },
+            resume: function () {
+                this.paused = false;
+                resumed++;
+            }
+        };
+        var keys = [];
+        for (var i = 0; i < s.readableHighWaterMark; i++) {
+            keys.push('k' + i);
+        }
+        s.callback(null, { keys: keys, done: false });
+        assert.strictEqual(paused, 1);
+        assert.strictEqual(resumed, 0);
+        var count = 0;
+        s.on('data', function () {
+            count++;
+        });
+        s.on('end', function () {
+            assert.strictEqual(count, keys.length + 1);
+            assert.strictEqual(resumed, 1);
+            done();
+        });
+        setImmediate(function () {
+            s.callback(null, { keys: ['last'], done: true });
+        });
+    });
+
+    it('cancels the command when destroyed before it is done', function(done) {
+        var s = new CommandStream(getKeys);
+        var calls = [];
+        s.command = {
+            paused: false,
+            pause: function () {
+                this.paused = true;
+                calls.push('pause');
+            },
+            resume: function () {
+                this.paused = false;
+                calls.push('resume');
+            },
+            cancel: function () {
+                calls.push('cancel');
+                // NB: as CommandBase, the callback is given the cancellation
+                s.callback('command cancelled', null);
+            }
+        };
+        var keys = [];
+        for (var i = 0; i < s.readableHighWaterMark; i++) {
+            keys.push('k' + i);
+        }
+        s.callback(null, { keys: keys, done: false });
+        s.on('close', function () {
+            assert.deepEqual(calls, ['pause', 'cancel']);
+            s.destroy();
+            assert.deepEqual(calls, ['pause', 'cancel']);
+            done();
+        });
+        s.destroy();
+    });
+
+    it('does not cancel the command once it is done', function(done) {
+        var s = new CommandStream(getKeys);
+        s.command = {
+            cancel: function () {
+                done(new Error('should not cancel'));
+            }
+        };
+        s.on('close', function () {
+            done();
+        });
+        s.resume();
+        s.callback(null, { keys: ['k1'], done: true });
+    });
+
+    describe('Client', function() {
+        var cluster = new Riak.Cluster();
+        cluster.start = function (cb) {
+            cb(null, cluster);
+        };
+        var client = new Riak.Client(cluster);
+
+        it('streams keys from listKeysStream', function(done) {
+            cluster.execute = function (cmd) {
+                assert.strictEqual(cmd.options.stream, true);
+                cmd._callback(null, { keys: ['k1'], done: false });
+                cmd._callback(null, { keys: ['k2'], done: true });
+            };
+            var keys = [];
+            var s = client.listKeysStream({ bucket: 'b', allowListing: true, stream: false });
+            s.on('data', function (key) {
+                keys.push(key);
+            });
+            s.on('end', function () {
+                assert.deepEqual(keys, ['k1', 'k2']);
+                done();
+            });
+        });
+
+        it('streams phase results from mapReduceStream', function(done) {
+            cluster.execute = function (cmd) {
+                assert.strictEqual(cmd.stream, true);
+                cmd._callback(null, { phase: 0, response: [1, 2], done: false });
+                cmd._callback(null, { phase: 1, response: [3], done: false });
+                cmd._callback(null, { phase: null, response: null, done: true });
+            };
+            var results = [];
+            var s = client.mapReduceStream('{"inputs":"goog","query":[]}');
+            s.on('data', function (r) {
+                results.push(r);
+            });
+            s.on('end', function () {
+                assert.deepEqual(results, [
+                    { phase: 0, result: 1 },
+                    { phase: 0, result: 2 },
+                    { phase: 1, result: 3 }
+                ]);
+                done();
+            });
+        });
+
+        it('sets the continuation from secondaryIndexQueryStream', function(done) {
+            cluster.execute = function (cmd) {
+                cmd._callback(null, { values: [{ indexKey: null, objectKey: 'k1' }], done: false });
+                cmd._callback(null, { values: [], done: true, continuation: 'c' });
+            };
+            var s = client.secondaryIndexQueryStream({
+                bucket: 'b', indexName: 'idx_bin', indexKey: 'v', maxResults: 1
+            });
+            s.resume();
+            s.on('end', function () {
+                assert.strictEqual(s.continuation, 'c');
+                done();
+            });
+        });
+    });
+});
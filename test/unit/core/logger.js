@@ -0,0 +1,109 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var Logger = require('../../../lib/core/logger');
+var RiakCluster = require('../../../lib/core/riakcluster');
+var RiakConnection = require('../../../lib/core/riakconnection');
+var RiakNode = require('../../../lib/core/riaknode');
+
+function TestLogger() {
+    this.entries = [];
+}
+
+['debug', 'info', 'warn', 'error'].forEach(function (level) {
+    TestLogger.prototype[level] = function (fields, msg) {
+        this.entries.push({ level: level, fields: fields, msg: msg });
+    };
+});
+
+describe('Logger', function() {
+    it('passes fields then message to the target', function(done) {
+        var t = new TestLogger();
+        var l = new Logger(t, { node: '127.0.0.1:8087' });
+        l.info('hello', { command: 'RpbPingReq-1' });
+        assert.strictEqual(t.entries.length, 1);
+        assert.strictEqual(t.entries[0].level, 'info');
+        assert.strictEqual(t.entries[0].msg, 'hello');
+        assert.deepEqual(t.entries[0].fields, { node: '127.0.0.1:8087', command: 'RpbPingReq-1' });
+        done();
+    });
+
+    it('adds fields in child loggers', function(done) {
+        var t = new TestLogger();
+        var l = new Logger(t, { node: '127.0.0.1:8087' }).child({ connection: 3 });
+        l.warn('careful');
+        assert.deepEqual(t.entries[0].fields, { node: '127.0.0.1:8087', connection: 3 });
+        var wrapped = new Logger(l, { command: 'c' });
+        wrapped.error('oops');
+        assert.deepEqual(t.entries[1].fields, { node: '127.0.0.1:8087', connection: 3, command: 'c' });
+        done();
+    });
+
+    it('is used by RiakNode and its connections', function(done) {
+        var t = new TestLogger();
+        var node = new RiakNode.Builder()
+            .withRemoteAddress('10.0.0.1')
+            .withLogger(t)
+            .build();
+        node._logger.debug('node entry');
+        assert.deepEqual(t.entries[0].fields, { node: '10.0.0.1:8087' });
+        var conn = new RiakConnection({
+            remoteAddress: node.remoteAddress,
+            remotePort: node.remotePort,
+            logger: node._logger
+        });
+        t.entries = [];
+        conn._logger.debug('connection entry');
+        assert.deepEqual(t.entries[0].fields, { node: '10.0.0.1:8087', connection: conn.id });
+        conn.close();
+        done();
+    });
+
+    it('is inherited from RiakCluster by nodes without a logger', function(done) {
+        var t1 = new TestLogger();
+        var t2 = new TestLogger();
+        var nodes = RiakNode.buildNodes(['10.0.0.1', '10.0.0.2']);
+        nodes[1] = new RiakNode({ remoteAddress: '10.0.0.2', logger: t2 });
+        var cluster = new RiakCluster.Builder()
+            .withRiakNodes(nodes)
+            .withLogger(t1)
+            .build();
+        nodes.forEach(function (n) {
+            n._inheritLogger(cluster.logger);
+            n._logger.debug('entry');
+        });
+        cluster.nodeManager._logger.debug('entry');
+        assert.deepEqual(t1.entries[0].fields, { node: '10.0.0.1:8087' });
+        assert.deepEqual(t1.entries[1].fields, { nodeManager: 'RoundRobinNodeManager' });
+        assert.deepEqual(t2.entries[0].fields, { node: '10.0.0.2:8087' });
+        done();
+    });
+
+    it('must have all log methods', function(done) {
+        assert.throws(function () {
+            var node = new RiakNode({ logger: { debug: function () {} } });
+        });
+        assert.throws(function () {
+            var cluster = new RiakCluster({ logger: { info: function () {} } });
+        });
+        done();
+    });
+});
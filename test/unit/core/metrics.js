@@ -0,0 +1,205 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var Metrics = require('../../../lib/core/metrics');
+var RiakCluster = require('../../../lib/core/riakcluster');
+var RiakNode = require('../../../lib/core/riaknode');
+var Ping = require('../../../lib/commands/ping');
+
+var rpb = require('../../../lib/protobuf/riakprotobuf');
+var RpbErrorResp = rpb.getProtoFor('RpbErrorResp');
+
+function valueOf(snapshot, name, labels) {
+    var found;
+    snapshot[name].values.forEach(function (v) {
+        if (JSON.stringify(v.labels) === JSON.stringify(labels)) {
+            found = v;
+        }
+    });
+    return found;
+}
+
+function fakeConnection(node) {
+    return {
+        id: 1,
+        _logger: node._logger,
+        executeDone: function () {},
+        close: function () {}
+    };
+}
+
+describe('Metrics', function() {
+    describe('registry', function() {
+        it('counts by labels', function(done) {
+            var m = new Metrics();
+            m.inc('riak_client_commands_total', { command: 'FetchValue' });
+            m.inc('riak_client_commands_total', { command: 'FetchValue' });
+            m.inc('riak_client_commands_total', { command: 'StoreValue' }, 5);
+            var snap = m.snapshot();
+            assert.strictEqual(snap.riak_client_commands_total.type, 'counter');
+            assert.strictEqual(valueOf(snap, 'riak_client_commands_total', { command: 'FetchValue' }).value, 2);
+            assert.strictEqual(valueOf(snap, 'riak_client_commands_total', { command: 'StoreValue' }).value, 5);
+            done();
+        });
+
+        it('keeps cumulative histogram buckets', function(done) {
+            var m = new Metrics();
+            m.histogram('test_seconds', 'test', [0.1, 1]);
+            m.observe('test_seconds', undefined, 0.05);
+            m.observe('test_seconds', undefined, 0.5);
+            m.observe('test_seconds', undefined, 5);
+            var v = m.snapshot().test_seconds.values[0];
+            assert.deepEqual(v.buckets, [
+                { le: 0.1, count: 1 },
+                { le: 1, count: 2 },
+                { le: '+Inf', count: 3 }
+            ]);
+            assert.strictEqual(v.count, 3);
+            assert.strictEqual(v.sum, 5.55);
+            done();
+        });
+
+        it('returns a copy as snapshot', function(done) {
+            var m = new Metrics();
+            m.set('riak_client_queue_depth', undefined, 3);
+            var snap = m.snapshot();
+            m.set('riak_client_queue_depth', undefined, 0);
+            assert.strictEqual(snap.riak_client_queue_depth.values[0].value, 3);
+            m.reset();
+            assert.strictEqual(m.snapshot().riak_client_queue_depth.values.length, 0);
+            done();
+        });
+
+        it('refuses to re-register a metric as a different type', function(done) {
+            var m = new Metrics();
+            assert.strictEqual(m.counter('my_total', 'mine'), m.counter('my_total', 'mine'));
+            assert.throws(function () {
+                m.gauge('my_total', 'mine');
+            });
+            assert.throws(function () {
+                m.inc('not_registered');
+            });
+            done();
+        });
+
+        it('renders Prometheus text', function(done) {
+            var m = new Metrics();
+            m.inc('riak_client_commands_total', { command: 'Fetch"Value' });
+            m.set('riak_client_queue_depth', undefined, 2);
+            m.histogram('test_seconds', 'test\nhelp', [0.5]);
+            m.observe('test_seconds', { node: 'a:1' }, 0.25);
+            var lines = m.toPrometheus().split('\n');
+            [
+                '# HELP riak_client_commands_total Commands submitted to the cluster.',
+                '# TYPE riak_client_commands_total counter',
+                'riak_client_commands_total{command="Fetch\\"Value"} 1',
+                '# TYPE riak_client_queue_depth gauge',
+                'riak_client_queue_depth 2',
+                '# HELP test_seconds test\\nhelp',
+                '# TYPE test_seconds histogram',
+                'test_seconds_bucket{node="a:1",le="0.5"} 1',
+                'test_seconds_bucket{node="a:1",le="+Inf"} 1',
+                'test_seconds_sum{node="a:1"} 0.25',
+                'test_seconds_count{node="a:1"} 1'
+            ].forEach(function (l) {
+                assert(lines.indexOf(l) >= 0, l);
+            });
+            assert.strictEqual(lines[lines.length - 1], '');
+            done();
+        });
+    });
+
+    describe('client', function() {
+        it('is shared by the cluster with its nodes', function(done) {
+            var own = new Metrics();
+            var nodes = RiakNode.buildNodes(['10.0.0.1', '10.0.0.2']);
+            nodes[1] = new RiakNode.Builder()
+                .withRemoteAddress('10.0.0.2')
+                .withMetrics(own)
+                .build();
+            var cluster = new RiakCluster({ nodes: nodes });
+            assert(cluster.metrics instanceof Metrics);
+            nodes.forEach(function (n) {
+                n._inheritMetrics(cluster.metrics);
+            });
+            assert.strictEqual(nodes[0]._metrics, cluster.metrics);
+            assert.strictEqual(nodes[1]._metrics, own);
+            assert.throws(function () {
+                var c = new RiakCluster({ metrics: {} });
+            });
+            done();
+        });
+
+        it('records commands submitted to the cluster', function(done) {
+            var node = new RiakNode({ remoteAddress: '10.0.0.1' });
+            node.state = RiakNode.State.RUNNING;
+            node.execute = function () {
+                return true;
+            };
+            var cluster = new RiakCluster({ nodes: [node] });
+            cluster.execute(new Ping(function () {}));
+            var snap = cluster.metrics.snapshot();
+            assert.strictEqual(valueOf(snap, 'riak_client_commands_total', { command: 'Ping' }).value, 1);
+            done();
+        });
+
+        it('records command duration per command type and node', function(done) {
+            var m = new Metrics();
+            var node = new RiakNode({ remoteAddress: '10.0.0.1', metrics: m });
+            node.state = RiakNode.State.RUNNING;
+            var cmd = new Ping(function (err, rslt) {
+                assert(!err, err);
+                var snap = m.snapshot();
+                var d = valueOf(snap, 'riak_client_command_duration_seconds',
+                    { command: 'Ping', node: '10.0.0.1:8087' });
+                assert.strictEqual(d.count, 1);
+                assert.strictEqual(valueOf(snap, 'riak_client_pool_available_connections',
+                    { node: '10.0.0.1:8087' }).value, 1);
+                done();
+            });
+            cmd.remainingTries = 1;
+            cmd._nodeStart = process.hrtime();
+            node._responseReceived(fakeConnection(node), cmd, rpb.getCodeFor('RpbPingResp'), null);
+        });
+
+        it('records errors and retries', function(done) {
+            var m = new Metrics();
+            var node = new RiakNode({ remoteAddress: '10.0.0.1', metrics: m });
+            node.state = RiakNode.State.RUNNING;
+            var cmd = new Ping(function () {});
+            cmd.remainingTries = 2;
+            cmd._nodeStart = process.hrtime();
+            node.on('retryCommand', function (command) {
+                assert.strictEqual(command, cmd);
+                var labels = { command: 'Ping', node: '10.0.0.1:8087' };
+                var snap = m.snapshot();
+                assert.strictEqual(valueOf(snap, 'riak_client_command_errors_total', labels).value, 1);
+                assert.strictEqual(valueOf(snap, 'riak_client_command_retries_total', labels).value, 1);
+                assert.strictEqual(valueOf(snap, 'riak_client_command_duration_seconds', labels).count, 1);
+                done();
+            });
+            var rpbErrorResp = new RpbErrorResp();
+            rpbErrorResp.setErrmsg(new Buffer('this is an error'));
+            rpbErrorResp.setErrcode(0);
+            node._responseReceived(fakeConnection(node), cmd, rpb.getCodeFor('RpbErrorResp'), rpbErrorResp);
+        });
+    });
+});
@@ -20,6 +20,19 @@ var logging = require('winston');
 var joi = require('joi');
 
 var LeastExecutingNodeManager = require('../../../lib/core/leastexecutingnodemanager.js');
+var CircuitBreakerNodeManager = require('../../../lib/core/circuitbreakernodemanager.js');
+var LatencyAwareNodeManager = require('../../../lib/core/latencyawarenodemanager.js');
+var KeyAwareNodeManager = require('../../../lib/core/keyawarenodemanager.js');
+var ZoneAwareNodeManager = require('../../../lib/core/zoneawarenodemanager.js');
+var WeightedRoundRobinNodeManager = require('../../../lib/core/weightedroundrobinnodemanager.js');
+var FetchPreflist = require('../../../lib/commands/kv/fetchpreflist.js');
+var FetchValue = require('../../../lib/commands/kv/fetchvalue.js');
+var StoreValue = require('../../../lib/commands/kv/storevalue.js');
+var RiakObject = require('../../../lib/commands/kv/riakobject.js');
+var ListKeys = require('../../../lib/commands/kv/listkeys.js');
+var RetryPolicy = require('../../../lib/core/retrypolicy.js');
+var RiakCluster = require('../../../lib/core/riakcluster.js');
+var RiakNode = require('../../../lib/core/riaknode.js');
 
 function getManager(shuffle) {
     var m = new LeastExecutingNodeManager(shuffle);
@@ -73,4 +86,569 @@ describe('NodeManager', function() {
             done();
         });
     });
+
+    describe('CircuitBreakerNodeManager', function() {
+        var State = CircuitBreakerNodeManager.State;
+        var timeout = RetryPolicy.failure(RetryPolicy.Failure.TIMEOUT);
+
+        function getNodes() {
+            return [0, 1].map(function (id) {
+                var node = new RiakNode({ remoteAddress: '10.0.0.' + id });
+                node.state = RiakNode.State.RUNNING;
+                node.executed = [];
+                node.execute = function (command) {
+                    node.executed.push(command);
+                    return true;
+                };
+                return node;
+            });
+        }
+
+        function getManager(options) {
+            var m = new CircuitBreakerNodeManager(options);
+            m.transitions = [];
+            m.on('circuitStateChange', function (node, state) {
+                m.transitions.push(CircuitBreakerNodeManager.stateNames[state]);
+            });
+            return m;
+        }
+
+        function fail(m, node, count, failure) {
+            for (var i = 0; i < count; i++) {
+                m.onCommandResult(node, { name: 'TEST COMMAND' }, failure || timeout);
+            }
+        }
+
+        it('opens when the failure rate reaches the threshold', function(done) {
+            var n = getNodes();
+            var m = getManager({ minimumRequests: 4, failureRateThreshold: 0.5 });
+            fail(m, n[0], 1, null);
+            fail(m, n[0], 1);
+            fail(m, n[0], 1, null);
+            assert.equal(m.getState(n[0]), State.CLOSED);
+            fail(m, n[0], 1);
+            assert.equal(m.getState(n[0]), State.OPEN);
+            assert.deepEqual(m.transitions, ['open']);
+            for (var i = 0; i < 4; i++) {
+                assert(m.executeOnNode(n, { name: 'TEST COMMAND' }));
+            }
+            assert.equal(n[0].executed.length, 0);
+            assert.equal(n[1].executed.length, 4);
+            done();
+        });
+
+        it('does not count responses that say nothing about the node', function(done) {
+            var n = getNodes();
+            var m = getManager({ minimumRequests: 2 });
+            fail(m, n[0], 5, RetryPolicy.riakErrorFailure(0, 'notfound'));
+            assert.equal(m.getState(n[0]), State.CLOSED);
+            done();
+        });
+
+        it('forgets failures outside the window', function(done) {
+            var n = getNodes();
+            var m = getManager({ minimumRequests: 2, windowSize: 50 });
+            fail(m, n[0], 1);
+            setTimeout(function () {
+                fail(m, n[0], 1);
+                assert.equal(m.getState(n[0]), State.CLOSED);
+                done();
+            }, 60);
+        });
+
+        it('sends trial commands when half-open and closes when they succeed', function(done) {
+            var n = getNodes();
+            var m = getManager({ minimumRequests: 1, openTimeout: 10, halfOpenRequests: 2 });
+            fail(m, n[0], 1);
+            setTimeout(function () {
+                var commands = [1, 2, 3].map(function (i) {
+                    var command = { name: 'TEST COMMAND ' + i };
+                    assert(m.executeOnNode(n, command));
+                    return command;
+                });
+                assert.equal(m.getState(n[0]), State.HALF_OPEN);
+                assert.deepEqual(n[0].executed, commands.slice(0, 2));
+                assert.deepEqual(n[1].executed, commands.slice(2));
+                m.onCommandResult(n[0], commands[0], null);
+                assert.equal(m.getState(n[0]), State.HALF_OPEN);
+                m.onCommandResult(n[0], commands[1], null);
+                assert.equal(m.getState(n[0]), State.CLOSED);
+                assert.deepEqual(m.transitions, ['open', 'half-open', 'closed']);
+                done();
+            }, 20);
+        });
+
+        it('opens again when a trial command fails', function(done) {
+            var n = getNodes();
+            var m = getManager({ minimumRequests: 1, openTimeout: 10 });
+            fail(m, n[0], 1);
+            setTimeout(function () {
+                var command = { name: 'TEST COMMAND' };
+                assert(m.executeOnNode(n, command));
+                m.onCommandResult(n[0], command, timeout);
+                assert.equal(m.getState(n[0]), State.OPEN);
+                assert.deepEqual(m.transitions, ['open', 'half-open', 'open']);
+                done();
+            }, 20);
+        });
+
+        it('receives command results from the RiakCluster', function(done) {
+            var n = getNodes();
+            var m = getManager({ minimumRequests: 1 });
+            var cluster = new RiakCluster({ nodes: n, nodeManager: m });
+            n.forEach(function (node) {
+                node.start = function () {};
+                cluster._startNode(node);
+            });
+            n[1]._commandDone({ name: 'TEST COMMAND' }, timeout);
+            assert.equal(m.getState(n[1]), State.OPEN);
+            done();
+        });
+
+        it('does not count commands that got no connection', function(done) {
+            var n = getNodes();
+            var m = getManager({ minimumRequests: 1 });
+            fail(m, n[0], 5, RetryPolicy.failure(RetryPolicy.Failure.NO_CONNECTION));
+            assert.equal(m.getState(n[0]), State.CLOSED);
+            assert.deepEqual(m.transitions, []);
+            done();
+        });
+
+        it('forgets the breaker of a node removed from the RiakCluster', function(done) {
+            var n = getNodes();
+            var m = getManager({ minimumRequests: 1 });
+            var cluster = new RiakCluster({ nodes: n, nodeManager: m });
+            fail(m, n[1], 1);
+            assert.equal(m.getState(n[1]), State.OPEN);
+            n[1].state = RiakNode.State.CREATED;
+            assert(cluster.removeNode(n[1]));
+            assert.deepEqual(m._breakers, {});
+            done();
+        });
+    });
+
+    describe('LatencyAwareNodeManager', function() {
+        function getNodes(count) {
+            var nodes = [];
+            for (var id = 0; id < count; id++) {
+                var node = new RiakNode({ remoteAddress: '10.0.0.' + id });
+                node.state = RiakNode.State.RUNNING;
+                node.executed = 0;
+                node.execute = executeFunc(node);
+                nodes.push(node);
+            }
+            return nodes;
+        }
+
+        function executeFunc(node) {
+            return function (command) {
+                node.executed++;
+                return true;
+            };
+        }
+
+        it('prefers the node with the lower latency', function(done) {
+            var n = getNodes(2);
+            var m = new LatencyAwareNodeManager();
+            m.onCommandResult(n[0], {}, null, 50);
+            m.onCommandResult(n[1], {}, null, 5);
+            for (var i = 0; i < 10; i++) {
+                assert(m.executeOnNode(n, { name: 'TEST COMMAND' }));
+            }
+            assert.equal(n[0].executed, 0);
+            assert.equal(n[1].executed, 10);
+            done();
+        });
+
+        it('weighs latency by the commands executing', function(done) {
+            var n = getNodes(2);
+            var m = new LatencyAwareNodeManager();
+            m.onCommandResult(n[0], {}, null, 10);
+            m.onCommandResult(n[1], {}, null, 5);
+            n[1].executeCount = 2;
+            assert(m.executeOnNode(n, { name: 'TEST COMMAND' }));
+            assert.equal(n[0].executed, 1);
+            done();
+        });
+
+        it('counts failures as slow', function(done) {
+            var n = getNodes(2);
+            // NB: no decay however long the test takes
+            var m = new LatencyAwareNodeManager({ failurePenalty: 100, decayTime: Number.MAX_VALUE });
+            m.onCommandResult(n[0], {}, RetryPolicy.failure(RetryPolicy.Failure.CONNECTION_FAILED));
+            m.onCommandResult(n[1], {}, RetryPolicy.riakErrorFailure(0, 'notfound'), 5);
+            assert.equal(m.getLatency(n[0]), 100);
+            assert.equal(m.getLatency(n[1]), 5);
+            done();
+        });
+
+        it('only picks running nodes and falls back when a node refuses', function(done) {
+            var n = getNodes(3);
+            var m = new LatencyAwareNodeManager();
+            n[0].state = RiakNode.State.HEALTH_CHECKING;
+            n[1].execute = function () {
+                return false;
+            };
+            for (var i = 0; i < 10; i++) {
+                assert(m.executeOnNode(n, { name: 'TEST COMMAND' }));
+            }
+            assert.equal(n[0].executed, 0);
+            assert.equal(n[2].executed, 10);
+            done();
+        });
+
+        it('decays stale measurements', function(done) {
+            var n = getNodes(2);
+            var m = new LatencyAwareNodeManager({ decayTime: 10 });
+            m.onCommandResult(n[0], {}, null, 1000);
+            m.onCommandResult(n[1], {}, null, 10);
+            setTimeout(function () {
+                assert(m.getLatency(n[0]) < 10);
+                m.onCommandResult(n[1], {}, null, 10);
+                assert(m.executeOnNode(n, { name: 'TEST COMMAND' }));
+                assert.equal(n[0].executed, 1);
+                done();
+            }, 100);
+        });
+
+        it('receives latencies from the RiakNode', function(done) {
+            var n = getNodes(1);
+            var m = new LatencyAwareNodeManager();
+            n[0].on('commandResult', m.onCommandResult.bind(m));
+            var command = { name: 'TEST COMMAND', _nodeStart: process.hrtime() };
+            n[0]._commandDone(command, null);
+            assert(m.getLatency(n[0]) > 0);
+            done();
+        });
+    });
+
+    describe('KeyAwareNodeManager', function() {
+        function getNodes() {
+            return [0, 1, 2].map(function (id) {
+                var node = new RiakNode({ remoteAddress: '10.0.0.' + id });
+                node.state = RiakNode.State.RUNNING;
+                node.executed = [];
+                node.execute = function (command) {
+                    node.executed.push(command);
+                    return true;
+                };
+                return node;
+            });
+        }
+
+        // Records commands given to the fallback instead of executing them
+        function getFallback() {
+            return {
+                executed: [],
+                executeOnNode: function (nodes, command) {
+                    this.executed.push(command);
+                    return true;
+                }
+            };
+        }
+
+        function fetchValue(key) {
+            return new FetchValue({ bucket: 'b', key: key }, function () {});
+        }
+
+        function preflist(m, key, owners) {
+            var p = m.getPartition({ bucketType: 'default', bucket: 'b', key: key });
+            return owners.map(function (owner, i) {
+                return { partition: (p + i) % m.ringSize, node: owner, primary: true };
+            });
+        }
+
+        it('computes partitions from the bucket type, bucket and key', function(done) {
+            var location = { bucketType: 'default', bucket: 'b', key: 'k' };
+            var p = KeyAwareNodeManager.partitionFor(location, 64);
+            assert(p >= 0 && p < 64);
+            assert.equal(KeyAwareNodeManager.partitionFor(
+                { bucketType: 'default', bucket: 'b', key: new Buffer('k') }, 64), p);
+            assert.equal(KeyAwareNodeManager.partitionFor(location, 1), 0);
+            var typed = 0;
+            for (var i = 0; i < 10; i++) {
+                location.key = 'k' + i;
+                var t = { bucketType: 't', bucket: 'b', key: location.key };
+                if (KeyAwareNodeManager.partitionFor(location, 1024) !==
+                        KeyAwareNodeManager.partitionFor(t, 1024)) {
+                    typed++;
+                }
+            }
+            assert(typed > 0);
+            done();
+        });
+
+        it('routes to the primary of the key', function(done) {
+            var n = getNodes();
+            var fallback = getFallback();
+            var m = new KeyAwareNodeManager({ nodeManager: fallback });
+            m.updatePreflist(preflist(m, 'k', ['riak@10.0.0.2', 'riak@10.0.0.0', 'riak@10.0.0.1']));
+            var command = fetchValue('k');
+            assert(m.executeOnNode(n, command));
+            assert.deepEqual(n[2].executed, [command]);
+            assert(m.executeOnNode(n, command, n[2]));
+            assert.deepEqual(n[0].executed, [command]);
+            assert.equal(fallback.executed.length, 0);
+            done();
+        });
+
+        it('maps Riak node names to RiakNodes', function(done) {
+            var n = getNodes();
+            var m = new KeyAwareNodeManager({
+                nodeManager: getFallback(),
+                nodeNames: { 'dev2@127.0.0.1': '10.0.0.1:8087' }
+            });
+            m.updatePreflist(preflist(m, 'k', ['dev2@127.0.0.1']));
+            assert(m.executeOnNode(n, fetchValue('k')));
+            assert.equal(n[1].executed.length, 1);
+            done();
+        });
+
+        it('falls back when no primary is connected', function(done) {
+            var n = getNodes();
+            var fallback = getFallback();
+            var m = new KeyAwareNodeManager({ nodeManager: fallback, fetchPreflists: false });
+            m.updatePreflist(preflist(m, 'k', ['riak@10.0.0.9']));
+            n[0].state = RiakNode.State.HEALTH_CHECKING;
+            m.updatePreflist(preflist(m, 'j', ['riak@10.0.0.0']));
+            var listKeys = new ListKeys({ bucket: 'b', allowListing: true }, function () {});
+            [fetchValue('k'), fetchValue('j'), listKeys].forEach(function (command) {
+                assert(m.executeOnNode(n, command));
+            });
+            assert.equal(fallback.executed.length, 3);
+            done();
+        });
+
+        it('fetches the preflist of unknown partitions', function(done) {
+            var n = getNodes();
+            var fallback = getFallback();
+            var m = new KeyAwareNodeManager({ nodeManager: fallback });
+            assert(m.executeOnNode(n, fetchValue('k')));
+            assert(m.executeOnNode(n, fetchValue('k')));
+            var fetches = fallback.executed.filter(function (command) {
+                return command instanceof FetchPreflist;
+            });
+            assert.equal(fetches.length, 1);
+            assert.equal(fallback.executed.length, 3);
+            fetches[0]._callback(null, { preflist: preflist(m, 'k', ['riak@10.0.0.1']) });
+            assert(m.executeOnNode(n, fetchValue('k')));
+            assert.equal(n[1].executed.length, 1);
+            done();
+        });
+
+        it('uses the location of a RiakObject being stored', function(done) {
+            var ro = new RiakObject().setBucketType('t').setBucket('rb').setKey('rk');
+            var store = new StoreValue({ bucket: 'b', value: ro }, function () {});
+            assert.deepEqual(store.getLocation(), { bucketType: 't', bucket: 'rb', key: 'rk' });
+            store = new StoreValue({ bucket: 'b', value: 'v' }, function () {});
+            assert.strictEqual(store.getLocation(), null);
+            done();
+        });
+
+        it('validates the ring size', function(done) {
+            assert.throws(function () {
+                var m = new KeyAwareNodeManager({ ringSize: 48 });
+            });
+            done();
+        });
+    });
+
+    describe('ZoneAwareNodeManager', function() {
+        function getNodes() {
+            var nodes = RiakNode.buildNodes([
+                { address: '10.0.1.1', zone: 'a', rack: 'r1' },
+                { address: '10.0.1.2', zone: 'a', rack: 'r2' },
+                { address: '10.0.2.1:8088', zone: 'b' }
+            ], new RiakNode.Builder().withMinConnections(2));
+            nodes.forEach(function (node) {
+                node.state = RiakNode.State.RUNNING;
+                node.executed = 0;
+                node.execute = function (command) {
+                    node.executed++;
+                    return true;
+                };
+            });
+            return nodes;
+        }
+
+        it('labels nodes with their zone and rack', function(done) {
+            var n = getNodes();
+            assert.equal(n[0].zone, 'a');
+            assert.equal(n[0].rack, 'r1');
+            assert.equal(n[0].minConnections, 2);
+            assert.equal(n[2].remotePort, 8088);
+            assert.strictEqual(n[2].rack, undefined);
+            var node = new RiakNode.Builder().withZone('c').withRack('r3').build();
+            assert.equal(node.zone, 'c');
+            assert.equal(node.rack, 'r3');
+            done();
+        });
+
+        it('prefers nodes in the same zone and rack', function(done) {
+            var n = getNodes();
+            var m = new ZoneAwareNodeManager({ zone: 'a', rack: 'r2' });
+            for (var i = 0; i < 4; i++) {
+                assert(m.executeOnNode(n, { name: 'TEST COMMAND' }));
+            }
+            assert.deepEqual(n.map(function (node) { return node.executed; }), [0, 4, 0]);
+            m = new ZoneAwareNodeManager({ zone: 'a' });
+            for (i = 0; i < 4; i++) {
+                assert(m.executeOnNode(n, { name: 'TEST COMMAND' }));
+            }
+            assert.deepEqual(n.map(function (node) { return node.executed; }), [2, 6, 0]);
+            done();
+        });
+
+        it('spills over when local nodes are unhealthy or saturated', function(done) {
+            var n = getNodes();
+            var m = new ZoneAwareNodeManager({ zone: 'a' });
+            n[0].state = RiakNode.State.HEALTH_CHECKING;
+            n[1].execute = function () {
+                return false;
+            };
+            assert(m.executeOnNode(n, { name: 'TEST COMMAND' }));
+            assert.equal(n[2].executed, 1);
+            n[2].state = RiakNode.State.HEALTH_CHECKING;
+            assert(!m.executeOnNode(n, { name: 'TEST COMMAND' }));
+            done();
+        });
+
+        it('spreads commands evenly within each group', function(done) {
+            var n = RiakNode.buildNodes([
+                { address: '10.0.1.1', zone: 'a', rack: 'r1' },
+                { address: '10.0.1.2', zone: 'a', rack: 'r1' },
+                { address: '10.0.1.3', zone: 'a', rack: 'r2' },
+                { address: '10.0.1.4', zone: 'a', rack: 'r2' },
+                { address: '10.0.1.5', zone: 'a', rack: 'r2' }
+            ]);
+            n.forEach(function (node) {
+                node.state = RiakNode.State.RUNNING;
+                node.executed = 0;
+                node.execute = function (command) {
+                    node.executed++;
+                    return true;
+                };
+            });
+            var m = new ZoneAwareNodeManager({ zone: 'a', rack: 'r1' });
+            assert.notStrictEqual(m.nodeManagers[0], m.nodeManagers[1]);
+            for (var i = 0; i < 6; i++) {
+                n[0].state = n[1].state = RiakNode.State.RUNNING;
+                assert(m.executeOnNode(n, { name: 'TEST COMMAND' }));
+                n[0].state = n[1].state = RiakNode.State.HEALTH_CHECKING;
+                assert(m.executeOnNode(n, { name: 'TEST COMMAND' }));
+            }
+            assert.deepEqual(n.map(function (node) { return node.executed; }), [3, 3, 2, 2, 2]);
+            done();
+        });
+
+        it('requires a zone', function(done) {
+            assert.throws(function () {
+                var m = new ZoneAwareNodeManager();
+            });
+            done();
+        });
+    });
+
+    describe('WeightedRoundRobinNodeManager', function() {
+        function getNodes(weights) {
+            var nodes = RiakNode.buildNodes(weights.map(function (weight, i) {
+                return { address: '10.0.0.' + (i + 1), weight: weight };
+            }));
+            nodes.forEach(function (node) {
+                node.state = RiakNode.State.RUNNING;
+                node.executed = 0;
+                node.execute = function (command) {
+                    node.executed++;
+                    command.node = node;
+                    return true;
+                };
+            });
+            return nodes;
+        }
+
+        function order(m, n, count) {
+            var chosen = [];
+            for (var i = 0; i < count; i++) {
+                var command = { name: 'TEST COMMAND' };
+                assert(m.executeOnNode(n, command));
+                chosen.push(n.indexOf(command.node));
+            }
+            return chosen;
+        }
+
+        it('interleaves nodes in proportion to their weight', function(done) {
+            var n = getNodes([5, 1, 1]);
+            var m = new WeightedRoundRobinNodeManager();
+            assert.deepEqual(order(m, n, 7), [0, 0, 1, 0, 2, 0, 0]);
+            order(m, n, 63);
+            assert.deepEqual(n.map(function (node) { return node.executed; }), [50, 10, 10]);
+            done();
+        });
+
+        it('applies weights changed at runtime', function(done) {
+            var n = getNodes([1, 1]);
+            var m = new WeightedRoundRobinNodeManager();
+            assert.deepEqual(order(m, n, 4), [0, 1, 0, 1]);
+            n[1].setWeight(0);
+            assert.deepEqual(order(m, n, 3), [0, 0, 0]);
+            n[1].setWeight(3);
+            order(m, n, 40);
+            assert.equal(n[1].executed, 2 + 30);
+            assert.throws(function () {
+                n[0].setWeight(-1);
+            });
+            done();
+        });
+
+        it('skips nodes that are not running or refuse the command', function(done) {
+            var n = getNodes([3, 1, 1]);
+            var m = new WeightedRoundRobinNodeManager();
+            n[0].state = RiakNode.State.HEALTH_CHECKING;
+            var execute = n[1].execute;
+            n[1].execute = function () {
+                return false;
+            };
+            assert.deepEqual(order(m, n, 3), [2, 2, 2]);
+            n[2].state = RiakNode.State.HEALTH_CHECKING;
+            for (var i = 0; i < 100; i++) {
+                assert(!m.executeOnNode(n, { name: 'TEST COMMAND' }));
+            }
+            // NB: the refusals did not build up a burst for any node
+            n[0].state = n[2].state = RiakNode.State.RUNNING;
+            n[1].execute = execute;
+            assert.deepEqual(order(m, n, 10), [1, 0, 0, 0, 1, 0, 2, 0, 0, 1]);
+            done();
+        });
+
+        it('forgets removed nodes', function(done) {
+            var n = getNodes([1, 1]);
+            var m = new WeightedRoundRobinNodeManager();
+            order(m, n, 3);
+            assert.deepEqual(Object.keys(m._current), ['10.0.0.1:8087', '10.0.0.2:8087']);
+            m.onNodeRemoved(n[1]);
+            assert.deepEqual(Object.keys(m._current), ['10.0.0.1:8087']);
+            done();
+        });
+
+        it('reports weights in the cluster status', function(done) {
+            var node = new RiakNode.Builder()
+                .withRemoteAddress('10.0.0.1')
+                .withWeight(4)
+                .withZone('a')
+                .build();
+            var cluster = new RiakCluster.Builder().withRiakNodes([node]).build();
+            var status = cluster.getStatus();
+            assert.equal(status.state, 'CREATED');
+            assert.equal(status.queued, 0);
+            assert.equal(status.nodes.length, 1);
+            assert.equal(status.nodes[0].node, '10.0.0.1:8087');
+            assert.equal(status.nodes[0].state, 'CREATED');
+            assert.equal(status.nodes[0].weight, 4);
+            assert.equal(status.nodes[0].zone, 'a');
+            assert.equal(status.nodes[0].connections, 0);
+            node.setWeight(2);
+            assert.equal(cluster.getStatus().nodes[0].weight, 2);
+            done();
+        });
+    });
 });
@@ -0,0 +1,226 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+
+var RetryPolicy = require('../../../lib/core/retrypolicy');
+var ExponentialBackoffRetryPolicy = require('../../../lib/core/exponentialbackoffretrypolicy');
+var RiakCluster = require('../../../lib/core/riakcluster');
+var RiakNode = require('../../../lib/core/riaknode');
+var FetchValue = require('../../../lib/commands/kv/fetchvalue');
+var StoreValue = require('../../../lib/commands/kv/storevalue');
+var UpdateCounter = require('../../../lib/commands/crdt/updatecounter');
+
+var rpb = require('../../../lib/protobuf/riakprotobuf');
+var RpbErrorResp = rpb.getProtoFor('RpbErrorResp');
+
+var Failure = RetryPolicy.Failure;
+
+function fetchValue(callback) {
+    return new FetchValue({ bucket: 'b', key: 'k' }, callback || function () {});
+}
+
+function updateCounter(callback) {
+    return new UpdateCounter({ bucketType: 'counters', bucket: 'b', key: 'k', increment: 1 }, callback || function () {});
+}
+
+describe('RetryPolicy', function() {
+    describe('failures', function() {
+        it('classifies RpbErrorResp messages', function(done) {
+            [
+                ['overload', Failure.OVERLOAD],
+                ['{insufficient_vnodes,1,need,2}', Failure.INSUFFICIENT_VNODES],
+                ['{pr_val_unsatisfied,2,1}', Failure.INSUFFICIENT_VNODES],
+                ['timeout', Failure.TIMEOUT],
+                ['notfound', Failure.NOT_FOUND],
+                ['{precommit_fail,bad}', Failure.RIAK_ERROR]
+            ].forEach(function (c) {
+                var f = RetryPolicy.riakErrorFailure(1, c[0]);
+                assert.strictEqual(f.kind, c[1], c[0]);
+                assert.strictEqual(f.errcode, 1);
+                assert.strictEqual(f.message, c[0]);
+                assert.strictEqual(f.requestSent, true);
+            });
+            done();
+        });
+
+        it('knows which requests were not sent', function(done) {
+            assert.strictEqual(RetryPolicy.failure(Failure.CONNECTION_FAILED).requestSent, false);
+            assert.strictEqual(RetryPolicy.failure(Failure.NO_CONNECTION).requestSent, false);
+            assert.strictEqual(RetryPolicy.failure(Failure.CONNECTION_CLOSED).requestSent, true);
+            done();
+        });
+
+        it('knows which commands are idempotent', function(done) {
+            assert(RetryPolicy.isIdempotent(fetchValue()));
+            assert(!RetryPolicy.isIdempotent(updateCounter()));
+            assert(RetryPolicy.isIdempotent(new StoreValue({ bucket: 'b', key: 'k', value: 'v' }, function () {})));
+            assert(!RetryPolicy.isIdempotent(new StoreValue({ bucket: 'b', value: 'v' }, function () {})));
+            done();
+        });
+    });
+
+    describe('ExponentialBackoffRetryPolicy', function() {
+        var policy = new ExponentialBackoffRetryPolicy();
+
+        function shouldRetry(command, kind) {
+            return policy.shouldRetry(command, RetryPolicy.failure(kind), 1);
+        }
+
+        it('retries requests that were not applied', function(done) {
+            [Failure.CONNECTION_FAILED, Failure.NO_CONNECTION, Failure.OVERLOAD].forEach(function (kind) {
+                assert(shouldRetry(updateCounter(), kind), kind);
+            });
+            done();
+        });
+
+        it('retries requests that may have been applied if idempotent', function(done) {
+            [Failure.CONNECTION_CLOSED, Failure.TIMEOUT, Failure.INSUFFICIENT_VNODES].forEach(function (kind) {
+                assert(shouldRetry(fetchValue(), kind), kind);
+                assert(!shouldRetry(updateCounter(), kind), kind);
+            });
+            done();
+        });
+
+        it('does not retry other Riak errors', function(done) {
+            assert(!shouldRetry(fetchValue(), Failure.NOT_FOUND));
+            assert(!shouldRetry(fetchValue(), Failure.RIAK_ERROR));
+            done();
+        });
+
+        it('backs off exponentially up to the maximum', function(done) {
+            var p = new ExponentialBackoffRetryPolicy({ initialDelay: 10, maxDelay: 50, jitter: false });
+            assert.deepEqual([1, 2, 3, 4].map(function (attempt) {
+                return p.getDelay(fetchValue(), undefined, attempt);
+            }), [10, 20, 40, 50]);
+            for (var i = 0; i < 20; i++) {
+                var d = policy.getDelay(fetchValue(), undefined, 3);
+                assert(d >= 0 && d <= 200, d);
+            }
+            done();
+        });
+
+        it('validates options', function(done) {
+            assert.throws(function () {
+                var p = new ExponentialBackoffRetryPolicy({ multiplier: 0.5 });
+            });
+            done();
+        });
+    });
+
+    describe('RiakCluster', function() {
+        function TestRetryPolicy(retry) {
+            RetryPolicy.call(this, 'TestRetryPolicy');
+            this.retry = retry;
+            this.failures = [];
+        }
+        require('util').inherits(TestRetryPolicy, RetryPolicy);
+        TestRetryPolicy.prototype.shouldRetry = function (command, failure, attempt) {
+            this.failures.push({ kind: failure.kind, attempt: attempt });
+            return this.retry;
+        };
+        TestRetryPolicy.prototype.getDelay = function (command, failure, attempt) {
+            return 0;
+        };
+
+        function makeCluster(policy, onExecute) {
+            var node = new RiakNode({ remoteAddress: '10.0.0.1' });
+            node.state = RiakNode.State.RUNNING;
+            node.execute = function (command) {
+                onExecute(node, command);
+                return true;
+            };
+            var cluster = new RiakCluster.Builder()
+                .withRiakNodes([node])
+                .withRetryPolicy(policy)
+                .build();
+            node._inheritRetryPolicy(cluster.retryPolicy);
+            node.on('retryCommand', cluster._onRetryCommand.bind(cluster));
+            return cluster;
+        }
+
+        function riakError(errmsg) {
+            var resp = new RpbErrorResp();
+            resp.setErrmsg(new Buffer(errmsg));
+            resp.setErrcode(0);
+            return resp;
+        }
+
+        function respond(node, command, errmsg) {
+            var conn = { id: 1, _logger: node._logger, executeDone: function () {} };
+            node._responseReceived(conn, command, rpb.getCodeFor('RpbErrorResp'), riakError(errmsg));
+        }
+
+        it('uses the default policy', function(done) {
+            var cluster = new RiakCluster();
+            assert(cluster.retryPolicy instanceof ExponentialBackoffRetryPolicy);
+            assert.notStrictEqual(cluster.retryPolicy, new RiakCluster().retryPolicy);
+            done();
+        });
+
+        it('retries when the policy allows', function(done) {
+            var policy = new TestRetryPolicy(true);
+            var executions = 0;
+            var cluster = makeCluster(policy, function (node, command) {
+                executions++;
+                setImmediate(respond, node, command, 'overload');
+            });
+            cluster.execute(fetchValue(function (err) {
+                assert.strictEqual(err, 'overload');
+                assert.strictEqual(executions, cluster.executionAttempts);
+                assert.deepEqual(policy.failures, [
+                    { kind: Failure.OVERLOAD, attempt: 1 },
+                    { kind: Failure.OVERLOAD, attempt: 2 },
+                    { kind: Failure.OVERLOAD, attempt: 3 }
+                ]);
+                done();
+            }));
+        });
+
+        it('fails when the policy does not allow a retry', function(done) {
+            var policy = new TestRetryPolicy(false);
+            var executions = 0;
+            var cluster = makeCluster(policy, function (node, command) {
+                executions++;
+                setImmediate(respond, node, command, 'notfound');
+            });
+            cluster.execute(fetchValue(function (err) {
+                assert.strictEqual(err, 'notfound');
+                assert.strictEqual(executions, 1);
+                done();
+            }));
+        });
+
+        it('does not retry an increment after the connection closed', function(done) {
+            var executions = 0;
+            var cluster = makeCluster(new ExponentialBackoffRetryPolicy(), function (node, command) {
+                executions++;
+                node.state = RiakNode.State.HEALTH_CHECKING;
+                setImmediate(function () {
+                    node._connectionClosed({ id: 1, command: command, inFlight: true });
+                });
+            });
+            cluster.execute(updateCounter(function (err) {
+                assert.strictEqual(err, 'Connection closed while executing command');
+                assert.strictEqual(executions, 1);
+                done();
+            }));
+        });
+    });
+});
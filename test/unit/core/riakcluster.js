@@ -19,6 +19,8 @@
 
 var RiakCluster = require('../../../lib/core/riakcluster');
 var RiakNode = require('../../../lib/core/riaknode');
+var Ping = require('../../../lib/commands/ping');
+var errors = require('../../../lib/errors');
 var assert = require('assert');
 
 describe('RiakCluster', function() {
@@ -60,6 +62,19 @@ describe('RiakCluster', function() {
             assert.equal(myCluster.getNodeIndex('192.168.1.11'),-1);
             done();
         });
+
+        it('getting IPv6 nodes index', function (done) {
+            var arrayOfNodes = RiakNode.buildNodes(['[fd00::1]:8087', '[fd00::2]:8098', 'fd00::3']);
+            var myCluster = new RiakCluster.Builder().withRiakNodes(arrayOfNodes).build();
+            assert.equal(arrayOfNodes[1].remoteAddress, 'fd00::2');
+            assert.equal(arrayOfNodes[1].remotePort, 8098);
+            assert.equal(arrayOfNodes[2].remotePort, 8087);
+            assert.equal(myCluster.getNodeIndex('fd00::1'),0);
+            assert.equal(myCluster.getNodeIndex('[fd00::2]:8098'),1);
+            assert.equal(myCluster.getNodeIndex('[fd00::2]:8087'),-1);
+            assert.equal(myCluster.getNodeIndex('[fd00::3]'),2);
+            done();
+        });
     });
 
     describe('Test removing node', function() {
@@ -152,6 +167,11 @@ describe('RiakCluster', function() {
             assert(!myCluster.removeNode('192.168.1.11'));
             assert.equal(myCluster.nodes.length, 2);
             assert(!myCluster.removeNode('192.168.1.1:1234'));
+            assert.strictEqual(myCluster.getNodeIndex('bad::addr:x'), -1);
+            myCluster.removeNode('bad::addr:x', function (err) {
+                assert(err instanceof errors.ValidationError);
+                assert.strictEqual(err.message, 'node bad::addr:x is not in this cluster');
+            });
             assert.equal(myCluster.nodes.length, 2);
             assert.equal(myCluster.nodes[0].remoteAddress, '192.168.1.1');
             assert.equal(myCluster.nodes[0].remotePort, 8087);
@@ -162,4 +182,524 @@ describe('RiakCluster', function() {
             done();
         });
     });
+    describe('command queue', function() {
+        function makeCluster(options) {
+            var node = new RiakNode({ remoteAddress: '10.0.0.1' });
+            node.state = RiakNode.State.RUNNING;
+            node.accepting = false;
+            node.executed = [];
+            node.execute = function (command) {
+                if (this.accepting) {
+                    this.executed.push(command);
+                }
+                return this.accepting;
+            };
+            options = options || {};
+            options.nodes = [node];
+            options.queueCommands = true;
+            var cluster = new RiakCluster(options);
+            cluster.state = RiakCluster.State.RUNNING;
+            return cluster;
+        }
+
+        function makeCommand(priority, callback) {
+            return new Ping(callback || function () {}).setPriority(priority);
+        }
+
+        it('sends queued commands by priority, then in order', function(done) {
+            var cluster = makeCluster();
+            var node = cluster.nodes[0];
+            var low = makeCommand(-1);
+            var first = makeCommand(0);
+            var high = makeCommand(5);
+            var second = makeCommand(0);
+            [low, first, high, second].forEach(function (command) {
+                cluster.execute(command);
+            });
+            assert.strictEqual(cluster.state, RiakCluster.State.QUEUEING);
+            assert.strictEqual(cluster.getStatus().queued, 4);
+            node.accepting = true;
+            cluster._submitFromQueue();
+            assert.deepEqual(node.executed, [high, first, second, low]);
+            assert.strictEqual(cluster.state, RiakCluster.State.RUNNING);
+            // NB: time spent in the queue does not use up attempts
+            node.executed.forEach(function (command) {
+                assert.strictEqual(command.attempts, 1);
+                assert.strictEqual(command.remainingTries, cluster.executionAttempts);
+            });
+            clearTimeout(cluster._submitTimer);
+            done();
+        });
+
+        it('sends commands of other classes while one class is blocked', function(done) {
+            var cluster = makeCluster();
+            var node = cluster.nodes[0];
+            var long = makeCommand(5);
+            long.commandClass = 'long';
+            var longer = makeCommand(4);
+            longer.commandClass = 'long';
+            var short = makeCommand(0);
+            [long, longer, short].forEach(function (command) {
+                cluster.execute(command);
+            });
+            node.accepting = true;
+            node.execute = function (command) {
+                if (command.getCommandClass() === 'long') {
+                    return false;
+                }
+                this.executed.push(command);
+                return true;
+            };
+            cluster._submitFromQueue();
+            assert.deepEqual(node.executed, [short]);
+            assert.deepEqual(cluster._commandQueue.entries().map(function (entry) {
+                return entry.command;
+            }), [long, longer]);
+            assert(cluster._submitTimer);
+            clearTimeout(cluster._submitTimer);
+            done();
+        });
+
+        it('drops commands that waited longer than their queue timeout', function(done) {
+            var cluster = makeCluster({ queueTimeout: 1000 });
+            var start = Date.now();
+            var cmd = makeCommand(0, function (err) {
+                assert(err instanceof errors.QueueTimeoutError);
+                assert(err instanceof errors.TimeoutError);
+                assert.strictEqual(err.message, 'command not sent within queue timeout of 10 ms');
+                assert(Date.now() - start < 1000);
+                assert.strictEqual(cluster.getStatus().queued, 1);
+                assert.strictEqual(cluster.metrics.snapshot()
+                    .riak_client_queue_expired_total.values[0].value, 1);
+                clearTimeout(cluster._submitTimer);
+                clearTimeout(cluster._commandQueue.peek().timer);
+                done();
+            });
+            cluster.execute(makeCommand(0));
+            cluster.execute(cmd.setQueueTimeout(10));
+        });
+
+        it('submits as often as commands complete', function(done) {
+            var cluster = makeCluster({ queueSubmitInterval: 500 });
+            assert.strictEqual(cluster._getSubmitInterval(), 500);
+            var node = cluster.nodes[0];
+            var now = Date.now();
+            cluster._lastResultAt = now - 20;
+            cluster._onCommandResult(node, makeCommand(0), null, 1);
+            var interval = cluster._getSubmitInterval();
+            assert(interval >= 20 && interval < 500, interval);
+            cluster._lastResultAt = now - 5000;
+            assert.strictEqual(cluster._getSubmitInterval(), 500);
+            done();
+        });
+    });
+    describe('drain', function() {
+        function makeCluster(options) {
+            var node = new RiakNode({ remoteAddress: '10.0.0.1' });
+            node.state = RiakNode.State.RUNNING;
+            node.accepting = 1;
+            node.execute = function () {
+                return this.accepting-- > 0;
+            };
+            options = options || {};
+            options.nodes = [node];
+            var cluster = new RiakCluster(options);
+            cluster.state = RiakCluster.State.RUNNING;
+            return cluster;
+        }
+
+        it('lets commands complete before stopping', function(done) {
+            var cluster = makeCluster({ drainTimeout: 1000 });
+            var results = [];
+            var executing = new Ping(function (err, rslt) {
+                assert(!err, err);
+                results.push(rslt);
+            });
+            cluster.execute(executing);
+            cluster.stop(function (err, state, report) {
+                assert(!err, err);
+                assert.strictEqual(state, RiakCluster.State.SHUTDOWN);
+                assert.deepEqual(results, [true]);
+                assert.deepEqual(report, { completed: 1, failed: 0, queued: 0, rejected: 1 });
+                done();
+            });
+            assert.strictEqual(cluster.state, RiakCluster.State.DRAINING);
+            cluster.execute(new Ping(function (err) {
+                assert(err instanceof errors.ShutdownError);
+                assert.strictEqual(err.message, 'RiakCluster is shutting down');
+            }));
+            executing.onSuccess();
+        });
+
+        it('fails commands left at the drain timeout', function(done) {
+            var cluster = makeCluster({ queueCommands: true });
+            var errs = [];
+            function callback(err) {
+                assert(err instanceof errors.ShutdownError);
+                errs.push(err.message);
+            }
+            cluster.execute(new Ping(callback));
+            cluster.execute(new Ping(callback));
+            cluster.stop({ drainTimeout: 10 }, function (err, state, report) {
+                assert.deepEqual(errs, [
+                    'RiakCluster stopped before command was sent',
+                    'command did not complete within drain timeout of 10 ms'
+                ]);
+                assert.deepEqual(report, { completed: 0, failed: 1, queued: 1, rejected: 0 });
+                done();
+            });
+        });
+
+        it('fails queued commands at once without a drain', function(done) {
+            var cluster = makeCluster({ queueCommands: true });
+            var queued = new Ping(function (err) {
+                assert(err instanceof errors.ShutdownError);
+                assert.strictEqual(cluster.state, RiakCluster.State.SHUTTING_DOWN);
+            });
+            cluster.execute(new Ping(function () {}));
+            cluster.execute(queued);
+            cluster.stop(function (err, state, report) {
+                assert.deepEqual(report, { completed: 0, failed: 0, queued: 1, rejected: 0 });
+                done();
+            });
+        });
+    });
+    describe('start modes', function() {
+        function makeNode(address, healthy) {
+            var node = new RiakNode({ remoteAddress: address });
+            node.started = 0;
+            node.executed = [];
+            node.start = function (callback) {
+                this.started++;
+                this.state = RiakNode.State.RUNNING;
+                setImmediate(callback, null, this);
+            };
+            node._runHealthCheck = function (callback) {
+                if (healthy !== undefined) {
+                    setImmediate(callback, healthy ? null : new errors.ConnectionError('refused'));
+                }
+            };
+            node._doHealthCheck = function () {
+                this.state = RiakNode.State.HEALTH_CHECKING;
+            };
+            node.execute = function (command) {
+                this.executed.push(command);
+                return true;
+            };
+            return node;
+        }
+
+        it('starts the nodes with the first command when lazy', function(done) {
+            var node = makeNode('10.0.0.1');
+            var cluster = new RiakCluster({ nodes: [node], startMode: 'lazy' });
+            cluster.start(function (err, c, report) {
+                assert(!err, err);
+                assert.strictEqual(cluster.state, RiakCluster.State.RUNNING);
+                assert.deepEqual(report, { started: [], failed: [] });
+                assert.strictEqual(node.state, RiakNode.State.CREATED);
+                var first = new Ping(function () {});
+                var second = new Ping(function () {});
+                cluster.execute(first);
+                cluster.execute(second);
+                assert.strictEqual(node.started, 1);
+                assert.deepEqual(node.executed, []);
+                setImmediate(function () {
+                    assert.deepEqual(node.executed, [first, second]);
+                    cluster.execute(new Ping(function () {}));
+                    assert.strictEqual(node.started, 1);
+                    assert.strictEqual(node.executed.length, 3);
+                    done();
+                });
+            });
+        });
+
+        it('fails unless the required nodes pass their health check', function(done) {
+            var healthy = makeNode('10.0.0.1', true);
+            var failing = makeNode('10.0.0.2', false);
+            var cluster = new RiakCluster.Builder()
+                .withRiakNodes([healthy, failing])
+                .withStartMode('require', 2)
+                .build();
+            cluster.start(function (err, c, report) {
+                assert(err instanceof errors.StartError);
+                assert.strictEqual(err.message, '1 of 2 RiakNodes passed their health check, 2 required');
+                assert.strictEqual(err.report, report);
+                assert.deepEqual(report.started, ['10.0.0.1:8087']);
+                assert.strictEqual(report.failed.length, 1);
+                assert.strictEqual(report.failed[0].node, '10.0.0.2:8087');
+                assert.strictEqual(report.failed[0].err.message, 'refused');
+                assert.strictEqual(failing.state, RiakNode.State.HEALTH_CHECKING);
+                assert.strictEqual(cluster.state, RiakCluster.State.RUNNING);
+                done();
+            });
+        });
+
+        it('fails nodes that do not pass within the start timeout', function(done) {
+            var cluster = new RiakCluster({
+                nodes: [makeNode('10.0.0.1', true), makeNode('10.0.0.2')],
+                startMode: 'require',
+                startTimeout: 20
+            });
+            cluster.start(function (err, c, report) {
+                assert(!err, err);
+                assert.deepEqual(report.started, ['10.0.0.1:8087']);
+                assert.strictEqual(report.failed[0].node, '10.0.0.2:8087');
+                assert(report.failed[0].err instanceof errors.TimeoutError);
+                assert.strictEqual(report.failed[0].err.message,
+                    'health check did not pass within start timeout of 20 ms');
+                done();
+            });
+        });
+
+        it('requires no more nodes than it has', function(done) {
+            assert.throws(function () {
+                new RiakCluster({ nodes: [makeNode('10.0.0.1')], startMode: 'require', requiredNodes: 2 });
+            }, errors.ValidationError);
+            done();
+        });
+    });
+    describe('resolve hosts', function() {
+        function makeCluster(interval, records) {
+            var cluster = new RiakCluster({
+                nodes: RiakNode.buildNodes(['riak.local:8098', 'gone.local', '10.0.0.9'],
+                    new RiakNode.Builder().withMinConnections(0)),
+                resolveHosts: true,
+                resolveInterval: interval
+            });
+            cluster._hostResolver._lookup = function (host, options, callback) {
+                assert(options.all);
+                if (records[host]) {
+                    setImmediate(callback, null, records[host].map(function (address) {
+                        return { address: address, family: address.indexOf(':') < 0 ? 4 : 6 };
+                    }));
+                } else {
+                    setImmediate(callback, new Error('getaddrinfo ENOTFOUND ' + host));
+                }
+            };
+            return cluster;
+        }
+
+        function addresses(cluster) {
+            return cluster.nodes.map(function (node) {
+                return node._metricLabels.node;
+            }).sort();
+        }
+
+        it('starts a node per address of each hostname', function(done) {
+            var cluster = makeCluster(0, { 'riak.local': ['10.0.0.1', 'fd00::2'] });
+            assert.deepEqual(addresses(cluster), ['10.0.0.9:8087']);
+            cluster.start(function (err, c, report) {
+                assert.strictEqual(err.message, 'getaddrinfo ENOTFOUND gone.local');
+                assert.deepEqual(addresses(cluster), ['10.0.0.1:8098', '10.0.0.9:8087', '[fd00::2]:8098']);
+                cluster.nodes.forEach(function (node) {
+                    assert.strictEqual(node.minConnections, 0);
+                });
+                assert.strictEqual(report.failed[0].node, 'gone.local:8087');
+                assert.deepEqual(report.started.sort(), addresses(cluster));
+                cluster.stop(function () {
+                    done();
+                });
+            });
+        });
+
+        it('adds and removes nodes as addresses change', function(done) {
+            var records = { 'riak.local': ['10.0.0.1', '10.0.0.2'] };
+            var cluster = makeCluster(10, records);
+            cluster.start(function () {
+                var first = cluster.nodes[cluster.getNodeIndex('10.0.0.1')];
+                records['riak.local'] = ['10.0.0.2', '10.0.0.3'];
+                records['gone.local'] = ['10.0.0.4'];
+                setTimeout(function () {
+                    assert.deepEqual(addresses(cluster),
+                        ['10.0.0.2:8098', '10.0.0.3:8098', '10.0.0.4:8087', '10.0.0.9:8087']);
+                    assert.notStrictEqual(first.state, RiakNode.State.RUNNING);
+                    // NB: a failed lookup leaves the nodes as they are
+                    delete records['riak.local'];
+                    setTimeout(function () {
+                        assert.strictEqual(cluster.nodes.length, 4);
+                        cluster.stop(function () {
+                            done();
+                        });
+                    }, 30);
+                }, 30);
+            });
+        });
+
+        it('tries again to add a node that failed to start', function(done) {
+            var records = { 'riak.local': ['10.0.0.1'] };
+            var cluster = makeCluster(10, records);
+            cluster.start(function () {
+                var startNode = cluster._startNode;
+                var failures = 0;
+                cluster._startNode = function (node, callback) {
+                    if (node.remoteAddress === '10.0.0.2' && failures++ === 0) {
+                        setImmediate(callback, new errors.ConnectionError('refused'));
+                        return;
+                    }
+                    startNode.call(this, node, callback);
+                };
+                records['riak.local'] = ['10.0.0.1', '10.0.0.2'];
+                setTimeout(function () {
+                    assert.strictEqual(failures, 2);
+                    assert.notStrictEqual(cluster.getNodeIndex('10.0.0.2:8098'), -1);
+                    cluster.stop(function () {
+                        done();
+                    });
+                }, 50);
+            });
+        });
+    });
+    describe('adding and removing nodes', function() {
+        function makeCluster(addresses) {
+            return new RiakCluster({
+                nodes: RiakNode.buildNodes(addresses, new RiakNode.Builder().withMinConnections(0))
+            });
+        }
+
+        it('adds a node once it has started', function(done) {
+            var cluster = makeCluster(['10.0.0.1']);
+            var added = [];
+            cluster.on('nodeAdded', function (node) {
+                added.push(node._metricLabels.node);
+            });
+            cluster.start(function () {
+                var node = new RiakNode({ remoteAddress: '10.0.0.2', minConnections: 0 });
+                cluster.addNode(node, function (err, n) {
+                    assert.ifError(err);
+                    assert.strictEqual(n, node);
+                    assert.strictEqual(node.state, RiakNode.State.RUNNING);
+                    assert.strictEqual(cluster.nodes.length, 2);
+                    assert.deepEqual(added, ['10.0.0.2:8087']);
+                    cluster.addNode(new RiakNode({ remoteAddress: '10.0.0.2' }), function (err) {
+                        assert(err instanceof errors.ValidationError);
+                        assert.strictEqual(err.message, 'node 10.0.0.2:8087 is already in this cluster');
+                        cluster.stop(function () {
+                            done();
+                        });
+                    });
+                });
+                assert.strictEqual(cluster.nodes.length, 1);
+            });
+        });
+
+        it('reports a node that fails to start', function(done) {
+            var cluster = makeCluster(['10.0.0.1']);
+            cluster.start(function () {
+                var node = new RiakNode({ remoteAddress: '10.0.0.2', minConnections: 0 });
+                node.start = function (callback) {
+                    this.state = RiakNode.State.RUNNING;
+                    setImmediate(callback, new errors.ConnectionError('refused'), this);
+                };
+                cluster.addNode(node, function (err) {
+                    assert.strictEqual(err.message, 'refused');
+                    assert.strictEqual(cluster.nodes.length, 1);
+                    assert.notStrictEqual(node.state, RiakNode.State.RUNNING);
+                    cluster.stop(function () {
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('does not add a node removed while it is starting', function(done) {
+            var cluster = makeCluster(['10.0.0.1']);
+            var events = [];
+            cluster.on('nodeAdded', function () {
+                events.push('nodeAdded');
+            });
+            cluster.on('nodeRemoved', function () {
+                events.push('nodeRemoved');
+            });
+            cluster.start(function () {
+                var node = new RiakNode({ remoteAddress: '10.0.0.2', minConnections: 0 });
+                node.start = function (callback) {
+                    setImmediate(RiakNode.prototype.start.bind(this, callback));
+                };
+                var removed = false;
+                cluster.addNode(node, function (err, n) {
+                    assert(err instanceof errors.CancelledError);
+                    assert.strictEqual(err.message, 'node 10.0.0.2:8087 was removed while starting');
+                    assert.strictEqual(n, node);
+                    assert.strictEqual(cluster.getNodeIndex(node), -1);
+                });
+                assert(cluster.removeNode('10.0.0.2:8087', function (err, n) {
+                    assert.ifError(err);
+                    assert.strictEqual(n, node);
+                    removed = true;
+                }));
+                // NB: a second removal finds nothing left to remove
+                assert(!cluster.removeNode(node));
+                setTimeout(function () {
+                    assert(removed);
+                    assert.strictEqual(node.state, RiakNode.State.SHUTDOWN);
+                    assert.strictEqual(cluster.nodes.length, 1);
+                    assert.deepEqual(events, []);
+                    cluster.stop(function () {
+                        done();
+                    });
+                }, 20);
+            });
+        });
+
+        it('stops a removed node once its commands complete', function(done) {
+            var cluster = makeCluster(['10.0.0.1', '10.0.0.2']);
+            var removed = [];
+            cluster.on('nodeRemoved', function (node) {
+                removed.push(node._metricLabels.node);
+            });
+            cluster.start(function () {
+                var node = cluster.nodes[1];
+                node.executeCount = 1;
+                var stopped = false;
+                assert(cluster.removeNode('10.0.0.2', function (err, n) {
+                    assert.ifError(err);
+                    assert.strictEqual(n, node);
+                    stopped = true;
+                }));
+                assert.strictEqual(cluster.nodes.length, 1);
+                assert.deepEqual(removed, ['10.0.0.2:8087']);
+                assert.strictEqual(node.state, RiakNode.State.DRAINING);
+                setTimeout(function () {
+                    assert(!stopped);
+                    node.executeCount = 0;
+                    node._maybeDrained();
+                    assert(stopped);
+                    assert.strictEqual(node.state, RiakNode.State.SHUTDOWN);
+                    cluster.stop(function () {
+                        done();
+                    });
+                }, 20);
+            });
+        });
+
+        it('stops a removed node after the drain timeout', function(done) {
+            var cluster = makeCluster(['10.0.0.1', '10.0.0.2']);
+            cluster.start(function () {
+                var node = cluster.nodes[1];
+                node.executeCount = 1;
+                var calls = 0;
+                cluster.removeNode(node, { drainTimeout: 10 }, function (err) {
+                    assert.ifError(err);
+                    calls++;
+                    assert.strictEqual(node.state, RiakNode.State.SHUTDOWN);
+                    setTimeout(function () {
+                        assert.strictEqual(calls, 1);
+                        cluster.stop(function () {
+                            done();
+                        });
+                    }, 20);
+                });
+            });
+        });
+
+        it('reports a node that is not in the cluster', function(done) {
+            var cluster = makeCluster(['10.0.0.1']);
+            assert(!cluster.removeNode('10.0.0.9', function (err, n) {
+                assert(err instanceof errors.ValidationError);
+                assert.strictEqual(err.message, 'node 10.0.0.9 is not in this cluster');
+                assert.strictEqual(n, null);
+                done();
+            }));
+        });
+    });
 });
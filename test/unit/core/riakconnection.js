@@ -22,6 +22,7 @@ var logger = require('winston');
 
 var rpb = require('../../../lib/protobuf/riakprotobuf');
 var RiakConnection = require('../../../lib/core/riakconnection');
+var CommandBase = require('../../../lib/commands/commandbase');
 var RpbErrorResp = rpb.getProtoFor('RpbErrorResp');
 var responseCode = rpb.getCodeFor('RpbErrorResp');
 var RpbGetResp = rpb.getProtoFor('RpbGetResp');
@@ -130,5 +131,62 @@ describe('RiakConnection', function() {
                 conn._receiveData(encoded);
             });
         });
+
+        it('should hold responses while paused', function(done) {
+            var conn = getConn();
+            var count = 0;
+            conn.on('responseReceived', function(conn, command, code, decoded) {
+                count++;
+                if (count === 1) {
+                    conn.pause();
+                }
+            });
+            var combined = Buffer.concat([header, encoded, header, encoded]);
+            conn._receiveData(combined);
+            assert.strictEqual(count, 1);
+            conn.resume();
+            assert.strictEqual(count, 2);
+            conn.close();
+            done();
+        });
+
+        it('should let the executing command pause and resume', function(done) {
+            var conn = getConn();
+            var count = 0;
+            var command = {
+                name: 'TEST',
+                pause: CommandBase.prototype.pause,
+                resume: CommandBase.prototype.resume
+            };
+            conn._executeStart(command);
+            assert.strictEqual(command.connection, conn);
+            conn.on('responseReceived', function(conn, command, code, decoded) {
+                count++;
+                command.pause();
+            });
+            conn._receiveData(Buffer.concat([header, encoded, header, encoded]));
+            assert.strictEqual(count, 1);
+            command.resume();
+            assert.strictEqual(count, 2);
+            conn.executeDone();
+            assert.strictEqual(command.connection, null);
+            conn.close();
+            done();
+        });
+
+        it('should drop held responses when execution is done', function(done) {
+            var conn = getConn();
+            var count = 0;
+            conn.on('responseReceived', function(conn, command, code, decoded) {
+                count++;
+                conn.pause();
+            });
+            conn._receiveData(Buffer.concat([header, encoded, header, encoded]));
+            conn.executeDone();
+            assert.strictEqual(count, 1);
+            assert.strictEqual(conn._paused, false);
+            conn.close();
+            done();
+        });
     });
 });
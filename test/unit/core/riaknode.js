@@ -18,9 +18,14 @@
 'use strict';
 
 var RiakNode = require('../../../lib/core/riaknode');
+var Ping = require('../../../lib/commands/ping');
+var ListKeys = require('../../../lib/commands/kv/listkeys');
+var FetchValue = require('../../../lib/commands/kv/fetchvalue');
+var rpb = require('../../../lib/protobuf/riakprotobuf');
 var assert = require('assert');
 var joi = require('joi');
 var fs = require('fs');
+var net = require('net');
 
 describe('RiakNode', function() {
     describe('builder', function() {
@@ -237,5 +242,504 @@ describe('RiakNode', function() {
             done();
         });
     });
-});
+    describe('wait-queue', function() {
+        function makeNode() {
+            var node = new RiakNode.Builder()
+                .withRemoteAddress('10.0.0.1')
+                .withMaxConnections(0)
+                .withWaitQueueSize(2)
+                .withWaitQueueTimeout(20)
+                .build();
+            node.state = RiakNode.State.RUNNING;
+            return node;
+        }
+
+        function makeConnection(executed) {
+            return {
+                id: 1,
+                executeDone: function () {},
+                execute: function (command) {
+                    executed.push(command);
+                    return true;
+                }
+            };
+        }
+
+        function makeCommand(callback) {
+            var cmd = new Ping(callback || function () {});
+            cmd.remainingTries = 1;
+            return cmd;
+        }
+
+        it('is disabled by default', function(done) {
+            var node = new RiakNode.Builder().withMaxConnections(0).build();
+            node.state = RiakNode.State.RUNNING;
+            assert.strictEqual(node.execute(makeCommand()), false);
+            assert.strictEqual(node.getWaitQueueDepth(), 0);
+            done();
+        });
+
+        it('runs waiting commands in order on returned connections', function(done) {
+            var node = makeNode();
+            var cmd1 = makeCommand();
+            var cmd2 = makeCommand();
+            assert(node.execute(cmd1));
+            assert(node.execute(cmd2));
+            assert.strictEqual(node.execute(makeCommand()), false);
+            assert.strictEqual(node.getWaitQueueDepth(), 2);
+            assert.strictEqual(node._metrics.snapshot().riak_client_node_wait_queue_depth.values[0].value, 2);
+
+            var executed = [];
+            node._returnConnectionToPool(makeConnection(executed));
+            node._returnConnectionToPool(makeConnection(executed));
+            assert.deepEqual(executed, [cmd1, cmd2]);
+            assert.strictEqual(node.executeCount, 2);
+            assert.strictEqual(node.getWaitQueueDepth(), 0);
+            done();
+        });
+
+        it('skips cancelled commands', function(done) {
+            var node = makeNode();
+            var cmd1 = makeCommand();
+            var cmd2 = makeCommand();
+            node.execute(cmd1);
+            node.execute(cmd2);
+            cmd1.cancel();
+            var executed = [];
+            node._returnConnectionToPool(makeConnection(executed));
+            assert.deepEqual(executed, [cmd2]);
+            done();
+        });
+
+        it('fails a command that waited too long', function(done) {
+            var node = makeNode();
+            var cmd = makeCommand(function (err) {
+                assert.strictEqual(err.name, 'TimeoutError');
+                assert.strictEqual(err.message, 'no connection available within 20 ms');
+                assert.strictEqual(node.getWaitQueueDepth(), 0);
+                done();
+            });
+            node.execute(cmd);
+        });
+
+        it('retries a command that waited too long', function(done) {
+            var node = makeNode();
+            var cmd = makeCommand();
+            cmd.remainingTries = 2;
+            node.on('retryCommand', function (command, n) {
+                assert.strictEqual(command, cmd);
+                assert.strictEqual(n, node);
+                done();
+            });
+            node.execute(cmd);
+        });
+
+        it('retries waiting commands when stopped', function(done) {
+            var node = makeNode();
+            var cmd = makeCommand();
+            cmd.remainingTries = 2;
+            node.on('retryCommand', function (command) {
+                assert.strictEqual(command, cmd);
+                assert.strictEqual(node.getWaitQueueDepth(), 0);
+                done();
+            });
+            node.execute(cmd);
+            node.stop();
+        });
+    });
+    describe('health-checks-and-quarantine', function() {
+        function makeNode(builder) {
+            var node = (builder || new RiakNode.Builder())
+                .withRemoteAddress('10.0.0.1')
+                .withHealthCheckBackoff('fibonacci', 1, 10)
+                .build();
+            node.state = RiakNode.State.RUNNING;
+            node.states = [];
+            node.on('stateChange', function (n, state) {
+                node.states.push(RiakNode.stateNames[state]);
+            });
+            return node;
+        }
 
+        function makeConnection() {
+            return {
+                id: 1,
+                executeDone: function () {}
+            };
+        }
+
+        it('validates health check options', function(done) {
+            var n = new RiakNode.Builder()
+                .withHealthCheckInterval(500)
+                .withHealthCheckBackoff('exponential', 20, 2000)
+                .build();
+            assert.strictEqual(n.healthCheckInterval, 500);
+            assert.strictEqual(n.healthCheckBackoff, 'exponential');
+            assert.strictEqual(n.healthCheckMinDelay, 20);
+            assert.strictEqual(n.healthCheckMaxDelay, 2000);
+            n = new RiakNode.Builder().build();
+            assert.strictEqual(n.healthCheckInterval, 0);
+            assert.strictEqual(n.healthCheckBackoff, 'fibonacci');
+            assert.throws(function () {
+                new RiakNode.Builder().withHealthCheckBackoff('linear').build();
+            });
+            assert.throws(function () {
+                new RiakNode.Builder().withHealthCheckBackoff('fibonacci', 100, 10).build();
+            });
+            done();
+        });
+
+        it('checks a running node periodically', function(done) {
+            var node = makeNode(new RiakNode.Builder().withHealthCheckInterval(5));
+            var checks = 0;
+            node._createNewConnection = function (postConnect, postFail, healthCheck) {
+                assert.strictEqual(healthCheck, node.healthCheck);
+                checks++;
+                if (checks === 2) {
+                    postFail(new Error('timed out'));
+                } else {
+                    postConnect(makeConnection());
+                }
+                if (checks === 3) {
+                    node._stopHealthChecks();
+                    assert.deepEqual(node.states, ['HEALTH_CHECKING', 'RUNNING']);
+                    assert.strictEqual(node._metrics.snapshot()
+                        .riak_client_health_checks_total.values.length, 2);
+                    done();
+                }
+            };
+            node._startHealthChecks();
+        });
+
+        it('drains a node', function(done) {
+            var node = makeNode(new RiakNode.Builder().withMaxConnections(0).withWaitQueueSize(1));
+            var waiting = new Ping(function () {});
+            waiting.remainingTries = 2;
+            var retried = [];
+            node.on('retryCommand', function (command) {
+                retried.push(command);
+            });
+            assert(node.execute(waiting));
+            node.executeCount = 1;
+            var executing = new Ping(function () {});
+            var drained = false;
+            node.drain(function (err, n) {
+                assert(!err);
+                assert.strictEqual(n, node);
+                drained = true;
+            });
+            assert.strictEqual(node.state, RiakNode.State.DRAINING);
+            assert.deepEqual(retried, [waiting]);
+            assert.strictEqual(node.execute(new Ping(function () {})), false);
+            assert(!drained);
+
+            node.executeCount = 0;
+            node._commandDone(executing, null);
+            assert(drained);
+            assert.strictEqual(node.state, RiakNode.State.DISABLED);
+            assert.strictEqual(node.getStatus().state, 'DISABLED');
+
+            node.enable();
+            assert.strictEqual(node.state, RiakNode.State.RUNNING);
+            assert.deepEqual(node.states, ['DRAINING', 'DISABLED', 'RUNNING']);
+            done();
+        });
+
+        it('disables and enables a node', function(done) {
+            var node = makeNode();
+            node._createNewConnection = function () {
+                assert(false, 'disabled node health checked');
+            };
+            node._doHealthCheck();
+            node.disable();
+            node.disable();
+            assert.strictEqual(node.state, RiakNode.State.DISABLED);
+            node._doHealthCheck();
+            node.drain(function (err, n) {
+                assert.strictEqual(n.state, RiakNode.State.DISABLED);
+                n.enable();
+                assert.deepEqual(node.states, ['HEALTH_CHECKING', 'DISABLED', 'RUNNING']);
+                setTimeout(done, 20);
+            });
+        });
+    });
+    describe('keepalive', function() {
+        function makeNode() {
+            var node = new RiakNode.Builder()
+                .withRemoteAddress('10.0.0.1')
+                .withKeepAliveInterval(5)
+                .withMaxConnections(0)
+                .build();
+            node.state = RiakNode.State.RUNNING;
+            return node;
+        }
+
+        function makeConnection(idle) {
+            return {
+                id: 1,
+                closed: false,
+                inFlight: false,
+                lastUsed: Date.now() - idle,
+                executed: [],
+                executeDone: function () {
+                    this.inFlight = false;
+                },
+                execute: function (command) {
+                    this.inFlight = true;
+                    this.command = command;
+                    this.executed.push(command);
+                    return true;
+                },
+                close: function () {
+                    this.closed = true;
+                }
+            };
+        }
+
+        function probe(node, conns, callback) {
+            conns.forEach(function (conn) {
+                conn._logger = node._logger;
+                node._returnConnectionToPool(conn);
+            });
+            node._startKeepAlive();
+            setTimeout(function () {
+                node._stopKeepAlive();
+                callback();
+            }, 8);
+        }
+
+        it('probes idle connections and returns them to the pool', function(done) {
+            var node = makeNode();
+            var idle = makeConnection(1000);
+            var lastUsed = idle.lastUsed;
+            var busy = makeConnection(0);
+            busy.lastUsed += 1000;
+            probe(node, [idle, busy], function () {
+                assert.strictEqual(idle.executed.length, 1);
+                assert.strictEqual(busy.executed.length, 0);
+                var ping = idle.executed[0];
+                assert(ping instanceof Ping);
+                assert.strictEqual(ping.timeout, node.connectionTimeout);
+                // NB: a connection being probed is not given to commands
+                assert.strictEqual(node._getPoolStatus().available, 1);
+                assert.strictEqual(node.executeCount, 0);
+                node._responseReceived(idle, ping, rpb.getCodeFor('RpbPingResp'), null);
+                assert.strictEqual(node._getPoolStatus().available, 2);
+                assert.strictEqual(idle.lastUsed, lastUsed);
+                assert(!idle.closed);
+                done();
+            });
+        });
+
+        it('discards connections that do not respond', function(done) {
+            var node = makeNode();
+            var discarded = [];
+            node.on('connectionDiscarded', function (n, conn, reason) {
+                assert.strictEqual(n, node);
+                discarded.push(reason);
+            });
+            var silent = makeConnection(1000);
+            var failing = makeConnection(1000);
+            probe(node, [silent, failing], function () {
+                assert.strictEqual(node._getPoolStatus().available, 0);
+                silent.timedOut = true;
+                silent.closed = true;
+                node._connectionClosed(silent);
+                node._responseReceived(failing, failing.executed[0], rpb.getCodeFor('RpbGetResp'), null);
+                assert(failing.closed);
+                assert.deepEqual(discarded.length, 2);
+                assert.strictEqual(discarded[0], 'no response to keepalive probe');
+                assert.strictEqual(node._getPoolStatus().available, 0);
+                assert.strictEqual(node.executeCount, 0);
+                assert.strictEqual(node._metrics.snapshot()
+                    .riak_client_connections_discarded_total.values[0].value, 2);
+                done();
+            });
+        });
+    });
+
+    describe('adaptive-pool', function() {
+        var server;
+        var sockets = [];
+
+        before(function(done) {
+            server = net.createServer(function (socket) {
+                sockets.push(socket);
+            });
+            server.listen(0, '127.0.0.1', done);
+        });
+
+        after(function(done) {
+            sockets.forEach(function (socket) {
+                socket.destroy();
+            });
+            server.close(done);
+        });
+
+        function makeNode() {
+            var node = new RiakNode.Builder()
+                .withRemoteAddress('127.0.0.1')
+                .withRemotePort(server.address().port)
+                .withMinConnections(1)
+                .withMaxConnections(6)
+                .withAdaptivePool()
+                .withMaxPendingConnections(2)
+                .build();
+            node.state = RiakNode.State.RUNNING;
+            return node;
+        }
+
+        function values(node, name) {
+            return node._metrics.snapshot()[name].values;
+        }
+
+        it('validates adaptive pool options', function(done) {
+            var n = new RiakNode.Builder().build();
+            assert.strictEqual(n.adaptivePool, false);
+            assert.strictEqual(n.maxPendingConnections, RiakNode.consts.DefaultMaxPendingConnections);
+            assert.throws(function () {
+                new RiakNode.Builder().withMaxPendingConnections(-1).build();
+            });
+            done();
+        });
+
+        it('keeps the target within min and max connections', function(done) {
+            var node = makeNode();
+            assert.strictEqual(node.getStatus().targetConnections, 1);
+            node._setPoolTarget(Math.ceil(4 * 1.25));
+            assert.strictEqual(node.getStatus().targetConnections, 5);
+            node._setPoolTarget(20);
+            assert.strictEqual(node.getStatus().targetConnections, 6);
+            node._setPoolTarget(0);
+            assert.strictEqual(node.getStatus().targetConnections, 1);
+            assert.strictEqual(values(node, 'riak_client_pool_target_connections')[0].value, 1);
+            done();
+        });
+
+        it('pre-warms up to max pending connections at once', function(done) {
+            var node = makeNode();
+            node._setPoolTarget(3);
+            node._warmPool();
+            var status = node.getStatus();
+            assert.strictEqual(status.connections, 2);
+            assert.strictEqual(status.pendingConnections, 2);
+            // NB: commands wait rather than open a third connection
+            assert(!node._createNewConnectionAllowed());
+            setTimeout(function () {
+                assert.strictEqual(node.getStatus().pendingConnections, 0);
+                assert.strictEqual(node.getStatus().availableConnections, 2);
+                node._warmPool();
+                setTimeout(function () {
+                    var status = node.getStatus();
+                    assert.strictEqual(status.connections, 3);
+                    assert.strictEqual(status.availableConnections, 3);
+                    var resizes = values(node, 'riak_client_pool_resizes_total');
+                    assert.strictEqual(resizes[0].labels.direction, 'grow');
+                    assert.strictEqual(resizes[0].value, 3);
+                    node.stop(function () {
+                        done();
+                    });
+                }, 50);
+            }, 50);
+        });
+    });
+
+    describe('bulkheads', function() {
+        function makeNode() {
+            var node = new RiakNode.Builder()
+                .withRemoteAddress('10.0.0.1')
+                .withMaxConnections(3)
+                .withBulkhead('long', 1)
+                .withWaitQueueSize(2)
+                .build();
+            node.state = RiakNode.State.RUNNING;
+            node._createNewConnectionAllowed = function () {
+                return false;
+            };
+            return node;
+        }
+
+        function makeConnection(node) {
+            var conn = {
+                id: 1,
+                executed: [],
+                executeDone: function () {},
+                execute: function (command) {
+                    this.executed.push(command);
+                    return true;
+                }
+            };
+            conn._logger = node._logger;
+            node._returnConnectionToPool(conn);
+            return conn;
+        }
+
+        function makeCommand(commandClass) {
+            var cmd = new Ping(function () {});
+            cmd.remainingTries = 1;
+            cmd.getCommandClass = function () {
+                return commandClass;
+            };
+            return cmd;
+        }
+
+        function complete(node, conn, cmd) {
+            node._responseReceived(conn, cmd, rpb.getCodeFor('RpbPingResp'), null);
+        }
+
+        it('classifies streaming commands as long', function(done) {
+            var callback = function () {};
+            var listKeys = new ListKeys.Builder().withAllowListing()
+                .withBucket('b').withCallback(callback).build();
+            var fetch = new FetchValue.Builder().withBucket('b').withKey('k').withCallback(callback).build();
+            assert.strictEqual(listKeys.getCommandClass(), 'long');
+            assert.strictEqual(fetch.getCommandClass(), 'short');
+            done();
+        });
+
+        it('validates bulkheads', function(done) {
+            var n = new RiakNode.Builder().withMaxConnections(4).withBulkhead('long', 2).build();
+            assert.deepEqual(n.bulkheads, { long: { maxConnections: 2 } });
+            assert.deepEqual(n.getStatus().bulkheads, { long: 0 });
+            assert.throws(function () {
+                new RiakNode.Builder().withMaxConnections(4).withBulkhead('long', 4).build();
+            }, /bulkhead long/);
+            assert.throws(function () {
+                new RiakNode.Builder().withBulkhead('long', 0).build();
+            });
+            done();
+        });
+
+        it('keeps long commands within their bulkhead', function(done) {
+            var node = makeNode();
+            var a = makeConnection(node);
+            var b = makeConnection(node);
+            var long1 = makeCommand('long');
+            var long2 = makeCommand('long');
+            var short1 = makeCommand('short');
+            assert(node.execute(long1));
+            assert(node.execute(long2));
+            assert(node.execute(short1));
+            assert.strictEqual(node.getWaitQueueDepth(), 1);
+            assert.deepEqual(node.getStatus().bulkheads, { long: 1 });
+            assert.strictEqual(node._metrics.snapshot()
+                .riak_client_bulkhead_full_total.values[0].value, 1);
+
+            // NB: a waiting long command does not hold up short ones
+            var short2 = makeCommand('short');
+            assert(node.execute(short2));
+            complete(node, b.executed[0] === short1 ? b : a, short1);
+            assert.strictEqual(node.getWaitQueueDepth(), 1);
+            assert.strictEqual(node.executeCount, 2);
+
+            var longConn = a.executed[0] === long1 ? a : b;
+            complete(node, longConn, long1);
+            assert.strictEqual(longConn.executed[1], long2);
+            assert.strictEqual(node.getWaitQueueDepth(), 0);
+            assert.deepEqual(node.getStatus().bulkheads, { long: 1 });
+            complete(node, longConn, long2);
+            assert.deepEqual(node.getStatus().bulkheads, { long: 0 });
+            done();
+        });
+    });
+});
@@ -21,6 +21,7 @@ var assert = require('assert');
 var logger = require('winston');
 
 var utils = require('../../../lib/core/utils');
+var errors = require('../../../lib/errors');
 
 var state = Object.freeze({
     CREATED : 0,
@@ -56,4 +57,31 @@ describe('core-utils', function() {
         );
         done();
     });
+
+    it('parse-address', function(done) {
+        assert.deepEqual(utils.parseAddress('riak.local'), { host: 'riak.local', port: undefined });
+        assert.deepEqual(utils.parseAddress('10.0.0.1:8087'), { host: '10.0.0.1', port: 8087 });
+        assert.deepEqual(utils.parseAddress('[::1]:8087'), { host: '::1', port: 8087 });
+        assert.deepEqual(utils.parseAddress('[fd00::1]'), { host: 'fd00::1', port: undefined });
+        assert.deepEqual(utils.parseAddress('fd00::1:2'), { host: 'fd00::1:2', port: undefined });
+        ['10.0.0.1:http', '10.0.0.1:0', '10.0.0.1:65536', ':8087', '[riak.local]:8087', 'riak:local:8087']
+            .forEach(function (address) {
+                assert.throws(function () {
+                    utils.parseAddress(address);
+                }, errors.ValidationError, address);
+            });
+        done();
+    });
+
+    it('format-address', function(done) {
+        assert.strictEqual(utils.formatAddress('10.0.0.1', 8087), '10.0.0.1:8087');
+        assert.strictEqual(utils.formatAddress('fd00::1', 8087), '[fd00::1]:8087');
+        done();
+    });
+
+    it('node-key', function(done) {
+        assert.strictEqual(utils.nodeKey({ remoteAddress: '::1', remotePort: 8087 }), '[::1]:8087');
+        assert.strictEqual(utils.nodeKey({ remoteAddress: 'riak.local', remotePort: 8087 }), 'riak.local:8087');
+        done();
+    });
 });
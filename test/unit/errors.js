@@ -0,0 +1,193 @@
+/**
+ *
+ * Copyright 2014-present Basho Technologies, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Joi = require('joi');
+
+var Riak = require('../../lib/client');
+var errors = require('../../lib/errors');
+var RiakCluster = require('../../lib/core/riakcluster');
+var RiakNode = require('../../lib/core/riaknode');
+var FetchValue = require('../../lib/commands/kv/fetchvalue');
+
+var rpb = require('../../lib/protobuf/riakprotobuf');
+var RpbErrorResp = rpb.getProtoFor('RpbErrorResp');
+
+describe('Errors', function() {
+    function fetchValue(callback) {
+        return new FetchValue.Builder()
+            .withBucket('b')
+            .withKey('k')
+            .withCallback(callback)
+            .build()
+            .setTypedErrors(true);
+    }
+
+    it('are exported by the client', function(done) {
+        assert.strictEqual(Riak.Errors.RiakServerError, errors.RiakServerError);
+        done();
+    });
+
+    it('form a hierarchy of RiakErrors', function(done) {
+        var err = new errors.QueueFullError('queue full');
+        assert(err instanceof Error);
+        assert(err instanceof errors.RiakError);
+        assert(err instanceof errors.NoNodesAvailableError);
+        assert.strictEqual(err.name, 'QueueFullError');
+        assert(err.stack);
+        assert(new errors.TimeoutError('t') instanceof errors.RiakError);
+        assert(new errors.CancelledError('c') instanceof errors.RiakError);
+        done();
+    });
+
+    it('compare loosely equal to their message', function(done) {
+        var err = new errors.ConnectionError('connection closed');
+        assert.equal(err, 'connection closed');
+        assert.strictEqual('error: ' + err, 'error: connection closed');
+        done();
+    });
+
+    it('carry the command and attempts', function(done) {
+        var cmd = fetchValue(function () {});
+        cmd.attempts = 2;
+        cmd.lastNode = '10.0.0.1:8087';
+        var err = new errors.TimeoutError('timed out', cmd);
+        assert.strictEqual(err.command, cmd.name);
+        assert.strictEqual(err.node, '10.0.0.1:8087');
+        assert.strictEqual(err.attempts, 2);
+        done();
+    });
+
+    it('are given for string errors', function(done) {
+        var cmd = fetchValue(function (err, resp, data) {
+            assert(err instanceof errors.RiakError);
+            assert.strictEqual(err.message, 'oops');
+            assert.strictEqual(err.command, cmd.name);
+            assert.deepEqual(data, { msg: 'oops' });
+            done();
+        });
+        cmd.onError('oops', { msg: 'oops' });
+    });
+
+    it('are messages unless typed errors are set', function(done) {
+        var resp = new RpbErrorResp();
+        resp.setErrmsg(new Buffer('overload'));
+        resp.setErrcode(3);
+        var cmd = fetchValue(function (err, resp, data) {
+            assert.strictEqual(err, 'overload');
+            assert.deepEqual(data, { msg: 'overload', code: 3 });
+            done();
+        }).setTypedErrors(false);
+        cmd.onRiakError(resp);
+    });
+
+    it('are typed for commands executed by a cluster with typed errors', function(done) {
+        var node = new RiakNode({ remoteAddress: '10.0.0.1' });
+        node.state = RiakNode.State.RUNNING;
+        node.execute = function () {
+            return false;
+        };
+        var cluster = new RiakCluster.Builder().withRiakNodes([node]).withTypedErrors().build();
+        var cmd = new FetchValue.Builder().withBucket('b').withKey('k').withCallback(function (err) {
+            assert(err instanceof errors.NoNodesAvailableError);
+            done();
+        }).build();
+        cluster.execute(cmd);
+    });
+
+    it('gives a RiakServerError with the code for RpbErrorResp', function(done) {
+        var resp = new RpbErrorResp();
+        resp.setErrmsg(new Buffer('overload'));
+        resp.setErrcode(3);
+        var cmd = fetchValue(function (err, resp, data) {
+            assert(err instanceof errors.RiakServerError);
+            assert.strictEqual(err.message, 'overload');
+            assert.strictEqual(err.code, 3);
+            assert.deepEqual(data, { msg: 'overload', code: 3 });
+            done();
+        });
+        cmd.onRiakError(resp);
+    });
+
+    it('gives a ValidationError for invalid options', function(done) {
+        assert.throws(function () {
+            fetchValue(function () {}).validateOptions({}, Joi.object().keys({
+                bucket: Joi.string().required()
+            }));
+        }, function (err) {
+            return err instanceof errors.ValidationError &&
+                err.details.length === 1 && err.details[0].path === 'bucket';
+        });
+        assert.throws(function () {
+            var node = new RiakNode({ remotePort: 'x' });
+        }, errors.ValidationError);
+        done();
+    });
+
+    it('gives a NoNodesAvailableError when no node can execute', function(done) {
+        var node = new RiakNode({ remoteAddress: '10.0.0.1' });
+        node.state = RiakNode.State.RUNNING;
+        var executions = 0;
+        node.execute = function () {
+            executions++;
+            return false;
+        };
+        var cluster = new RiakCluster({ nodes: [node] });
+        cluster.execute(fetchValue(function (err) {
+            assert(err instanceof errors.NoNodesAvailableError);
+            assert(!(err instanceof errors.QueueFullError));
+            assert.strictEqual(err.attempts, executions);
+            done();
+        }));
+    });
+
+    it('gives a QueueFullError when the cluster queue is full', function(done) {
+        var node = new RiakNode({ remoteAddress: '10.0.0.1' });
+        node.state = RiakNode.State.RUNNING;
+        node.execute = function () {
+            return false;
+        };
+        var cluster = new RiakCluster({ nodes: [node], queueCommands: true, queueMaxDepth: 1 });
+        cluster._commandQueue.push(fetchValue(function () {}));
+        cluster.execute(fetchValue(function (err) {
+            assert(err instanceof errors.QueueFullError);
+            done();
+        }));
+    });
+
+    it('gives a ConnectionError with the node when connecting fails', function(done) {
+        var node = new RiakNode({ remoteAddress: '10.0.0.1', maxConnections: 1 });
+        node.state = RiakNode.State.RUNNING;
+        node._doHealthCheck = function () {};
+        node._createNewConnection = function (postConnectFunc, postFailFunc) {
+            var err = new Error('connect ECONNREFUSED');
+            err.code = 'ECONNREFUSED';
+            postFailFunc(err);
+        };
+        var cmd = fetchValue(function (err) {
+            assert(err instanceof errors.ConnectionError);
+            assert.strictEqual(err.message, 'connect ECONNREFUSED');
+            assert.strictEqual(err.code, 'ECONNREFUSED');
+            assert.strictEqual(err.node, '10.0.0.1:8087');
+            assert.strictEqual(err.command, cmd.name);
+            done();
+        });
+        node.execute(cmd);
+    });
+});